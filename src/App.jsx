@@ -1,41 +1,56 @@
 import { KeyboardControls } from "@react-three/drei";
 import { Canvas } from "@react-three/fiber";
+import { useMemo } from "react";
 import { Experience } from "./components/Experience";
+import { LoadingOverlay } from "./components/LoadingOverlay";
+import { InputBindingsPanel } from "./components/InputBindingsPanel";
+import { TouchControls } from "./components/TouchControls";
+import { MapLoadingProvider } from "./context/MapLoadingContext";
+import {
+  InputProfileProvider,
+  useInputProfile,
+} from "./context/InputProfileContext";
+import { TouchInputProvider } from "./context/TouchInputContext";
+import { toKeyboardMap } from "./utils/inputProfiles";
 import { Perf } from "r3f-perf";
 import * as THREE from "three";
 
-const keyboardMap = [
-  { name: "forward", keys: ["ArrowUp", "KeyW"] },
-  { name: "backward", keys: ["ArrowDown", "KeyS"] },
-  { name: "left", keys: ["ArrowLeft", "KeyA"] },
-  { name: "right", keys: ["ArrowRight", "KeyD"] },
-  { name: "run", keys: ["Shift"] },
-  { name: "jump", keys: ["Space"] },
-  { name: "crouch", keys: ["ControlLeft", "ControlRight"] },
-  { name: "dance", keys: ["KeyE"] },
-  { name: "walkBackward", keys: ["KeyQ"] },
-  { name: "roll", keys: ["KeyF"] },
-];
+// Keyboard map built from the active input profile (rebindable at runtime)
+const ProfileKeyboardControls = ({ children }) => {
+  const { profile } = useInputProfile();
+  const keyboardMap = useMemo(() => toKeyboardMap(profile), [profile]);
+
+  return <KeyboardControls map={keyboardMap}>{children}</KeyboardControls>;
+};
 
 function App() {
   return (
-    <KeyboardControls map={keyboardMap}>
-      <Canvas
-        shadows
-        camera={{ position: [3, 3, 3], near: 0.1, fov: 40, far: 10000 }}
-        gl={{
-          outputColorSpace: THREE.SRGBColorSpace,
-          toneMapping: THREE.ACESFilmicToneMapping,
-          toneMappingExposure: 1.0,
-        }}
-        style={{
-          touchAction: "none",
-        }}
-      >
-        <Perf position="top-left" />
-        <Experience />
-      </Canvas>
-    </KeyboardControls>
+    <MapLoadingProvider>
+      <InputProfileProvider>
+        <TouchInputProvider>
+          <ProfileKeyboardControls>
+            <Canvas
+              shadows
+              camera={{ position: [3, 3, 3], near: 0.1, fov: 40, far: 10000 }}
+              gl={{
+                outputColorSpace: THREE.SRGBColorSpace,
+                toneMapping: THREE.ACESFilmicToneMapping,
+                toneMappingExposure: 1.0,
+              }}
+              style={{
+                touchAction: "none",
+              }}
+            >
+              <Perf position="top-left" />
+              <Experience />
+            </Canvas>
+          </ProfileKeyboardControls>
+          <InputBindingsPanel />
+          <TouchControls />
+        </TouchInputProvider>
+      </InputProfileProvider>
+      <LoadingOverlay />
+    </MapLoadingProvider>
   );
 }
 
@@ -0,0 +1,352 @@
+import { forwardRef, useImperativeHandle, useRef, type RefObject } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import { useRapier, type RapierRigidBody } from "@react-three/rapier";
+import * as THREE from "three";
+import { useOccluderFade } from "./useOccluderFade";
+
+export type CameraRigTarget = THREE.Object3D | RapierRigidBody;
+
+export interface CameraRigProps {
+  target: RefObject<CameraRigTarget | null>;
+  // Heading the arm trails behind (radians, atan2(x, z)); the target's own
+  // heading when omitted
+  getYaw?: () => number;
+  offset?: [number, number, number]; // Camera position in the heading's frame (+Z ahead)
+  lookOffset?: [number, number, number]; // Point looked at, same frame
+  lerpSpeed?: number; // Share of the way to the ideal pose covered each frame
+  pitchLimits?: [number, number]; // Orbit pitch range in radians
+  pivotHeight?: number; // Height above the target the camera keeps in sight
+  collision?: boolean;
+  collisionRadius?: number;
+  recoverySpeed?: number; // How fast the arm eases back out, as in MathUtils.damp
+  fadeOccluders?: boolean;
+  occluderOpacity?: number;
+  // Left out of collision and occluder queries (a Rapier target always is)
+  ignoreBody?: RefObject<RapierRigidBody | null>;
+  // Follow every frame on its own; turn off to call update() at a point of
+  // your choosing in another frame callback
+  autoUpdate?: boolean;
+}
+
+export interface CameraRigUpdateOptions {
+  fadeOccluders?: boolean; // Off for this frame, e.g. while a cutscene has the camera
+}
+
+export interface CameraRigHandle {
+  update: (delta: number, options?: CameraRigUpdateOptions) => void;
+  // Add to the orbit around the heading; pitch is clamped to pitchLimits
+  orbit: (yaw: number, pitch: number) => void;
+  setOrbit: (yaw: number, pitch: number) => void;
+  getOrbit: () => Readonly<{ yaw: number; pitch: number }>;
+  // Heading the arm points along this frame, orbit included
+  getYaw: () => number;
+  // Aim part of the way from the target to a point instead of ahead of it,
+  // keeping both in frame (lock-on); null goes back to looking ahead
+  setFocus: (point: THREE.Vector3Like | null, framing?: number) => void;
+  // Cut to a pose and hold it for a number of updates (teleports)
+  snap: (
+    position: THREE.Vector3Like,
+    lookAt: THREE.Vector3Like,
+    holdFrames?: number
+  ) => void;
+  // Something else drives the camera; pick up from its pose on the next update
+  release: () => void;
+}
+
+// Height the look-at point rises or falls per unit sine of orbit pitch
+const PITCH_LOOK_HEIGHT = 2;
+const UP = new THREE.Vector3(0, 1, 0);
+
+const isRapierBody = (target: CameraRigTarget): target is RapierRigidBody =>
+  "translation" in target;
+
+const headingOf = (rotation: THREE.QuaternionLike) =>
+  Math.atan2(
+    2 * (rotation.x * rotation.z + rotation.w * rotation.y),
+    1 - 2 * (rotation.x * rotation.x + rotation.y * rotation.y)
+  );
+
+const shortestAngle = (angle: number) =>
+  Math.atan2(Math.sin(angle), Math.cos(angle));
+
+/**
+ * Spring-arm follow camera. Trails an Object3D or Rapier body at an offset
+ * along a heading, with orbit input on top, and keeps the camera out of
+ * level geometry: a sphere cast from the pivot pulls it in when blocked and
+ * it eases back out once clear, while bodies in the way fade.
+ * Must be inside <Physics>.
+ */
+export const CameraRig = forwardRef<CameraRigHandle, CameraRigProps>(
+  (
+    {
+      target,
+      getYaw,
+      offset = [0, 1.5, -5.6],
+      lookOffset = [0, 0, 5],
+      lerpSpeed = 0.1,
+      pitchLimits = [-Math.PI / 3, Math.PI / 3],
+      pivotHeight = 0,
+      collision = true,
+      collisionRadius = 0.25,
+      recoverySpeed = 4,
+      fadeOccluders = true,
+      occluderOpacity = 0.25,
+      ignoreBody,
+      autoUpdate = true,
+    },
+    ref
+  ) => {
+    const camera = useThree((state) => state.camera);
+    const { world, rapier, rigidBodyStates } = useRapier();
+    const occluderFade = useOccluderFade();
+
+    const yaw = useRef(0);
+    const orbitAngles = useRef({ yaw: 0, pitch: 0 });
+    const initialized = useRef(false);
+    const resyncYaw = useRef(false);
+    const targetPosition = useRef(new THREE.Vector3());
+    const targetRotation = useRef(new THREE.Quaternion());
+    // Unobstructed camera position, and where the camera looks
+    const smoothPosition = useRef(new THREE.Vector3());
+    const smoothLookAt = useRef(new THREE.Vector3());
+    const idealPosition = useRef(new THREE.Vector3());
+    const idealLookAt = useRef(new THREE.Vector3());
+    // Point framed with the target (lock-on), and how far towards it to aim
+    const focus = useRef<THREE.Vector3 | null>(null);
+    const focusPoint = useRef(new THREE.Vector3());
+    const focusFraming = useRef(0.5);
+    // Collision: the pivot kept in sight, and how much of the arm is clear
+    const pivot = useRef(new THREE.Vector3());
+    const arm = useRef(new THREE.Vector3());
+    const armRatio = useRef(1);
+    const occluderBounds = useRef(new THREE.Box3());
+    const holdFrames = useRef(0);
+    const holdPosition = useRef(new THREE.Vector3());
+    const holdLookAt = useRef(new THREE.Vector3());
+
+    const getIgnoredBody = () => {
+      const followed = target.current;
+      if (followed && isRapierBody(followed)) return followed;
+      return ignoreBody?.current ?? undefined;
+    };
+
+    // Loose dynamic props are ignored so they can't shove the camera around
+    const collide = (isFirstFrame: boolean, delta: number) => {
+      const direction = arm.current.subVectors(
+        smoothPosition.current,
+        pivot.current
+      );
+      const length = direction.length();
+
+      let clearRatio = 1;
+      if (collision && length > 1e-3) {
+        const hit = world.castShape(
+          pivot.current,
+          { x: 0, y: 0, z: 0, w: 1 },
+          direction.divideScalar(length),
+          new rapier.Ball(collisionRadius),
+          0, // targetDistance
+          length,
+          false, // stopAtPenetration - ignore whatever the pivot starts inside
+          rapier.QueryFilterFlags.EXCLUDE_SENSORS |
+            rapier.QueryFilterFlags.EXCLUDE_DYNAMIC,
+          undefined,
+          undefined,
+          getIgnoredBody()
+        );
+        if (hit) {
+          clearRatio = hit.time_of_impact / length;
+        }
+        direction.multiplyScalar(length);
+      }
+
+      if (isFirstFrame || clearRatio < armRatio.current) {
+        armRatio.current = clearRatio;
+      } else {
+        armRatio.current = THREE.MathUtils.damp(
+          armRatio.current,
+          clearRatio,
+          recoverySpeed,
+          delta
+        );
+      }
+      camera.position
+        .copy(pivot.current)
+        .addScaledVector(direction, armRatio.current);
+    };
+
+    // Bodies between the camera and the pivot. Bodies wrapped around the
+    // pivot (terrain, a level's floor) are left out, as fading them would
+    // hide the ground.
+    const findOccluders = () => {
+      const direction = arm.current.subVectors(camera.position, pivot.current);
+      const length = direction.length();
+      if (length < 1e-3) return [];
+
+      const handles = new Set<number>();
+      world.intersectionsWithRay(
+        new rapier.Ray(pivot.current, direction.divideScalar(length)),
+        length,
+        true,
+        (intersect) => {
+          const body = intersect.collider.parent();
+          if (body) handles.add(body.handle);
+          return true;
+        },
+        rapier.QueryFilterFlags.EXCLUDE_SENSORS,
+        undefined,
+        undefined,
+        getIgnoredBody()
+      );
+
+      const occluders: THREE.Object3D[] = [];
+      handles.forEach((handle) => {
+        const state = rigidBodyStates.get(handle);
+        if (!state || state.meshType === "instancedMesh") return;
+        if (
+          occluderBounds.current
+            .setFromObject(state.object)
+            .containsPoint(pivot.current)
+        ) {
+          return;
+        }
+        occluders.push(state.object);
+      });
+      return occluders;
+    };
+
+    const update = (delta: number, options: CameraRigUpdateOptions = {}) => {
+      const followed = target.current;
+      if (!followed) return;
+
+      const position = targetPosition.current;
+      let heading: number;
+      if (isRapierBody(followed)) {
+        position.copy(followed.translation());
+        heading = headingOf(followed.rotation());
+      } else {
+        followed.getWorldPosition(position);
+        heading = headingOf(
+          followed.getWorldQuaternion(targetRotation.current)
+        );
+      }
+
+      const isFirstFrame = !initialized.current;
+      const desiredYaw =
+        (getYaw ? getYaw() : heading) + orbitAngles.current.yaw;
+      if (isFirstFrame || resyncYaw.current) {
+        yaw.current = desiredYaw;
+      } else {
+        yaw.current += shortestAngle(desiredYaw - yaw.current) * lerpSpeed;
+      }
+      resyncYaw.current = false;
+
+      // Position: trail the ideal point, then pull in for whatever's in the way
+      idealPosition.current
+        .fromArray(offset)
+        .applyAxisAngle(UP, yaw.current)
+        .add(position);
+      if (isFirstFrame) {
+        smoothPosition.current.copy(idealPosition.current);
+      } else {
+        smoothPosition.current.lerp(idealPosition.current, lerpSpeed);
+      }
+      pivot.current.copy(position);
+      pivot.current.y += pivotHeight;
+      collide(isFirstFrame, delta);
+
+      if (fadeOccluders) {
+        occluderFade.update(
+          options.fadeOccluders === false ? [] : findOccluders(),
+          occluderOpacity,
+          8,
+          delta
+        );
+      } else {
+        occluderFade.clear();
+      }
+
+      // Look ahead of the target, or between it and the focus point
+      if (focus.current) {
+        idealLookAt.current
+          .copy(position)
+          .lerp(focus.current, focusFraming.current);
+      } else {
+        idealLookAt.current
+          .fromArray(lookOffset)
+          .applyAxisAngle(UP, yaw.current)
+          .add(position);
+      }
+      if (isFirstFrame) {
+        smoothLookAt.current.copy(idealLookAt.current);
+      } else {
+        smoothLookAt.current.lerp(idealLookAt.current, lerpSpeed);
+      }
+      // Orbit pitch tilts the view by raising or lowering the look-at point
+      if (orbitAngles.current.pitch !== 0) {
+        smoothLookAt.current.y =
+          idealLookAt.current.y +
+          Math.sin(orbitAngles.current.pitch) * PITCH_LOOK_HEIGHT;
+      }
+      camera.lookAt(smoothLookAt.current);
+      initialized.current = true;
+
+      if (holdFrames.current > 0) {
+        holdFrames.current -= 1;
+        camera.position.copy(holdPosition.current);
+        smoothPosition.current.copy(holdPosition.current);
+        smoothLookAt.current.copy(holdLookAt.current);
+        camera.lookAt(holdLookAt.current);
+      }
+    };
+
+    useImperativeHandle(ref, () => ({
+      update,
+      orbit: (yawDelta, pitchDelta) => {
+        const angles = orbitAngles.current;
+        angles.yaw += yawDelta;
+        angles.pitch = THREE.MathUtils.clamp(
+          angles.pitch + pitchDelta,
+          pitchLimits[0],
+          pitchLimits[1]
+        );
+      },
+      setOrbit: (orbitYaw, orbitPitch) => {
+        orbitAngles.current.yaw = orbitYaw;
+        orbitAngles.current.pitch = THREE.MathUtils.clamp(
+          orbitPitch,
+          pitchLimits[0],
+          pitchLimits[1]
+        );
+      },
+      getOrbit: () => orbitAngles.current,
+      getYaw: () => yaw.current,
+      setFocus: (point, framing = 0.5) => {
+        focus.current = point ? focusPoint.current.copy(point) : null;
+        focusFraming.current = framing;
+      },
+      snap: (position, lookAt, frames = 0) => {
+        holdPosition.current.copy(position);
+        holdLookAt.current.copy(lookAt);
+        holdFrames.current = Math.max(holdFrames.current, frames);
+        camera.position.copy(holdPosition.current);
+        camera.lookAt(holdLookAt.current);
+        smoothPosition.current.copy(holdPosition.current);
+        smoothLookAt.current.copy(holdLookAt.current);
+        initialized.current = true;
+      },
+      release: () => {
+        smoothPosition.current.copy(camera.position);
+        resyncYaw.current = true;
+        holdFrames.current = 0;
+        occluderFade.clear();
+      },
+    }));
+
+    useFrame((_, delta) => {
+      if (autoUpdate) update(delta);
+    });
+
+    return null;
+  }
+);
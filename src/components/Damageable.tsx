@@ -0,0 +1,117 @@
+import React, { useId, useMemo, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import {
+  RigidBody,
+  type RapierRigidBody,
+  type RigidBodyProps,
+} from "@react-three/rapier";
+import * as THREE from "three";
+import {
+  useRegisterDamageable,
+  type DamageableSource,
+} from "../context/CombatContext";
+import type { CombatStats, DamageResult } from "../types/combat";
+
+type DamageableProps = RigidBodyProps & {
+  id?: string; // Reported in combat events; generated when omitted
+  maxHealth?: number;
+  armor?: number;
+  targetable?: boolean; // Whether lock-on can select it
+  onHit?: (result: DamageResult) => void;
+  onDeath?: () => void;
+};
+
+const HIT_FLASH_TIME = 0.25; // Seconds the hit flash takes to fade
+const HIT_FLASH_COLOR = new THREE.Color("#ff3b30");
+const DEAD_TINT = 0.35; // Colour multiplier once health runs out
+
+type TintableMaterial = THREE.Material & {
+  color: THREE.Color;
+  emissive: THREE.Color;
+};
+
+const isTintable = (material: THREE.Material): material is TintableMaterial =>
+  "color" in material && "emissive" in material;
+
+/**
+ * Rigid body with health and armor that weapon hitboxes can damage and
+ * lock-on can target (see CombatContext). Accepts every RigidBody prop.
+ * Hits flash its meshes red; at zero health it darkens and stops taking
+ * damage, but can still be knocked around.
+ */
+export const Damageable = ({
+  id,
+  maxHealth = 100,
+  armor = 0,
+  targetable = true,
+  onHit,
+  onDeath,
+  children,
+  ...rigidBodyProps
+}: DamageableProps) => {
+  const generatedId = useId();
+  const bodyRef = useRef<RapierRigidBody>(null);
+  const groupRef = useRef<THREE.Group>(null);
+  const stats = useRef<CombatStats>({ health: maxHealth, armor });
+  const flashTime = useRef(0);
+  // Emissive colours before the first flash, to fade back to
+  const baseEmissive = useRef(new Map<TintableMaterial, THREE.Color>());
+  const callbacks = useRef({ onHit, onDeath });
+  callbacks.current = { onHit, onDeath };
+
+  const forEachMaterial = (visit: (material: TintableMaterial) => void) => {
+    groupRef.current?.traverse((object) => {
+      if (!(object instanceof THREE.Mesh)) return;
+      const materials = Array.isArray(object.material)
+        ? object.material
+        : [object.material];
+      materials.filter(isTintable).forEach(visit);
+    });
+  };
+
+  const source = useMemo<DamageableSource>(
+    () => ({
+      id: id ?? generatedId,
+      getBody: () => bodyRef.current,
+      getStats: () => stats.current,
+      targetable,
+      onDamaged: (result) => {
+        const wasAlive = stats.current.health > 0;
+        stats.current = { health: result.health, armor: result.armor };
+        if (!wasAlive) return;
+
+        flashTime.current = HIT_FLASH_TIME;
+        callbacks.current.onHit?.(result);
+        if (result.health <= 0) {
+          forEachMaterial((material) =>
+            material.color.multiplyScalar(DEAD_TINT)
+          );
+          callbacks.current.onDeath?.();
+        }
+      },
+    }),
+    [id, generatedId, targetable]
+  );
+  useRegisterDamageable(source);
+
+  useFrame((_, delta) => {
+    if (flashTime.current <= 0) return;
+
+    flashTime.current = Math.max(flashTime.current - delta, 0);
+    const strength = flashTime.current / HIT_FLASH_TIME;
+    forEachMaterial((material) => {
+      let base = baseEmissive.current.get(material);
+      if (!base) {
+        base = material.emissive.clone();
+        baseEmissive.current.set(material, base);
+      }
+      material.emissive.copy(base).lerp(HIT_FLASH_COLOR, strength);
+    });
+  });
+
+  return (
+    <RigidBody ref={bodyRef} {...rigidBodyProps}>
+      <group ref={groupRef}>{children}</group>
+    </RigidBody>
+  );
+};
@@ -3,23 +3,68 @@ import {
   OrthographicCamera,
   OrbitControls,
 } from "@react-three/drei";
-import { Physics } from "@react-three/rapier";
+import { Physics, useAfterPhysicsStep, useRapier } from "@react-three/rapier";
 import { useControls } from "leva";
-import { useRef, useState, useEffect, useCallback, useMemo } from "react";
+import {
+  Suspense,
+  useRef,
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+} from "react";
 import { useFrame } from "@react-three/fiber";
 import { GodotCharacterHybrid } from "./GodotCharacterHybrid";
 import * as THREE from "three";
 import { useLightsControls } from "./useLightsControls";
 import { Csm } from "./Csm";
 import { SSAOEffect } from "./SSAOEffect";
-import { getDefaultMapKey, useActiveMap } from "./useActiveMap";
-import { mapOrder } from "./mapDefinitions";
+import { getDefaultMapKey, getMapOptions, useActiveMap } from "./useActiveMap";
+import { useMapLoading } from "../context/MapLoadingContext";
+import { TerrainProvider, useTerrain } from "../context/TerrainContext";
+import { WaterProvider } from "../context/WaterContext";
+import { CombatProvider } from "../context/CombatContext";
+import { CutsceneProvider } from "../context/CutsceneContext";
+import { describeSpawnFailure, solveSpawnPosition } from "../utils/spawnSolver";
+import {
+  CHARACTER_PROFILES,
+  DEFAULT_CHARACTER_PROFILE,
+} from "../utils/characterProfiles";
+
+// Character picker options, display name to profile id
+const CHARACTER_OPTIONS = Object.fromEntries(
+  Object.values(CHARACTER_PROFILES).map((profile) => [profile.name, profile.id])
+);
+
+// Physics steps to wait after a map reports onTerrainReady, so its colliders
+// are registered in the Rapier world before the character is dropped in
+const TERRAIN_SETTLE_STEPS = 2;
+
+const PhysicsSettleGate = ({ onSettled }) => {
+  const { world, rapier } = useRapier();
+  const terrain = useTerrain();
+  const stepsRef = useRef(0);
+  const settledRef = useRef(false);
+
+  useAfterPhysicsStep(() => {
+    if (settledRef.current) return;
+    stepsRef.current += 1;
+    if (stepsRef.current >= TERRAIN_SETTLE_STEPS) {
+      settledRef.current = true;
+      onSettled(world, rapier, terrain);
+    }
+  });
+
+  return null;
+};
 
 export const Experience = () => {
   const [characterSpawnPosition, setCharacterSpawnPosition] = useState([
     0, 10, 0,
   ]);
   const [isTerrainReady, setIsTerrainReady] = useState(false);
+  // Map that has called onTerrainReady and is waiting for physics to settle
+  const [settlingMap, setSettlingMap] = useState(null);
   const [teleportRequest, setTeleportRequest] = useState(null);
 
   const directionalLightRef = useRef();
@@ -27,34 +72,28 @@ export const Experience = () => {
   const characterVelocity = useRef(new THREE.Vector3());
   const characterRotation = useRef(0);
   const defaultMap = getDefaultMapKey();
-  // Create map options with display names for map15, map16, and map6
-  const mapOptions = useMemo(() => {
-    const options = {};
-    mapOrder.forEach((mapKey) => {
-      if (mapKey === "map15") {
-        options["map15 (parkour)"] = mapKey;
-      } else if (mapKey === "map16") {
-        options["map16 (city)"] = mapKey;
-      } else if (mapKey === "map6") {
-        options["map6 (Zeldaterrain1-GLB)"] = mapKey;
-      } else {
-        options[mapKey] = mapKey;
-      }
-    });
-    return options;
-  }, []);
-  const { map, cameraMode } = useControls("Map", {
+  // Map options with display names from the map manifest
+  const mapOptions = useMemo(() => getMapOptions(), []);
+  const { map, character, cameraMode } = useControls("Map", {
     map: {
       value: defaultMap,
       options: mapOptions,
     },
+    character: {
+      value: DEFAULT_CHARACTER_PROFILE.id,
+      options: CHARACTER_OPTIONS,
+      label: "Character",
+    },
     cameraMode: {
       value: "follow",
-      options: ["follow", "orbit", "follow-orbit"],
+      options: ["follow", "orbit", "follow-orbit", "first-person"],
       label: "Camera Mode",
     },
   });
 
+  const characterProfile =
+    CHARACTER_PROFILES[character] ?? DEFAULT_CHARACTER_PROFILE;
+
   const { showRapierDebug } = useControls("🐛 DEBUG", {
     showRapierDebug: {
       value: false,
@@ -96,12 +135,63 @@ export const Experience = () => {
     showTestSphere,
   } = useLightsControls();
 
+  const { beginMapLoad, completeMapLoad, failMapLoad } = useMapLoading();
+
+  // Read by handleTerrainReady so a late callback from a previous map is ignored
+  const activeMapKeyRef = useRef(map);
+  activeMapKeyRef.current = map;
+
   const handleTerrainReady = useCallback(() => {
-    setTimeout(() => {
-      setIsTerrainReady(true);
-    }, 200);
+    setSettlingMap(activeMapKeyRef.current);
   }, []);
 
+  // Spawn resolver and fallback for the active map (set below, once
+  // useActiveMap has run)
+  const getSpawnPositionRef = useRef(null);
+  const spawnFallbackRef = useRef(null);
+  // Capsule the character last reported, which the capsule controls may have
+  // changed from its profile's
+  const characterCapsuleRef = useRef(null);
+
+  const handleCapsuleChange = useCallback((capsule) => {
+    characterCapsuleRef.current = capsule;
+  }, []);
+
+  const handleTerrainSettled = useCallback(
+    (world, rapier, terrain) => {
+      if (getSpawnPositionRef.current) {
+        const requested = getSpawnPositionRef.current();
+        const capsule = characterCapsuleRef.current ?? characterProfile.capsule;
+        // Search the settled physics world for standing room near the requested spawn
+        const result = solveSpawnPosition(world, rapier, requested, {
+          capsuleHalfHeight: capsule.height / 2,
+          capsuleRadius: capsule.radius,
+          terrain,
+        });
+        if (result.ok) {
+          setCharacterSpawnPosition(result.position);
+        } else {
+          const message = describeSpawnFailure(requested, result);
+          const fallback = spawnFallbackRef.current;
+          if (!fallback) {
+            // Nowhere to put the character: keep the overlay up with the reason
+            console.error(message, result.failures);
+            failMapLoad(message);
+            return;
+          }
+          console.warn(
+            `${message}; using the manifest fallback [${fallback.join(", ")}]`,
+            result.failures
+          );
+          setCharacterSpawnPosition(fallback);
+        }
+      }
+      setIsTerrainReady(true);
+      completeMapLoad();
+    },
+    [completeMapLoad, failMapLoad, characterProfile]
+  );
+
   const handleTeleportRequest = useCallback((request) => {
     setTeleportRequest(request);
   }, []);
@@ -122,6 +212,9 @@ export const Experience = () => {
     onTeleportRequest: handleTeleportRequest,
   });
 
+  getSpawnPositionRef.current = activeMap.getSpawnPosition;
+  spawnFallbackRef.current = activeMap.spawnFallback;
+
   const directionalPosition = useMemo(
     () => activeMap.directionalOverride ?? defaultDirectionalPosition,
     [activeMap.directionalOverride, defaultDirectionalPosition]
@@ -151,7 +244,7 @@ export const Experience = () => {
   // Track previous map to detect actual changes (initialize to null for first run)
   const prevMapRef = useRef(null);
 
-  // Calculate smart spawn positions when map changes
+  // Reset terrain/loading state when map changes (spawn is resolved once terrain settles)
   useEffect(() => {
     const previousMap = prevMapRef.current;
     if (previousMap !== map) {
@@ -163,9 +256,9 @@ export const Experience = () => {
 
     // Always wait for terrain ready - ALL maps must call onTerrainReady before character spawns
     setIsTerrainReady(false);
-
-    setCharacterSpawnPosition(activeMap.spawnPosition);
-  }, [map, activeMap]);
+    setSettlingMap((current) => (current === map ? current : null));
+    beginMapLoad(activeMap.mapName);
+  }, [map, activeMap, beginMapLoad]);
 
   // Update shadow camera position to follow character when enabled
   useFrame(() => {
@@ -302,25 +395,44 @@ export const Experience = () => {
         </directionalLight>
       )}
       <Physics key={map} debug={showRapierDebug}>
-        <MapComponent {...mapProps} />
-        {/* Only spawn character when terrain is ready */}
-        {isTerrainReady && (
-          <GodotCharacterHybrid
-            cameraMode={cameraMode}
-            position={characterSpawnPosition}
-            teleportRequest={teleportRequest}
-            onTeleportHandled={handleTeleportHandled}
-            onPositionChange={(pos) => {
-              characterPositionVector.current.set(pos[0], pos[1], pos[2]);
-            }}
-            onVelocityChange={(vel) => {
-              characterVelocity.current.set(vel[0], vel[1], vel[2]);
-            }}
-            onRotationChange={(rot) => {
-              characterRotation.current = rot;
-            }}
-          />
-        )}
+        <TerrainProvider>
+          <WaterProvider>
+            <CombatProvider>
+              <CutsceneProvider cutscenes={activeMap.cutscenes}>
+                <Suspense fallback={null}>
+                  <MapComponent {...mapProps} />
+                </Suspense>
+                {settlingMap === map && !isTerrainReady && (
+                  <PhysicsSettleGate onSettled={handleTerrainSettled} />
+                )}
+                {/* Only spawn character when terrain is ready */}
+                {isTerrainReady && (
+                  <GodotCharacterHybrid
+                    profile={characterProfile}
+                    cameraMode={cameraMode}
+                    position={characterSpawnPosition}
+                    teleportRequest={teleportRequest}
+                    onTeleportHandled={handleTeleportHandled}
+                    onCapsuleChange={handleCapsuleChange}
+                    onPositionChange={(pos) => {
+                      characterPositionVector.current.set(
+                        pos[0],
+                        pos[1],
+                        pos[2]
+                      );
+                    }}
+                    onVelocityChange={(vel) => {
+                      characterVelocity.current.set(vel[0], vel[1], vel[2]);
+                    }}
+                    onRotationChange={(rot) => {
+                      characterRotation.current = rot;
+                    }}
+                  />
+                )}
+              </CutsceneProvider>
+            </CombatProvider>
+          </WaterProvider>
+        </TerrainProvider>
       </Physics>
       {showTestSphere && (
         <mesh position={[0, 2, 5]} castShadow>
@@ -1,7 +1,7 @@
 import React, { useMemo } from "react";
+import { useTerrain } from "../context/TerrainContext";
 
 interface FloorDebugSpheresProps {
-  heightmapLookup: ((x: number, z: number) => number) | null;
   enabled?: boolean;
   gridSize?: number;
   areaSize?: number;
@@ -11,7 +11,6 @@ interface FloorDebugSpheresProps {
 }
 
 export const FloorDebugSpheres = ({
-  heightmapLookup,
   enabled = true,
   gridSize = 15,
   areaSize = 500,
@@ -19,13 +18,18 @@ export const FloorDebugSpheres = ({
   sphereColor = "#00ff00",
   emissiveIntensity = 0.8,
 }: FloorDebugSpheresProps) => {
-  // Generate sphere positions using heightmap lookup
+  const { isReady, version, getHeight } = useTerrain();
+
+  // Generate sphere positions using the registered terrain(s)
   const spheres = useMemo(() => {
-    if (!enabled || !heightmapLookup) {
-      console.log("🔴 FloorDebugSpheres: Not enabled or no heightmapLookup", {
-        enabled,
-        hasHeightmap: !!heightmapLookup,
-      });
+    if (!enabled || !isReady) {
+      console.log(
+        "🔴 FloorDebugSpheres: Not enabled or no terrain registered",
+        {
+          enabled,
+          hasTerrain: isReady,
+        }
+      );
       return [];
     }
 
@@ -38,8 +42,8 @@ export const FloorDebugSpheres = ({
         const worldX = x * spacing;
         const worldZ = z * spacing;
 
-        // Use heightmap lookup to get terrain height
-        const terrainHeight = heightmapLookup(worldX, worldZ);
+        const terrainHeight = getHeight(worldX, worldZ);
+        if (terrainHeight === null) continue;
 
         positions.push([worldX, terrainHeight, worldZ]);
       }
@@ -47,9 +51,9 @@ export const FloorDebugSpheres = ({
 
     console.log(`✅ FloorDebugSpheres: Generated ${positions.length} spheres`);
     return positions;
-  }, [enabled, heightmapLookup, gridSize, areaSize]);
+  }, [enabled, isReady, version, getHeight, gridSize, areaSize]);
 
-  if (!enabled || !heightmapLookup || spheres.length === 0) {
+  if (!enabled || spheres.length === 0) {
     return null;
   }
 
@@ -12,6 +12,8 @@ export interface FootstepParticleSpawnOptions {
   position: THREE.Vector3;
   normal?: THREE.Vector3;
   slopeFactor?: number;
+  lift?: number; // Upward speed multiplier; water splashes throw higher than dust
+  surface?: string; // Terrain material stepped on (see TerrainProvider)
 }
 
 export interface FootstepParticlesHandle {
@@ -21,6 +23,15 @@ export interface FootstepParticlesHandle {
 const MAX_PARTICLES = 48;
 const PARTICLE_LIFETIME = 0.45;
 
+// Dust colour per terrain material from createHeightBandMaterial; anything
+// else kicks up white
+const SURFACE_TINTS: Record<string, string> = {
+  valley: "#c8b08a",
+  grass: "#b9cc94",
+  mountain: "#b3aba0",
+  peak: "#ffffff",
+};
+
 export const FootstepParticles = forwardRef<FootstepParticlesHandle>(
   (_, ref) => {
     const groupRef = useRef<THREE.Group>(null);
@@ -104,7 +115,7 @@ export const FootstepParticles = forwardRef<FootstepParticlesHandle>(
     useImperativeHandle(
       ref,
       () => ({
-        spawn: ({ position, normal, slopeFactor = 0 }) => {
+        spawn: ({ position, normal, slopeFactor = 0, lift = 1, surface }) => {
           if (!groupRef.current || spritesRef.current.length === 0) {
             return;
           }
@@ -125,11 +136,8 @@ export const FootstepParticles = forwardRef<FootstepParticlesHandle>(
           const up =
             normal && normal.lengthSq() > 0 ? normal.clone() : undefined;
           const lateralStrength = THREE.MathUtils.lerp(0.4, 1.1, slopeFactor);
-          const upwardStrength = THREE.MathUtils.lerp(
-            0.55,
-            0.8,
-            1 - slopeFactor
-          );
+          const upwardStrength =
+            THREE.MathUtils.lerp(0.55, 0.8, 1 - slopeFactor) * lift;
 
           const randomDir = new THREE.Vector3(
             Math.random() - 0.5,
@@ -155,6 +163,9 @@ export const FootstepParticles = forwardRef<FootstepParticlesHandle>(
 
           const material = sprite.material as THREE.SpriteMaterial;
           material.opacity = 0.55;
+          material.color.set(
+            (surface && SURFACE_TINTS[surface]) ?? SURFACE_TINTS.peak
+          );
           activeRef.current[index] = true;
         },
       }),
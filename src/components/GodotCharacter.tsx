@@ -1,22 +1,143 @@
 import { useAnimations, useGLTF } from "@react-three/drei";
-import React, { useEffect, useRef, useMemo } from "react";
+import React, { useCallback, useEffect, useRef, useMemo } from "react";
 import { useFrame, useGraph } from "@react-three/fiber";
 import { useControls, folder } from "leva";
 import * as THREE from "three";
 import { SkeletonUtils } from "three-stdlib";
+import {
+  applyAnimationLayer,
+  createAnimationLayerTracks,
+  type AnimationLayerBlend,
+  type AnimationLayerTracks,
+} from "../utils/animationLayers";
+import {
+  sampleBlendSpace,
+  type LocomotionBlendSpace,
+} from "../utils/blendSpace";
+import { DEFAULT_CHARACTER_PROFILE } from "../utils/characterProfiles";
+import type {
+  CharacterBoneRole,
+  CharacterProfile,
+} from "../types/characterProfile";
+
+/**
+ * A clip played over the base animation, on part of the skeleton (mask) or
+ * all of it. Layers apply in order, overrides before additives.
+ */
+export interface AnimationLayer {
+  name: string; // Stable key; a new animation under the same name restarts it
+  animation: string | null; // Same names as `animation`; null fades the layer out
+  blend?: AnimationLayerBlend; // Default "override"
+  mask?: readonly string[]; // Bone names it drives, e.g. a profile's boneMasks.upperBody
+  weight?: number; // 0 to 1, default 1
+  fade?: number; // Seconds to fade in and out, default 0.2
+}
+
+// Seconds to fade between clips, and into or out of a blend space
+const ANIMATION_FADE = 0.2;
+
+// How quickly the blend follows velocity changes, as in MathUtils.damp
+const BLEND_VELOCITY_DAMPING = 10;
+
+const blendSpaceClips = (space: LocomotionBlendSpace) => [
+  ...new Set([
+    space.idle,
+    ...[space.forward, space.backward, space.left, space.right].flatMap(
+      (samples) => (samples ?? []).map((sample) => sample.clip)
+    ),
+  ]),
+];
+
+type BlendSpacePlayback = {
+  space: LocomotionBlendSpace;
+  weight: number; // Fades in like a single clip would
+  phase: number; // 0 to 1 through the moving clips' shared cycle
+  velocity: THREE.Vector3; // Smoothed, in the character's frame
+};
+
+// One playing (or fading out) clip of a layer
+type LayerPlayback = {
+  layer: string;
+  clip: string;
+  tracks: AnimationLayerTracks;
+  loop: boolean;
+  time: number;
+  weight: number;
+};
 
 interface GodotCharacterProps {
+  // Model, rig and clips to use; the Godot mannequin by default
+  profile?: CharacterProfile;
   animation?: string;
+  // World-space velocity of the body; with it, locomotion animations (see the
+  // profile's blendSpaces) blend and pace their clips to match it
+  getVelocity?: () => THREE.Vector3Like | null;
+  // Clips blended over `animation`, e.g. an upper-body attack while running
+  layers?: AnimationLayer[];
   onFootBonesReady?: (bones: {
     leftFoot: THREE.Object3D | null;
     rightFoot: THREE.Object3D | null;
   }) => void;
+  // Bone the weapon hitbox follows (the right hand; the model has no sword mesh)
+  onWeaponBoneReady?: (bone: THREE.Object3D | null) => void;
+  // Bone the first-person camera sits on
+  onHeadBoneReady?: (bone: THREE.Object3D | null) => void;
+  // Collapse the head (first person), so the camera doesn't see inside it
+  hideHead?: boolean;
+  // Called every frame once the pose is final, e.g. to apply IK over it
+  onAfterAnimate?: (delta: number) => void;
   [key: string]: any;
 }
 
+// Bone names tried for roles a profile doesn't map (Mixamo and the like)
+const DEFAULT_BONE_CANDIDATES: Record<CharacterBoneRole, string[]> = {
+  head: ["mixamorigHead", "mixamorig_Head", "Head"],
+  weapon: ["mixamorigRightHand", "mixamorig_RightHand", "RightHand"],
+  leftFoot: ["mixamorigLeftFoot", "mixamorig_LeftFoot", "LeftFoot"],
+  rightFoot: ["mixamorigRightFoot", "mixamorig_RightFoot", "RightFoot"],
+};
+
+// Scale given to a hidden head; zero would make its matrix non-invertible
+const HIDDEN_HEAD_SCALE = 1e-4;
+
+// Bone by exact node name, else the first bone whose name contains a candidate
+const findBoneByCandidates = (
+  nodes: Record<string, any>,
+  candidates: string[]
+) => {
+  // Node names as three loaded them
+  const names = candidates.map((name) =>
+    THREE.PropertyBinding.sanitizeNodeName(name)
+  );
+  for (const name of names) {
+    const directMatch = nodes[name];
+    if (directMatch) {
+      return directMatch as THREE.Object3D;
+    }
+  }
+
+  const lowerCandidates = names.map((name) => name.toLowerCase());
+
+  return Object.values(nodes).find((node: any) => {
+    if (!node || typeof node !== "object") return false;
+    if (!("isBone" in node) || !node.isBone) return false;
+    const nodeName = (node.name || "").toLowerCase();
+    return lowerCandidates.some((candidate) =>
+      nodeName.includes(candidate.toLowerCase())
+    );
+  }) as THREE.Object3D | undefined;
+};
+
 export function GodotCharacter({
+  profile = DEFAULT_CHARACTER_PROFILE,
   animation,
   onFootBonesReady,
+  onWeaponBoneReady,
+  onHeadBoneReady,
+  onAfterAnimate,
+  hideHead = false,
+  layers = [],
+  getVelocity,
   ...props
 }: GodotCharacterProps) {
   const group = useRef<THREE.Group>(null);
@@ -24,35 +145,43 @@ export function GodotCharacter({
   const bonesNotifiedRef = useRef(false);
 
   // Load the model
-  const { scene, animations } = useGLTF(
-    "/models/AnimationLibrary_Godot_Standard-transformed.glb"
-  );
+  const { scene, animations } = useGLTF(profile.modelUrl);
 
   // Clone the scene properly with skeleton
   const clone = useMemo(() => SkeletonUtils.clone(scene), [scene]);
-  const { nodes, materials } = useGraph(clone) as any;
+  const { nodes } = useGraph(clone) as any;
 
   const { actions, mixer } = useAnimations(animations, animationGroup);
+  const animationMap = profile.animations;
+
+  // A bone of the model by role, or null
+  const findBone = useCallback(
+    (role: CharacterBoneRole) =>
+      findBoneByCandidates(
+        nodes,
+        profile.bones[role] ?? DEFAULT_BONE_CANDIDATES[role]
+      ) || null,
+    [nodes, profile.bones]
+  );
 
   // Character controls
-  const { yPosition, showDebug, characterScaleDisplay } = useControls(
-    "🎮 GODOT CHARACTER",
-    {
+  const [{ yPosition, showDebug, characterScaleDisplay }, setVisuals] =
+    useControls("🎮 GODOT CHARACTER", () => ({
       characterVisuals: folder(
         {
           yPosition: {
-            value: -0.99,
+            value: profile.visualOffsetY,
             min: -2,
             max: 2,
             step: 0.01,
             label: "Feet Position - Align feet with capsule bottom",
           },
           characterScaleDisplay: {
-            value: 1,
-            min: 0.1,
+            value: profile.scale ?? 1,
+            min: 0.05,
             max: 5,
-            step: 0.1,
-            label: "Character Visual Scale (1 = realistic)",
+            step: 0.05,
+            label: "Character Visual Scale (Model Units to Meters)",
           },
           showDebug: {
             value: false,
@@ -61,23 +190,44 @@ export function GodotCharacter({
         },
         { collapsed: true }
       ),
-    }
-  );
+    }));
+
+  // Another profile brings its own alignment; tweaks to the previous one go
+  const visualsProfile = useRef(profile);
+  useEffect(() => {
+    if (visualsProfile.current === profile) return;
+    visualsProfile.current = profile;
+    setVisuals({
+      yPosition: profile.visualOffsetY,
+      characterScaleDisplay: profile.scale ?? 1,
+    });
+  }, [profile, setVisuals]);
 
   // Use the character scale directly (no conversion needed)
   const characterScale = characterScaleDisplay;
 
-  // Validate character setup once
+  // Draw the profile's meshes, skinned ones unculled as their bounds don't
+  // follow the pose; hide anything else the file has
   useEffect(() => {
-    // Check character bounding box for real-world size
-    if (nodes.Mannequin_1) {
-      nodes.Mannequin_1.geometry.computeBoundingBox();
-    }
-  }, [nodes]);
+    const shown = new Set<THREE.Object3D>();
+    profile.meshes.forEach(
+      (name) =>
+        clone
+          .getObjectByName(THREE.PropertyBinding.sanitizeNodeName(name))
+          ?.traverse((object) => shown.add(object))
+    );
+    clone.traverse((object) => {
+      if (!(object as THREE.Mesh).isMesh) return;
+      object.visible = shown.has(object);
+      object.castShadow = true;
+      object.receiveShadow = true;
+      object.frustumCulled = false;
+    });
+  }, [clone, profile.meshes]);
 
   useEffect(() => {
     bonesNotifiedRef.current = false;
-  }, [onFootBonesReady]);
+  }, [nodes, onFootBonesReady]);
 
   useEffect(() => {
     if (!nodes || bonesNotifiedRef.current) {
@@ -104,47 +254,8 @@ export function GodotCharacter({
       return;
     }
 
-    const findBoneByCandidates = (candidates: string[]) => {
-      for (const candidate of candidates) {
-        const directMatch = nodes[candidate];
-        if (directMatch) {
-          return directMatch;
-        }
-      }
-
-      const lowerCandidates = candidates.map((name) => name.toLowerCase());
-
-      return Object.values(nodes).find((node: any) => {
-        if (!node || typeof node !== "object") return false;
-        if (!("isBone" in node) || !node.isBone) return false;
-        const nodeName = (node.name || "").toLowerCase();
-        return lowerCandidates.some((candidate) =>
-          nodeName.includes(candidate.toLowerCase())
-        );
-      }) as THREE.Object3D | undefined;
-    };
-
-    const leftFootCandidates = [
-      "mixamorigLeftFoot",
-      "mixamorig_LeftFoot",
-      "LeftFoot",
-      "DEF-footL",
-    ];
-    const rightFootCandidates = [
-      "mixamorigRightFoot",
-      "mixamorig_RightFoot",
-      "RightFoot",
-      "DEF-footR",
-    ];
-
-    const leftFoot =
-      (findBoneByCandidates(leftFootCandidates) as
-        | THREE.Object3D
-        | undefined) || null;
-    const rightFoot =
-      (findBoneByCandidates(rightFootCandidates) as
-        | THREE.Object3D
-        | undefined) || null;
+    const leftFoot = findBone("leftFoot");
+    const rightFoot = findBone("rightFoot");
 
     onFootBonesReady({
       leftFoot,
@@ -152,48 +263,230 @@ export function GodotCharacter({
     });
 
     bonesNotifiedRef.current = true;
-  }, [nodes, onFootBonesReady]);
+  }, [nodes, onFootBonesReady, findBone]);
 
-  // Animation mapping - map our animation names to Godot animation names
-  const animationMap: { [key: string]: string } = {
-    idle: "Idle_Loop",
-    walk: "Walk_Loop",
-    run: "Sprint_Loop",
-    walkBackwards: "Walk_Loop", // No backwards walk, use regular walk
-    leftTurn: "Walk_Loop",
-    rightTurn: "Walk_Loop",
-    dance: "Dance_Loop",
-    jumpStart: "Jump_Start",
-    jumpLoop: "Jump_Loop",
-    jumpLand: "Jump_Land",
-    crouchIdle: "Crouch_Idle_Loop",
-    crouchWalk: "Crouch_Fwd_Loop",
-    // Combat animations
-    swordIdle: "Sword_Idle",
-    swordAttack: "Sword_Attack",
-    swordAttackAlt: "Sword_Attack_RM",
-    roll: "Roll",
-  };
+  useEffect(() => {
+    onWeaponBoneReady?.(findBone("weapon"));
+  }, [onWeaponBoneReady, findBone]);
+
+  const headBone = useMemo(() => findBone("head"), [findBone]);
+
+  useEffect(() => {
+    onHeadBoneReady?.(headBone);
+  }, [headBone, onHeadBoneReady]);
 
   const currentAnimationRef = useRef<string | null>(null);
+  const blendSpaceRef = useRef<BlendSpacePlayback | null>(null);
+  const tempVelocity = useRef(new THREE.Vector3());
+  const tempInverseRotation = useRef(new THREE.Quaternion());
+
+  // Weight and pace the blend space's clips for the body's velocity. Moving
+  // clips share one cycle phase so their footfalls line up while blending.
+  const updateBlendSpace = (delta: number) => {
+    const playback = blendSpaceRef.current;
+    const velocity = getVelocity?.();
+    if (!playback || !actions || !group.current) return;
+
+    const local = tempVelocity.current.set(0, 0, 0);
+    if (velocity) {
+      local
+        .set(velocity.x, 0, velocity.z)
+        .applyQuaternion(
+          group.current.getWorldQuaternion(tempInverseRotation.current).invert()
+        );
+    }
+    playback.velocity.x = THREE.MathUtils.damp(
+      playback.velocity.x,
+      local.x,
+      BLEND_VELOCITY_DAMPING,
+      delta
+    );
+    playback.velocity.z = THREE.MathUtils.damp(
+      playback.velocity.z,
+      local.z,
+      BLEND_VELOCITY_DAMPING,
+      delta
+    );
+    playback.weight = Math.min(playback.weight + delta / ANIMATION_FADE, 1);
+
+    const { weights, playbackRate } = sampleBlendSpace(
+      playback.space,
+      playback.velocity.x,
+      playback.velocity.z
+    );
+
+    let movingWeight = 0;
+    let cycle = 0;
+    weights.forEach(({ sample, weight }) => {
+      const action = sample && actions[sample.clip];
+      if (!action) return;
+      movingWeight += weight;
+      cycle += action.getClip().duration * weight;
+    });
+    if (movingWeight > 0 && cycle > 0) {
+      playback.phase =
+        (playback.phase + (delta * playbackRate * movingWeight) / cycle) % 1;
+    }
+
+    blendSpaceClips(playback.space).forEach((clip) => {
+      const action = actions[clip];
+      if (!action) return;
+      const entries = weights.filter(
+        (entry) => (entry.sample?.clip ?? playback.space.idle) === clip
+      );
+      const weight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+      action.setEffectiveWeight(weight * playback.weight);
+
+      // Moving clips follow the shared phase; idle keeps its own time
+      const sample = entries[0]?.sample;
+      if (!sample) {
+        action.setEffectiveTimeScale(1);
+        return;
+      }
+      action.setEffectiveTimeScale(0);
+      action.time =
+        (sample.reverse ? 1 - playback.phase : playback.phase) *
+        action.getClip().duration;
+    });
+  };
+
+  // Layer clips bound to this skeleton, by clip, blend and mask
+  const layerTracksCache = useRef(new Map<string, AnimationLayerTracks>());
+  const layerPlaybacks = useRef<LayerPlayback[]>([]);
+
+  // A new model (profile) starts its base animation and layers afresh
+  useEffect(() => {
+    currentAnimationRef.current = null;
+    blendSpaceRef.current = null;
+    layerTracksCache.current.clear();
+    layerPlaybacks.current = [];
+  }, [clone]);
+
+  // Start, retarget and fade the playing layer clips toward this frame's layers
+  const updateLayers = (delta: number) => {
+    const root = animationGroup.current;
+    if (!root) return;
+
+    layers.forEach((layer) => {
+      const clipName = layer.animation && animationMap[layer.animation];
+      if (!clipName) return;
+      const playing = layerPlaybacks.current.some(
+        (playback) =>
+          playback.layer === layer.name && playback.clip === clipName
+      );
+      const clip = animations.find((candidate) => candidate.name === clipName);
+      if (playing || !clip) return;
+
+      const blend = layer.blend ?? "override";
+      const key = `${clipName}|${blend}|${layer.mask?.join(",") ?? "*"}`;
+      let tracks = layerTracksCache.current.get(key);
+      if (!tracks) {
+        tracks = createAnimationLayerTracks(clip, root, blend, layer.mask);
+        layerTracksCache.current.set(key, tracks);
+      }
+      layerPlaybacks.current.push({
+        layer: layer.name,
+        clip: clipName,
+        tracks,
+        // Godot library convention: looping clips end in _Loop
+        loop: profile.loopingClips
+          ? profile.loopingClips.includes(clipName)
+          : clipName.endsWith("_Loop"),
+        time: 0,
+        weight: 0,
+      });
+    });
+
+    layerPlaybacks.current = layerPlaybacks.current.filter((playback) => {
+      const layer = layers.find(({ name }) => name === playback.layer);
+      const isCurrent =
+        !!layer?.animation && animationMap[layer.animation] === playback.clip;
+      const target = isCurrent ? layer?.weight ?? 1 : 0;
+      const step = delta / Math.max(layer?.fade ?? 0.2, 1e-3);
+      playback.weight =
+        playback.weight < target
+          ? Math.min(playback.weight + step, target)
+          : Math.max(playback.weight - step, target);
+
+      const { duration } = playback.tracks;
+      playback.time += delta;
+      if (playback.loop && duration > 0) {
+        playback.time %= duration;
+      } else {
+        playback.time = Math.min(playback.time, duration);
+      }
+      return isCurrent || playback.weight > 0;
+    });
+
+    // Additive motion goes on top of the finished pose, as in the mixer
+    (["override", "additive"] as const).forEach((blend) =>
+      layerPlaybacks.current.forEach((playback) => {
+        if (playback.tracks.blend === blend) {
+          applyAnimationLayer(playback.tracks, playback.time, playback.weight);
+        }
+      })
+    );
+  };
 
   // Force reset position every frame to prevent sliding
-  useFrame(() => {
+  // (layers go on after the mixer has posed the base animation; then a
+  // hidden head is re-collapsed - the clips key the head's scale, so it
+  // comes back on its own when shown again)
+  useFrame((_, delta) => {
     if (animationGroup.current) {
       animationGroup.current.position.set(0, yPosition, 0);
       animationGroup.current.rotation.set(0, 0, 0);
     }
+    updateBlendSpace(delta);
+    updateLayers(delta);
+    if (hideHead && headBone) {
+      headBone.scale.setScalar(HIDDEN_HEAD_SCALE);
+    }
+    onAfterAnimate?.(delta);
   });
 
   useEffect(() => {
     if (actions && animation && animationGroup.current) {
+      const previousAction = currentAnimationRef.current
+        ? actions[currentAnimationRef.current]
+        : null;
+      // Hand the blend space's clips back to the mixer and let them fade
+      const fadeOutBlendSpace = () => {
+        const playback = blendSpaceRef.current;
+        if (!playback) return;
+        blendSpaceClips(playback.space).forEach(
+          (clip) =>
+            actions[clip]?.setEffectiveTimeScale(1).fadeOut(ANIMATION_FADE)
+        );
+        blendSpaceRef.current = null;
+      };
+
+      // Locomotion sharing a blend space keeps blending across state changes
+      const blendSpace = getVelocity
+        ? profile.blendSpaces?.[animation]
+        : undefined;
+      if (blendSpace) {
+        if (blendSpaceRef.current?.space === blendSpace) return;
+        previousAction?.fadeOut(ANIMATION_FADE);
+        fadeOutBlendSpace();
+        blendSpaceClips(blendSpace).forEach(
+          (clip) => actions[clip]?.reset().setEffectiveWeight(0).play()
+        );
+        blendSpaceRef.current = {
+          space: blendSpace,
+          weight: 0,
+          phase: 0,
+          velocity: new THREE.Vector3(),
+        };
+        currentAnimationRef.current = null;
+        return;
+      }
+
       const mappedAnimation = animationMap[animation] || animationMap.idle;
 
       if (currentAnimationRef.current !== mappedAnimation) {
-        const previousAction = currentAnimationRef.current
-          ? actions[currentAnimationRef.current]
-          : null;
         const nextAction = actions[mappedAnimation];
+        fadeOutBlendSpace();
 
         if (nextAction) {
           // If there was a previous animation, fade it out
@@ -211,18 +504,19 @@ export function GodotCharacter({
 
           currentAnimationRef.current = mappedAnimation;
         } else {
-          // Fallback to Idle_Loop if mapping doesn't exist
-          if (actions["Idle_Loop"]) {
+          // Fall back to idle if the model lacks the mapped clip
+          const idleAction = actions[animationMap.idle];
+          if (idleAction) {
             if (previousAction) {
               previousAction.fadeOut(0.2);
             }
-            actions["Idle_Loop"].reset().fadeIn(0.2).play();
-            currentAnimationRef.current = "Idle_Loop";
+            idleAction.reset().fadeIn(0.2).play();
+            currentAnimationRef.current = animationMap.idle;
           }
         }
       }
     }
-  }, [animation, actions, animationMap]);
+  }, [animation, actions, animationMap, profile.blendSpaces, getVelocity]);
 
   return (
     <group ref={group} {...props}>
@@ -255,38 +549,10 @@ export function GodotCharacter({
         position={[0, yPosition, 0]}
         scale={characterScale}
       >
-        <group name="Scene">
-          <group name="Rig">
-            {nodes.root && <primitive object={nodes.root} />}
-          </group>
-          <group name="Mannequin">
-            {nodes.Mannequin_1 && (
-              <skinnedMesh
-                name="Mannequin_1"
-                geometry={nodes.Mannequin_1.geometry}
-                material={materials?.M_Main || nodes.Mannequin_1.material}
-                skeleton={nodes.Mannequin_1.skeleton}
-                castShadow
-                receiveShadow
-                frustumCulled={false}
-              />
-            )}
-            {nodes.Mannequin_2 && (
-              <skinnedMesh
-                name="Mannequin_2"
-                geometry={nodes.Mannequin_2.geometry}
-                material={materials?.M_Joints || nodes.Mannequin_2.material}
-                skeleton={nodes.Mannequin_2.skeleton}
-                castShadow
-                receiveShadow
-                frustumCulled={false}
-              />
-            )}
-          </group>
-        </group>
+        <primitive object={clone} />
       </group>
     </group>
   );
 }
 
-useGLTF.preload("/models/AnimationLibrary_Godot_Standard-transformed.glb");
+useGLTF.preload(DEFAULT_CHARACTER_PROFILE.modelUrl);
@@ -1,18 +1,24 @@
 // Hybrid approach: Rapier for physics + BVH for ground detection
 import React, {
+  Suspense,
   useCallback,
   useEffect,
   useMemo,
   useRef,
   useState,
 } from "react";
-import { useKeyboardControls } from "@react-three/drei";
 import { useFrame, useThree } from "@react-three/fiber";
-import { CapsuleCollider, RigidBody, useRapier } from "@react-three/rapier";
+import {
+  CapsuleCollider,
+  RigidBody,
+  useBeforePhysicsStep,
+  useRapier,
+} from "@react-three/rapier";
+import type { KinematicCharacterController } from "@dimforge/rapier3d-compat";
 import { useControls, folder } from "leva";
-import { MathUtils, Vector3, Matrix4, Line3, Box3 } from "three";
+import { MathUtils, Vector3, Matrix4, Line3, Box3, Quaternion } from "three";
 import { degToRad } from "three/src/math/MathUtils.js";
-import { GodotCharacter } from "./GodotCharacter";
+import { GodotCharacter, type AnimationLayer } from "./GodotCharacter";
 import type * as THREE from "three";
 import { TeleportationRequest } from "../types/teleportation";
 import {
@@ -20,6 +26,49 @@ import {
   type FootstepParticlesHandle,
   type FootstepParticleSpawnOptions,
 } from "./FootstepParticles";
+import {
+  ATTACK_STATES,
+  CHARACTER_STATE_DURATIONS,
+  LEDGE_STATES,
+  SWIM_STATES,
+  createCharacterStateMachine,
+  resolveLocomotionState,
+} from "../utils/characterStateMachine";
+import type {
+  CharacterAttack,
+  CharacterState,
+  CharacterStateInput,
+  WaterLevel,
+} from "../types/characterState";
+import { useCharacterInput } from "./useCharacterInput";
+import { useWeaponHitbox } from "./useWeaponHitbox";
+import { useLockOn } from "./useLockOn";
+import { useLedgeTraversal } from "./useLedgeTraversal";
+import { CHARACTER_ACTIONS } from "../utils/inputProfiles";
+import type { CharacterAction, CharacterInput } from "../types/input";
+import { CameraRig, type CameraRigHandle } from "./CameraRig";
+import {
+  getDownhillDirection,
+  getSlopeAngle,
+  getUphillSpeedFactor,
+  projectOnGround,
+} from "../utils/slope";
+import {
+  getPlatformBody,
+  getPlatformPointVelocity,
+} from "../utils/movingPlatform";
+import { useTerrain } from "../context/TerrainContext";
+import { useWater } from "../context/WaterContext";
+import { useCutscenes } from "../context/CutsceneContext";
+import { DEFAULT_CHARACTER_PROFILE } from "../utils/characterProfiles";
+import { solveSpawnPosition } from "../utils/spawnSolver";
+import type { CharacterProfile } from "../types/characterProfile";
+import {
+  alignToGround,
+  getLegChain,
+  solveTwoBoneIk,
+  type LegChain,
+} from "../utils/legIk";
 
 const normalizeAngle = (angle: number) => {
   while (angle > Math.PI) angle -= 2 * Math.PI;
@@ -42,46 +91,142 @@ const lerpAngle = (start: number, end: number, t: number) => {
   return normalizeAngle(start + (end - start) * t);
 };
 
+// "tank": A/D turn the character and camera; W/S move along its heading
+// "camera-relative": WASD move relative to the camera's yaw and the character turns to face the movement
+const MOVEMENT_SCHEMES = ["tank", "camera-relative"];
+
+// "dynamic": physics-driven body, velocity set each frame
+// "kinematic": Rapier's kinematic character controller (autostep, snap-to-ground, slope limits)
+const CONTROLLER_MODES = ["dynamic", "kinematic"];
+
+// Played from the spine up while moving, over the walk or run below
+const UPPER_BODY_ANIMATIONS: readonly string[] = [
+  "swordIdle",
+  "swordAttack",
+  "swordAttackAlt",
+];
+
+// attackerId in combat events raised by this character
+const PLAYER_COMBAT_ID = "player";
+
+// What the character sees while a cutscene holds the controls
+const LOCKED_INPUT: CharacterInput = {
+  ...(Object.fromEntries(
+    CHARACTER_ACTIONS.map((action) => [action, false])
+  ) as Record<CharacterAction, boolean>),
+  moveX: 0,
+  moveZ: 0,
+  lookX: 0,
+  lookY: 0,
+  lookDeltaX: 0,
+  lookDeltaY: 0,
+};
+
+// How far a foot lifts off the ground before it stops following the slope
+const FOOT_PLANT_RANGE = 0.15;
+// Ground normal assumed where a foot's ray finds nothing
+const FLAT_GROUND_NORMAL = new Vector3(0, 1, 0);
+// How close a foot ray's hit must be to the registered terrain's height to
+// count as standing on the terrain rather than on something placed on it
+const TERRAIN_HIT_TOLERANCE = 0.2;
+// Re-seating after a capsule resize: how far around the body to look for
+// room, and how far from the old capsule bottom ground still counts
+const RESEAT_SEARCH_RADIUS = 1;
+const RESEAT_CLEARANCE = 0.1;
+
+// One leg of the foot IK, with its ground smoothed across frames
+type FootIkLeg = {
+  chain: LegChain;
+  offset: number; // Height of the ground under the foot above the capsule bottom
+  normal: THREE.Vector3;
+  // Animated pose of the foot bone this frame, before IK
+  animatedPosition: THREE.Vector3;
+  animatedRotation: THREE.Quaternion;
+};
+
 interface Props {
+  // Model, rig, clips and collider; the Godot mannequin by default
+  profile?: CharacterProfile;
   position?: [number, number, number];
   cameraMode?: string;
   collider?: THREE.Mesh | null;
   onPositionChange?: (position: [number, number, number]) => void;
   onVelocityChange?: (velocity: [number, number, number]) => void;
   onRotationChange?: (rotation: number) => void;
+  // Current capsule size, on mount and whenever the profile or the capsule
+  // controls change it
+  onCapsuleChange?: (capsule: CharacterProfile["capsule"]) => void;
   teleportRequest?: TeleportationRequest | null;
   onTeleportHandled?: (id: string) => void;
 }
 
 export const GodotCharacterHybrid = ({
+  profile = DEFAULT_CHARACTER_PROFILE,
   position = [0, 2, 0],
   cameraMode = "orbit",
   collider = null,
   onPositionChange,
   onVelocityChange,
   onRotationChange,
+  onCapsuleChange,
   teleportRequest,
   onTeleportHandled,
 }: Props) => {
   // Access Rapier world for raycasting dynamic objects
   const { world, rapier } = useRapier();
   const { camera } = useThree();
+  const terrain = useTerrain();
+  const {
+    getHeight: getTerrainHeight,
+    getNormal: getTerrainNormal,
+    getMaterial: getTerrainMaterial,
+  } = terrain;
+  const water = useWater();
+  const cutscenes = useCutscenes();
 
   const {
     WALK_SPEED,
     RUN_SPEED,
     ROTATION_SPEED,
     JUMP_FORCE,
+    followMovement,
+    followOrbitMovement,
+    orbitMovement,
     cameraX,
     cameraY,
     cameraZ,
     targetZ,
     cameraLerpSpeed,
     mouseSensitivity,
-    capsuleHeight,
-    capsuleRadius,
+    cameraCollision,
+    cameraCollisionRadius,
+    cameraRecoverySpeed,
+    fadeOccluders,
+    occluderOpacity,
+    firstPersonPitchLimit,
+    firstPersonEyeOffset,
+    controllerMode,
+    autostepHeight,
+    autostepMinWidth,
+    snapToGroundDistance,
+    maxSlopeAngle,
+    uphillSpeedFactor,
+    slideAcceleration,
+    slideMaxSpeed,
+    swimSpeed,
+    swimSprintSpeed,
+    swimVerticalSpeed,
+    swimDepth,
+    buoyancy,
+    waterDrag,
+    enableSplashes,
     enableFootstepAudio,
     enableFootstepParticles,
+    layeredUpperBody,
+    breathingWeight,
+    velocityBlendSpace,
+    footIk,
+    footIkMaxAdjust,
   } = useControls("🎮 GODOT CHARACTER", {
     control: folder(
       {
@@ -94,6 +239,22 @@ export const GodotCharacterHybrid = ({
           step: degToRad(0.1),
         },
         JUMP_FORCE: { value: 6, min: 1, max: 10, step: 0.1 },
+        // Movement scheme per camera mode
+        followMovement: {
+          value: "tank",
+          options: MOVEMENT_SCHEMES,
+          label: "Follow Movement",
+        },
+        followOrbitMovement: {
+          value: "tank",
+          options: MOVEMENT_SCHEMES,
+          label: "Follow-Orbit Movement",
+        },
+        orbitMovement: {
+          value: "tank",
+          options: MOVEMENT_SCHEMES,
+          label: "Orbit Movement",
+        },
       },
       { collapsed: true }
     ),
@@ -111,28 +272,163 @@ export const GodotCharacterHybrid = ({
           step: 0.001,
           label: "Mouse Sensitivity",
         },
+        // Pull the camera in front of walls and terrain between it and the character
+        cameraCollision: { value: true, label: "Camera Collision" },
+        cameraCollisionRadius: {
+          value: 0.25,
+          min: 0.05,
+          max: 1,
+          step: 0.05,
+          label: "Collision Radius",
+        },
+        // How quickly the camera backs out again once the view is clear
+        cameraRecoverySpeed: {
+          value: 4,
+          min: 0.5,
+          max: 20,
+          step: 0.5,
+          label: "Recovery Speed",
+        },
+        fadeOccluders: { value: true, label: "Fade Occluders" },
+        occluderOpacity: {
+          value: 0.25,
+          min: 0,
+          max: 1,
+          step: 0.05,
+          label: "Occluder Opacity",
+        },
+        firstPersonPitchLimit: {
+          value: 80,
+          min: 30,
+          max: 89,
+          step: 1,
+          label: "First-Person Pitch Limit (°)",
+        },
+        // Eye distance in front of the head bone
+        firstPersonEyeOffset: {
+          value: 0.1,
+          min: 0,
+          max: 0.3,
+          step: 0.01,
+          label: "First-Person Eye Offset",
+        },
       },
       { collapsed: true }
     ),
-    capsule: folder(
+    controller: folder(
       {
-        capsuleHeight: {
-          value: 1.4,
-          min: 0.5,
-          max: 2.0,
-          step: 0.05,
-          label: "Capsule Total Height",
+        controllerMode: {
+          value: "dynamic",
+          options: CONTROLLER_MODES,
+          label: "Controller Mode",
         },
-        capsuleRadius: {
+        // Kinematic mode only; it also climbs up to the max walkable slope below
+        autostepHeight: {
           value: 0.3,
-          min: 0.05,
-          max: 0.3,
+          min: 0,
+          max: 1,
+          step: 0.05,
+          label: "Autostep Height",
+        },
+        autostepMinWidth: {
+          value: 0.1,
+          min: 0,
+          max: 0.5,
           step: 0.01,
-          label: "Capsule Radius",
+          label: "Autostep Min Width",
+        },
+        snapToGroundDistance: {
+          value: 0.3,
+          min: 0,
+          max: 1,
+          step: 0.05,
+          label: "Snap to Ground Distance",
         },
       },
       { collapsed: true }
     ),
+    slopes: folder(
+      {
+        maxSlopeAngle: {
+          value: 45,
+          min: 10,
+          max: 80,
+          step: 1,
+          label: "Max Walkable Slope (°)",
+        },
+        uphillSpeedFactor: {
+          value: 0.6,
+          min: 0.1,
+          max: 1,
+          step: 0.05,
+          label: "Uphill Speed at Max Slope",
+        },
+        slideAcceleration: {
+          value: 12,
+          min: 1,
+          max: 30,
+          step: 0.5,
+          label: "Slide Acceleration",
+        },
+        slideMaxSpeed: {
+          value: 8,
+          min: 1,
+          max: 20,
+          step: 0.5,
+          label: "Slide Max Speed",
+        },
+      },
+      { collapsed: true }
+    ),
+    swimming: folder(
+      {
+        swimSpeed: {
+          value: 2.2,
+          min: 0.5,
+          max: 6,
+          step: 0.1,
+          label: "Swim Speed",
+        },
+        swimSprintSpeed: {
+          value: 3.5,
+          min: 0.5,
+          max: 8,
+          step: 0.1,
+          label: "Swim Sprint Speed",
+        },
+        swimVerticalSpeed: {
+          value: 2,
+          min: 0.5,
+          max: 5,
+          step: 0.1,
+          label: "Dive/Rise Speed",
+        },
+        // Fraction of the body under water at which wading turns into swimming
+        swimDepth: {
+          value: 0.65,
+          min: 0.3,
+          max: 0.9,
+          step: 0.05,
+          label: "Swim Depth",
+        },
+        buoyancy: {
+          value: 4,
+          min: 0.5,
+          max: 10,
+          step: 0.5,
+          label: "Buoyancy",
+        },
+        waterDrag: {
+          value: 3,
+          min: 0.5,
+          max: 10,
+          step: 0.5,
+          label: "Water Drag",
+        },
+        enableSplashes: { value: true, label: "Splash Particles" },
+      },
+      { collapsed: true }
+    ),
     footsteps: folder(
       {
         enableFootstepAudio: {
@@ -146,46 +442,209 @@ export const GodotCharacterHybrid = ({
       },
       { collapsed: true }
     ),
+    legIk: folder(
+      {
+        // Legs bend to plant the feet on slopes and steps, pelvis lowered
+        footIk: {
+          value: true,
+          label: "Foot IK (Plant Feet on Ground)",
+        },
+        footIkMaxAdjust: {
+          value: 0.35,
+          min: 0.05,
+          max: 0.6,
+          step: 0.05,
+          label: "Max Foot Height Adjustment",
+        },
+      },
+      { collapsed: true }
+    ),
+    animationLayers: folder(
+      {
+        // Walk/jog/sprint blended and paced by the body's actual speed
+        velocityBlendSpace: {
+          value: true,
+          label: "Blend Locomotion by Velocity",
+        },
+        layeredUpperBody: {
+          value: true,
+          label: "Sword Moves Over Walk/Run",
+        },
+        // Idle's breathing added to the torso whenever the character isn't idling
+        breathingWeight: {
+          value: 0.4,
+          min: 0,
+          max: 1,
+          step: 0.05,
+          label: "Breathing Layer Weight",
+        },
+      },
+      { collapsed: true }
+    ),
   });
 
+  // Capsule controls start at the profile's size, and go back to it when the
+  // profile changes
+  const [{ capsuleHeight, capsuleRadius }, setCapsule] = useControls(
+    "🎮 GODOT CHARACTER",
+    () => ({
+      capsule: folder(
+        {
+          capsuleHeight: {
+            value: profile.capsule.height,
+            min: 0.1,
+            max: 2.0,
+            step: 0.05,
+            label: "Capsule Total Height",
+          },
+          capsuleRadius: {
+            value: profile.capsule.radius,
+            min: 0.05,
+            max: 0.6,
+            step: 0.01,
+            label: "Capsule Radius",
+          },
+        },
+        { collapsed: true }
+      ),
+    })
+  );
+  const capsuleProfile = useRef(profile);
+  useEffect(() => {
+    if (capsuleProfile.current === profile) return;
+    capsuleProfile.current = profile;
+    setCapsule({
+      capsuleHeight: profile.capsule.height,
+      capsuleRadius: profile.capsule.radius,
+    });
+  }, [profile, setCapsule]);
+
   const rb = useRef<any>(null);
+  const capsuleCollider = useRef<any>(null);
   const container = useRef<any>(null);
   const character = useRef<any>(null);
+
+  // Re-seat the body when the capsule changes size, so a taller capsule
+  // doesn't start inside the ground: on the ground it is re-solved in place,
+  // in the air its bottom is kept where it was
+  const seatedCapsule = useRef({
+    height: capsuleHeight,
+    radius: capsuleRadius,
+  });
+  useEffect(() => {
+    onCapsuleChange?.({ height: capsuleHeight, radius: capsuleRadius });
+    const previous = seatedCapsule.current;
+    seatedCapsule.current = { height: capsuleHeight, radius: capsuleRadius };
+    if (
+      !rb.current ||
+      (previous.height === capsuleHeight && previous.radius === capsuleRadius)
+    ) {
+      return;
+    }
+
+    const position = rb.current.translation();
+    const bottom = position.y - previous.height / 2 - previous.radius;
+    const bottomToCenter = capsuleHeight / 2 + capsuleRadius;
+    const result = solveSpawnPosition(
+      world,
+      rapier,
+      [position.x, bottom, position.z],
+      {
+        capsuleHalfHeight: capsuleHeight / 2,
+        capsuleRadius,
+        searchRadius: RESEAT_SEARCH_RADIUS,
+        probeHeight: bottomToCenter + RESEAT_CLEARANCE,
+        probeDepth: RESEAT_CLEARANCE * 2,
+        terrain,
+        excludeBody: rb.current,
+      }
+    );
+    rb.current.setTranslation(
+      result.ok
+        ? {
+            x: result.position[0],
+            y: result.position[1],
+            z: result.position[2],
+          }
+        : { x: position.x, y: bottom + bottomToCenter, z: position.z },
+      true
+    );
+  }, [capsuleHeight, capsuleRadius, onCapsuleChange, world, rapier, terrain]);
   const [animation, setAnimation] = useState("idle");
-  const animationRef = useRef(animation);
+  // Grounded walk/run the legs keep playing under upper-body animations
+  const [movingGait, setMovingGait] = useState<CharacterState | null>(null);
+  const movingGaitRef = useRef(movingGait);
+  // Layers only play on models whose profile defines their mask
+  const { upperBody: upperBodyMask, torso: torsoMask } =
+    profile.boneMasks ?? {};
+  const upperBodyAnimation =
+    layeredUpperBody &&
+    upperBodyMask &&
+    movingGait &&
+    UPPER_BODY_ANIMATIONS.includes(animation)
+      ? animation
+      : null;
+  const baseAnimation =
+    upperBodyAnimation && movingGait ? movingGait : animation;
+  const animationLayers = useMemo<AnimationLayer[]>(
+    () => [
+      {
+        name: "upperBody",
+        animation: upperBodyAnimation,
+        mask: upperBodyMask,
+      },
+      {
+        name: "breathing",
+        animation: !torsoMask || baseAnimation === "idle" ? null : "idle",
+        blend: "additive",
+        mask: torsoMask,
+        weight: breathingWeight,
+        fade: 0.5,
+      },
+    ],
+    [
+      upperBodyAnimation,
+      upperBodyMask,
+      torsoMask,
+      baseAnimation,
+      breathingWeight,
+    ]
+  );
+  // Footsteps follow the legs, so track the base animation
+  const animationRef = useRef(baseAnimation);
   useEffect(() => {
-    animationRef.current = animation;
-  }, [animation]);
+    animationRef.current = baseAnimation;
+  }, [baseAnimation]);
   const [isGrounded, setIsGrounded] = useState(true);
   const wasGrounded = useRef(false);
-  const jumpPhase = useRef<"none" | "start" | "loop" | "land">("none");
+  // Movement, jump, roll, dance and combat states; see characterStateMachine
+  const stateMachine = useMemo(() => createCharacterStateMachine(), []);
   const [combatMode, setCombatMode] = useState(false);
-  const isAttacking = useRef(false);
-  const isRolling = useRef(false);
+  const attackRequest = useRef<CharacterAttack | null>(null);
   const rollPressed = useRef(false);
 
   const characterRotationTarget = useRef(0);
   const rotationTarget = useRef(0);
-  const cameraTarget = useRef<any>(null);
-  const cameraPosition = useRef<any>(null);
-  const cameraWorldPosition = useRef(new Vector3());
-  const cameraLookAtWorldPosition = useRef(new Vector3());
-  const smoothCameraPosition = useRef(new Vector3());
-  const currentCameraPosition = useRef(new Vector3());
-  const idealCameraPosition = useRef(new Vector3());
-  const smoothLookAtPosition = useRef(new Vector3());
-  const cameraLookAt = useRef(new Vector3());
-  const [, get] = useKeyboardControls();
+  // Follow camera; trails rotationTarget, with the mouse orbit on top
+  const cameraRig = useRef<CameraRigHandle>(null);
+  const getCameraYaw = useCallback(() => rotationTarget.current, []);
+  // Keyboard, mouse and gamepad, merged under the input profile's action names
+  const { getInput, lookSensitivity } = useCharacterInput();
+  // Held state of edge-triggered actions from the previous frame
+  const actionsHeld = useRef({
+    attack: false,
+    attackAlt: false,
+    toggleCombat: false,
+    jump: false, // Unfiltered, to skip cutscenes with
+  });
+  // Jump held through a cutscene is ignored until it's released
+  const suppressJump = useRef(false);
   const jumpPressed = useRef(false);
-  const cameraInitialized = useRef(false);
   const isCrouchingRef = useRef(false);
-  const crouchTransitioningRef = useRef(false);
+  const crouchTransitionTimeRef = useRef(0); // Seconds left in the crouch grace period
   const ceilingClearanceTimer = useRef(0);
   const teleportTimeoutRef = useRef<number | null>(null);
   const lastTeleportIdRef = useRef<string | null>(null);
-  const teleportHoldFramesRef = useRef(0);
-  const teleportCameraPositionRef = useRef(new Vector3());
-  const teleportLookAtRef = useRef(new Vector3());
 
   const footstepParticlesRef = useRef<FootstepParticlesHandle | null>(null);
   const leftFootBone = useRef<THREE.Object3D | null>(null);
@@ -205,6 +664,13 @@ export const GodotCharacterHybrid = ({
   const tempLandingNormalRef = useRef(new Vector3(0, 1, 0));
   const leftFootPrevToi = useRef(1);
   const rightFootPrevToi = useRef(1);
+  const footIkLegs = useRef<FootIkLeg[]>([]);
+  const footIkWeight = useRef(0);
+  const footIkTarget = useRef(0);
+  const tempFootProbe = useRef(new Vector3());
+  const tempFootTarget = useRef(new Vector3());
+  const tempPelvisPosition = useRef(new Vector3());
+  const tempKneeDirection = useRef(new Vector3());
 
   const footstepAnimations = useMemo(
     () => new Set(["walk", "run", "walkBackwards", "crouchWalk"]),
@@ -251,9 +717,12 @@ export const GodotCharacterHybrid = ({
     });
   }, [footstepSoundPaths]);
 
+  // Ground under a point, cast down from rayHeight above it
   const castFootRay = useCallback(
     (
-      position: THREE.Vector3
+      position: THREE.Vector3,
+      rayHeight = 0.05,
+      rayLength = 0.35
     ): (FootstepParticleSpawnOptions & { hitToi: number }) | null => {
       if (!world || !rapier || !rb.current) {
         return null;
@@ -261,11 +730,10 @@ export const GodotCharacterHybrid = ({
 
       const rayOrigin = {
         x: position.x,
-        y: position.y + 0.05,
+        y: position.y + rayHeight,
         z: position.z,
       };
       const rayDirection = { x: 0, y: -1, z: 0 };
-      const rayLength = 0.35;
 
       try {
         const ray = new rapier.Ray(rayOrigin, rayDirection);
@@ -307,6 +775,18 @@ export const GodotCharacterHybrid = ({
               normal = new Vector3().copy(tempLandingNormalRef.current);
             }
 
+            // On the map's terrain, take its smooth normal over the collider
+            // triangle's, and its material for the dust
+            let surface: string | undefined;
+            const terrainHeight = getTerrainHeight(point.x, point.z);
+            if (
+              terrainHeight !== null &&
+              Math.abs(point.y - terrainHeight) <= TERRAIN_HIT_TOLERANCE
+            ) {
+              getTerrainNormal(point.x, point.z, normal);
+              surface = getTerrainMaterial(point.x, point.z) ?? undefined;
+            }
+
             const slopeFactor = normal
               ? 1 - Math.max(0, Math.min(1, normal.y))
               : 0;
@@ -315,6 +795,7 @@ export const GodotCharacterHybrid = ({
               position: point,
               normal,
               slopeFactor,
+              surface,
               hitToi,
             };
           }
@@ -326,7 +807,7 @@ export const GodotCharacterHybrid = ({
         return null;
       }
     },
-    [rapier, world]
+    [rapier, world, getTerrainHeight, getTerrainNormal, getTerrainMaterial]
   );
 
   const handleFootBonesReady = useCallback(
@@ -336,6 +817,20 @@ export const GodotCharacterHybrid = ({
     }) => {
       leftFootBone.current = bones.leftFoot;
       rightFootBone.current = bones.rightFoot;
+      footIkLegs.current = [bones.leftFoot, bones.rightFoot].flatMap((foot) => {
+        const chain = foot && getLegChain(foot);
+        return chain
+          ? [
+              {
+                chain,
+                offset: 0,
+                normal: FLAT_GROUND_NORMAL.clone(),
+                animatedPosition: new Vector3(),
+                animatedRotation: new Quaternion(),
+              },
+            ]
+          : [];
+      });
       leftFootInitialized.current = false;
       rightFootInitialized.current = false;
       leftFootWasGrounded.current = false;
@@ -345,9 +840,121 @@ export const GodotCharacterHybrid = ({
     []
   );
 
-  // Mouse orbit for follow-orbit camera mode (delta-based)
-  const mouseOrbitOffset = useRef(0); // Horizontal orbit offset (accumulated from mouse movement deltas)
-  const mouseVerticalOffset = useRef(0); // Vertical orbit offset (accumulated from mouse movement deltas)
+  // Two-bone IK over the animated legs: each foot is raised or lowered by the
+  // ground under it, relative to the capsule bottom the clips are authored
+  // against, and tilted to the ground while planted. The pelvis drops by the
+  // lower foot's offset so that leg can reach; the other knee bends more.
+  const applyFootIk = useCallback(
+    (weight: number, delta: number, ankleHeight: number) => {
+      const legs = footIkLegs.current;
+      const pelvis = legs[0]?.chain.upper.parent;
+      if (!rb.current || !character.current || !pelvis?.parent) return;
+
+      const halfHeight = isCrouchingRef.current
+        ? capsuleHeight / 4
+        : capsuleHeight / 2;
+      const floorY = rb.current.translation().y - halfHeight - capsuleRadius;
+      pelvis.updateWorldMatrix(true, true);
+
+      let pelvisOffset = 0;
+      legs.forEach((leg) => {
+        const foot = leg.chain.end;
+        foot.getWorldPosition(leg.animatedPosition);
+        foot.getWorldQuaternion(leg.animatedRotation);
+
+        const probe = tempFootProbe.current.set(
+          leg.animatedPosition.x,
+          floorY,
+          leg.animatedPosition.z
+        );
+        const hit = castFootRay(probe, footIkMaxAdjust, footIkMaxAdjust * 2);
+        const offset = hit
+          ? MathUtils.clamp(
+              hit.position.y - floorY,
+              -footIkMaxAdjust,
+              footIkMaxAdjust
+            )
+          : 0;
+        leg.offset = MathUtils.damp(leg.offset, offset, 15, delta);
+        leg.normal
+          .lerp(hit?.normal ?? FLAT_GROUND_NORMAL, 1 - Math.exp(-15 * delta))
+          .normalize();
+        pelvisOffset = Math.min(pelvisOffset, leg.offset);
+      });
+
+      const pelvisPosition = pelvis.getWorldPosition(
+        tempPelvisPosition.current
+      );
+      pelvisPosition.y += pelvisOffset * weight;
+      pelvis.position.copy(pelvis.parent.worldToLocal(pelvisPosition));
+      pelvis.updateWorldMatrix(false, true);
+
+      const kneeDirection = character.current.getWorldDirection(
+        tempKneeDirection.current
+      );
+      legs.forEach((leg) => {
+        const target = tempFootTarget.current.copy(leg.animatedPosition);
+        target.y += leg.offset;
+        solveTwoBoneIk(leg.chain, target, kneeDirection, weight);
+
+        const lift = leg.animatedPosition.y - floorY - ankleHeight;
+        const planted = MathUtils.clamp(1 - lift / FOOT_PLANT_RANGE, 0, 1);
+        alignToGround(
+          leg.chain.end,
+          leg.animatedRotation,
+          leg.normal,
+          planted * weight
+        );
+      });
+    },
+    [castFootRay, capsuleHeight, capsuleRadius, footIkMaxAdjust]
+  );
+
+  // Called from GodotCharacter's frame once the mixer and layers have posed
+  // the model. Its frame callbacks can run before or after this
+  // component's (a model that suspended subscribes again after it), so IK
+  // over the pose has to run from there or the mixer would overwrite it.
+  const handleAfterAnimate = useCallback(
+    (delta: number) => {
+      const { ankleHeight } = profile;
+      footIkWeight.current = MathUtils.damp(
+        footIkWeight.current,
+        footIkTarget.current,
+        10,
+        delta
+      );
+      if (footIkWeight.current > 1e-3 && ankleHeight !== undefined) {
+        applyFootIk(footIkWeight.current, delta, ankleHeight);
+      }
+    },
+    [profile, applyFootIk]
+  );
+
+  // Weapon hitbox: follows the hand bone during each attack's active window
+  const weaponBone = useRef<THREE.Object3D | null>(null);
+  const weaponHitbox = useWeaponHitbox(
+    weaponBone,
+    stateMachine,
+    rb,
+    PLAYER_COMBAT_ID
+  );
+
+  const handleWeaponBoneReady = useCallback((bone: THREE.Object3D | null) => {
+    weaponBone.current = bone;
+  }, []);
+
+  // First person: the camera rides the head bone; yaw is rotationTarget
+  const headBone = useRef<THREE.Object3D | null>(null);
+  const firstPersonPitch = useRef(0); // Radians, positive looks up
+  const firstPersonEyeY = useRef<number | null>(null); // Smoothed eye height
+  const tempEyePosition = useRef(new Vector3());
+  const tempBodyPosition = useRef(new Vector3());
+
+  const handleHeadBoneReady = useCallback((bone: THREE.Object3D | null) => {
+    headBone.current = bone;
+  }, []);
+
+  // Pointer lock for follow-orbit mouse orbit and first-person mouse look
   const isPointerLocked = useRef(false);
   const pointerLockElementRef = useRef<HTMLElement | null>(null);
 
@@ -357,65 +964,141 @@ export const GodotCharacterHybrid = ({
   const tempSegment = useRef(new Line3());
   const tempVector = useRef(new Vector3());
   const tempVector2 = useRef(new Vector3());
+  const cameraDirection = useRef(new Vector3());
+
+  // Ledge grabs, shimmying, climbing up and wall jumps
+  const ledgeTraversal = useLedgeTraversal(
+    rb,
+    stateMachine,
+    capsuleHeight,
+    capsuleRadius,
+    maxSlopeAngle,
+    JUMP_FORCE
+  );
+  // Hanging, climbing and swimming hold or float the body without gravity
+  const gravitySuspended = useRef(false);
+  const [isGravitySuspended, setIsGravitySuspended] = useState(false);
+
+  // Kinematic mode: the controller and the velocity it integrates (a kinematic body has none of its own)
+  const isKinematic = controllerMode === "kinematic";
+  const characterController = useRef<KinematicCharacterController | null>(null);
+  const kinematicVelocity = useRef({ x: 0, y: 0, z: 0 });
 
-  // Combat mode toggle - R key (E is used for dance)
   useEffect(() => {
-    const handleKeyDown = (e: KeyboardEvent) => {
-      if (e.key === "r" || e.key === "R") {
-        setCombatMode((prev) => !prev);
-      }
+    if (!isKinematic) return;
+
+    const controller = world.createCharacterController(0.01);
+    controller.setUp({ x: 0, y: 1, z: 0 });
+    controller.setMaxSlopeClimbAngle(degToRad(maxSlopeAngle));
+    controller.setMinSlopeSlideAngle(degToRad(maxSlopeAngle));
+    if (autostepHeight > 0) {
+      controller.enableAutostep(autostepHeight, autostepMinWidth, false);
+    }
+    if (snapToGroundDistance > 0) {
+      controller.enableSnapToGround(snapToGroundDistance);
+    }
+    controller.setApplyImpulsesToDynamicBodies(true);
+    characterController.current = controller;
+
+    // Carry the current motion over from the dynamic body
+    const linvel = rb.current?.linvel();
+    if (linvel) {
+      kinematicVelocity.current = { x: linvel.x, y: linvel.y, z: linvel.z };
+    }
+
+    return () => {
+      characterController.current = null;
+      world.removeCharacterController(controller);
     };
+  }, [
+    world,
+    isKinematic,
+    maxSlopeAngle,
+    autostepHeight,
+    autostepMinWidth,
+    snapToGroundDistance,
+  ]);
+
+  // Kinematic mode moves once per physics step: apply gravity, then let the
+  // controller resolve steps, slopes and ground snapping
+  useBeforePhysicsStep((physicsWorld) => {
+    const controller = characterController.current;
+    if (!controller || !capsuleCollider.current || !rb.current) return;
 
-    window.addEventListener("keydown", handleKeyDown);
-    return () => window.removeEventListener("keydown", handleKeyDown);
+    const dt = physicsWorld.timestep;
+    const vel = kinematicVelocity.current;
+    if (!gravitySuspended.current) {
+      vel.y += physicsWorld.gravity.y * dt;
+    }
+
+    controller.computeColliderMovement(
+      capsuleCollider.current,
+      { x: vel.x * dt, y: vel.y * dt, z: vel.z * dt },
+      rapier.QueryFilterFlags.EXCLUDE_SENSORS
+    );
+    const movement = controller.computedMovement();
+    if (controller.computedGrounded() && vel.y < 0) {
+      vel.y = 0;
+    }
+
+    const position = rb.current.translation();
+    rb.current.setNextKinematicTranslation({
+      x: position.x + movement.x,
+      y: position.y + movement.y,
+      z: position.z + movement.z,
+    });
+  });
+
+  // Ground contact from probeGroundRapier, reused every frame
+  const groundNormal = useRef(new Vector3(0, 1, 0));
+  const tempGroundVelocity = useRef(new Vector3());
+  const tempDownhill = useRef(new Vector3());
+  const groundCollider = useRef<any>(null);
+  // Velocity of the moving platform underfoot, as added to vel last frame
+  const platformVelocity = useRef(new Vector3());
+  const animationVelocity = useRef(new Vector3());
+
+  // Speed over the ground the character stands on, for the locomotion blend
+  const getAnimationVelocity = useCallback(() => {
+    if (!rb.current) return null;
+    return animationVelocity.current
+      .copy(rb.current.linvel())
+      .sub(platformVelocity.current);
   }, []);
+  // Water: last frame's level (for entry splashes) and splash particle temps
+  const waterLevel = useRef<WaterLevel>("none");
+  const splashCooldown = useRef(0);
+  const tempSplashPosition = useRef(new Vector3());
+  const splashNormal = useRef(new Vector3(0, 1, 0));
+  // Lock-on: the damageable being strafed around
+  const {
+    target: lockOnTarget,
+    framing: lockOnFraming,
+    update: updateLockOn,
+  } = useLockOn(rb);
 
-  // Mouse attack handlers
+  // Combat toggle and attacks are bound actions (see useCharacterInput);
+  // only the right-click menu needs suppressing here
   useEffect(() => {
-    const handleMouseDown = (e: MouseEvent) => {
-      if (!combatMode || isAttacking.current) return;
-
-      isAttacking.current = true;
-
-      if (e.button === 0) {
-        // Left click - primary attack
-        setAnimation("swordAttack");
-        setTimeout(() => {
-          isAttacking.current = false;
-        }, 600); // Attack duration
-      } else if (e.button === 2) {
-        // Right click - secondary attack
-        setAnimation("swordAttackAlt");
-        setTimeout(() => {
-          isAttacking.current = false;
-        }, 600);
-      }
-    };
+    if (!combatMode) return;
 
     const handleContextMenu = (e: MouseEvent) => {
-      if (combatMode) {
-        e.preventDefault(); // Prevent right-click menu in combat mode
-      }
+      e.preventDefault(); // Prevent right-click menu in combat mode
     };
 
-    if (combatMode) {
-      window.addEventListener("mousedown", handleMouseDown);
-      window.addEventListener("contextmenu", handleContextMenu);
-    }
-
-    return () => {
-      window.removeEventListener("mousedown", handleMouseDown);
-      window.removeEventListener("contextmenu", handleContextMenu);
-    };
+    window.addEventListener("contextmenu", handleContextMenu);
+    return () => window.removeEventListener("contextmenu", handleContextMenu);
   }, [combatMode]);
 
-  // Mouse orbit controls for follow-orbit camera mode (delta-based with pointer lock)
+  // Mouse orbit controls for follow-orbit camera mode, and mouse look in
+  // first person (delta-based with pointer lock)
   useEffect(() => {
-    if (cameraMode !== "follow-orbit") {
-      // Unlock pointer and reset if exiting follow-orbit mode
+    if (cameraMode !== "follow-orbit" && cameraMode !== "first-person") {
+      // Unlock pointer and reset if exiting follow-orbit or first-person mode
       if (isPointerLocked.current && document.pointerLockElement) {
         document.exitPointerLock();
       }
+      cameraRig.current?.setOrbit(0, 0);
       return;
     }
 
@@ -427,9 +1110,10 @@ export const GodotCharacterHybrid = ({
     }
     pointerLockElementRef.current = canvas;
 
-    // Reset offsets when entering follow-orbit mode
-    mouseOrbitOffset.current = 0;
-    mouseVerticalOffset.current = 0;
+    // Reset offsets when entering follow-orbit or first-person mode
+    cameraRig.current?.setOrbit(0, 0);
+    firstPersonPitch.current = 0;
+    firstPersonEyeY.current = null;
 
     // Request pointer lock on click (required for security)
     const requestPointerLock = () => {
@@ -470,24 +1154,32 @@ export const GodotCharacterHybrid = ({
 
     // Handle mouse movement (delta-based)
     const handleMouseMove = (e: MouseEvent) => {
-      if (cameraMode !== "follow-orbit" || !isPointerLocked.current) return;
+      if (!isPointerLocked.current) return;
 
       // Use movementX and movementY (delta values) instead of absolute position
       // These represent how much the mouse moved since the last event
       const deltaX = e.movementX || 0;
       const deltaY = e.movementY || 0;
 
-      // Accumulate horizontal orbit offset (inverted: right movement = left orbit)
-      mouseOrbitOffset.current -= deltaX * mouseSensitivity;
-
-      // Accumulate vertical orbit offset (inverted: up movement = camera looks up)
-      mouseVerticalOffset.current -= deltaY * mouseSensitivity;
+      // First person: turn the character (unless locked on) and pitch the view
+      if (cameraMode === "first-person") {
+        if (!lockOnTarget.current) {
+          rotationTarget.current -= deltaX * mouseSensitivity;
+        }
+        firstPersonPitch.current = MathUtils.clamp(
+          firstPersonPitch.current - deltaY * mouseSensitivity,
+          -degToRad(firstPersonPitchLimit),
+          degToRad(firstPersonPitchLimit)
+        );
+        return;
+      }
+      if (lockOnTarget.current) return;
 
-      // Clamp vertical offset to prevent camera from going too high/low
-      mouseVerticalOffset.current = MathUtils.clamp(
-        mouseVerticalOffset.current,
-        -Math.PI / 3, // ~60 degrees down
-        Math.PI / 3 // ~60 degrees up
+      // Orbit the camera (inverted: right movement = left orbit, up = look up)
+      // The rig clamps pitch to ~60 degrees either way
+      cameraRig.current?.orbit(
+        -deltaX * mouseSensitivity,
+        -deltaY * mouseSensitivity
       );
     };
 
@@ -527,7 +1219,7 @@ export const GodotCharacterHybrid = ({
       }
       document.body.style.cursor = "auto";
     };
-  }, [cameraMode, mouseSensitivity]);
+  }, [cameraMode, mouseSensitivity, firstPersonPitchLimit]);
 
   useEffect(() => {
     if (!teleportRequest || !rb.current) {
@@ -563,18 +1255,9 @@ export const GodotCharacterHybrid = ({
       lookAtPosition[2]
     );
 
-    teleportCameraPositionRef.current.copy(cameraVec);
-    teleportLookAtRef.current.copy(lookAtVec);
-    teleportHoldFramesRef.current = Math.max(teleportHoldFramesRef.current, 12);
-
-    camera.position.copy(cameraVec);
-    camera.lookAt(lookAtVec);
-    smoothCameraPosition.current.copy(cameraVec);
-    currentCameraPosition.current.copy(cameraVec);
-    idealCameraPosition.current.copy(cameraVec);
-    smoothLookAtPosition.current.copy(lookAtVec);
-    cameraLookAt.current.copy(lookAtVec);
-    cameraInitialized.current = true;
+    // Cut straight to the new view and hold it while the body moves
+    cameraRig.current?.snap(cameraVec, lookAtVec, 12);
+    firstPersonEyeY.current = null;
 
     const performTeleport = () => {
       if (!rb.current) {
@@ -587,13 +1270,13 @@ export const GodotCharacterHybrid = ({
       );
       rb.current.setLinvel({ x: 0, y: 0, z: 0 }, true);
       rb.current.setAngvel({ x: 0, y: 0, z: 0 }, true);
+      kinematicVelocity.current = { x: 0, y: 0, z: 0 };
+      platformVelocity.current.set(0, 0, 0);
 
-      teleportHoldFramesRef.current = Math.max(
-        teleportHoldFramesRef.current,
-        8
-      );
+      cameraRig.current?.snap(cameraVec, lookAtVec, 8);
+      firstPersonEyeY.current = null;
 
-      jumpPhase.current = "none";
+      stateMachine.reset("idle");
       setAnimation("idle");
       setIsGrounded(true);
       wasGrounded.current = true;
@@ -639,6 +1322,7 @@ export const GodotCharacterHybrid = ({
     onTeleportHandled,
     setAnimation,
     setIsGrounded,
+    stateMachine,
   ]);
 
   // BVH-based ground detection - checks surface normal (STATIC GEOMETRY)
@@ -692,8 +1376,8 @@ export const GodotCharacterHybrid = ({
             tri.getNormal(tempVector.current);
             const normal = tempVector.current;
 
-            // If normal points up (> 0.7), it's ground
-            if (normal.y > 0.7) {
+            // Ground if no steeper than the walkable slope limit
+            if (normal.y > Math.cos(degToRad(maxSlopeAngle))) {
               hitGround = true;
             }
           }
@@ -709,8 +1393,11 @@ export const GodotCharacterHybrid = ({
     }
   };
 
-  // Rapier raycast for ALL objects (static ground + dynamic cubes)
-  const checkGroundedRapier = () => {
+  // Rapier ground probe for ALL objects (static ground + dynamic cubes)
+  // Writes the surface normal into groundNormal; returns false in the air
+  const probeGroundRapier = () => {
+    groundNormal.current.set(0, 1, 0);
+    groundCollider.current = null;
     if (!rb.current || !world || !rapier) return false;
 
     try {
@@ -721,48 +1408,58 @@ export const GodotCharacterHybrid = ({
         ? (capsuleHeight * 0.5) / 2
         : capsuleHeight / 2;
 
-      // Cast ray from slightly above character feet downward
-      const rayOrigin = {
-        x: position.x,
-        y: position.y - currentHalfHeight - capsuleRadius + 0.05, // Start just above feet
-        z: position.z,
-      };
-      const rayDirection = { x: 0, y: -1, z: 0 };
-      // Short ray - only check immediate ground
-      const rayLength = 0.2; // 20cm detection range
-
-      // Create Ray object
-      const ray = new rapier.Ray(rayOrigin, rayDirection);
-
-      // Cast ray - EXCLUDE the character's own collider
-      // Parameters: ray, maxToi, solid, filterFlags, filterGroups, filterExcludeCollider, filterExcludeRigidBody, filterPredicate
-      const hit = world.castRay(
-        ray,
-        rayLength,
-        true, // solid (stop at first hit)
+      // Sweep a ball slightly smaller than the capsule's bottom sphere down,
+      // so steep ground that a centre ray would miss still reports a normal
+      const probeRadius = capsuleRadius * 0.9;
+      const probeLength = capsuleRadius - probeRadius + 0.15; // 15cm below feet
+      const hit = world.castShape(
+        { x: position.x, y: position.y - currentHalfHeight, z: position.z },
+        { x: 0, y: 0, z: 0, w: 1 },
+        { x: 0, y: -1, z: 0 },
+        new rapier.Ball(probeRadius),
+        0, // targetDistance
+        probeLength,
+        true, // stopAtPenetration
         undefined, // filterFlags
         undefined, // filterGroups
         undefined, // filterExcludeCollider
-        rb.current, // filterExcludeRigidBody - EXCLUDE CHARACTER!
-        undefined // filterPredicate
+        rb.current // filterExcludeRigidBody - EXCLUDE CHARACTER!
       );
-
-      if (hit) {
-        const hitToi =
-          (hit as any).toi ??
-          (hit as any).timeOfImpact ??
-          (hit as any).time_of_impact ??
-          null;
-
-        // Only count as grounded if hit is within the ray length
-        if (typeof hitToi === "number" && hitToi <= rayLength) {
-          return true;
+      if (!hit) return false;
+      groundCollider.current = hit.collider;
+
+      // normal1 points from the ball towards the contact; the ground faces the other way
+      const normal = groundNormal.current
+        .set(-hit.normal1.x, -hit.normal1.y, -hit.normal1.z)
+        .normalize();
+      if (normal.lengthSq() === 0) normal.set(0, 1, 0);
+
+      // Ball contacts on step and crate edges tilt the normal; trust a
+      // walkable surface straight below the centre instead
+      if (getSlopeAngle(normal) > degToRad(maxSlopeAngle)) {
+        const rayOrigin = {
+          x: position.x,
+          y: position.y - currentHalfHeight - capsuleRadius + 0.05, // Start just above feet
+          z: position.z,
+        };
+        const support = world.castRayAndGetNormal(
+          new rapier.Ray(rayOrigin, { x: 0, y: -1, z: 0 }),
+          0.2,
+          true,
+          undefined,
+          undefined,
+          undefined,
+          rb.current
+        );
+        if (support && support.normal.y > normal.y) {
+          normal.set(support.normal.x, support.normal.y, support.normal.z);
+          groundCollider.current = support.collider;
         }
       }
 
-      return false;
+      return true;
     } catch (error) {
-      console.error("Rapier raycast error:", error);
+      console.error("Rapier ground probe error:", error);
       return false;
     }
   };
@@ -811,6 +1508,64 @@ export const GodotCharacterHybrid = ({
     }
   };
 
+  // Walk velocity on walkable ground: slower uphill, and following the surface downhill
+  const applyGroundVelocity = (vel: any, velX: number, velZ: number) => {
+    const normal = groundNormal.current;
+    const factor = getUphillSpeedFactor(
+      velX,
+      velZ,
+      normal,
+      degToRad(maxSlopeAngle),
+      uphillSpeedFactor
+    );
+    const groundVelocity = projectOnGround(
+      tempGroundVelocity.current.set(velX * factor, 0, velZ * factor),
+      normal,
+      tempGroundVelocity.current
+    );
+    vel.x = groundVelocity.x;
+    vel.z = groundVelocity.z;
+    // Uphill the collision lifts the body; downhill it would otherwise launch off
+    if (groundVelocity.y < 0 && vel.y <= 0.1) {
+      vel.y = Math.min(vel.y, groundVelocity.y);
+    }
+  };
+
+  // Swim velocity: water drag eases towards the stroke instead of setting it outright
+  const applySwimVelocity = (
+    vel: any,
+    velX: number,
+    velZ: number,
+    delta: number
+  ) => {
+    vel.x = MathUtils.damp(vel.x, velX, waterDrag, delta);
+    vel.z = MathUtils.damp(vel.z, velZ, waterDrag, delta);
+  };
+
+  // Ring of spray on the water surface around the body
+  const spawnSplash = (
+    x: number,
+    surface: number,
+    z: number,
+    count: number,
+    lift: number
+  ) => {
+    if (!enableSplashes) return;
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * Math.PI * 2;
+      footstepParticlesRef.current?.spawn({
+        position: tempSplashPosition.current.set(
+          x + Math.sin(angle) * capsuleRadius,
+          surface,
+          z + Math.cos(angle) * capsuleRadius
+        ),
+        normal: splashNormal.current,
+        slopeFactor: 1,
+        lift,
+      });
+    }
+  };
+
   useFrame((_state, delta) => {
     if (rb.current) {
       footstepCooldownRef.current = Math.max(
@@ -818,7 +1573,7 @@ export const GodotCharacterHybrid = ({
         0
       );
 
-      const vel = rb.current.linvel();
+      const vel = isKinematic ? kinematicVelocity.current : rb.current.linvel();
       if (!vel) return;
 
       // Update position and velocity for external components (like leaves)
@@ -831,22 +1586,163 @@ export const GodotCharacterHybrid = ({
         onVelocityChange([vel.x, vel.y, vel.z]);
       }
 
-      // Get crouch input FIRST (needed for ground detection)
-      const crouchInput = get().crouch;
+      // CUTSCENES: triggers fire from the character's position; while one
+      // plays the character stands idle, and jump skips it
+      cutscenes.update(delta, rb.current.translation());
+      const isInputLocked = cutscenes.isInputLocked();
+      const liveInput = getInput();
+      if (
+        isInputLocked &&
+        liveInput.jump &&
+        !actionsHeld.current.jump &&
+        cutscenes.getActiveCutscene()?.skippable !== false
+      ) {
+        cutscenes.stop();
+      }
+      actionsHeld.current.jump = liveInput.jump;
+      suppressJump.current =
+        liveInput.jump && (isInputLocked || suppressJump.current);
+      let input = isInputLocked ? LOCKED_INPUT : liveInput;
+      if (suppressJump.current) {
+        input = { ...input, jump: false };
+      }
 
-      // SIMPLE GROUND DETECTION - Rapier ONLY (pass current crouch state)
-      let grounded = checkGroundedRapier();
+      // Combat toggle and attacks fire once per press, from any bound key/button
+      // The state machine ignores an attack request while already attacking
+      const held = actionsHeld.current;
+      if (input.toggleCombat && !held.toggleCombat) {
+        setCombatMode((prev) => !prev);
+      }
+      if (combatMode && input.attack && !held.attack) {
+        attackRequest.current = "primary";
+      } else if (combatMode && input.attackAlt && !held.attackAlt) {
+        attackRequest.current = "secondary";
+      }
+      held.toggleCombat = input.toggleCombat;
+      held.attack = input.attack;
+      held.attackAlt = input.attackAlt;
+      updateLockOn(input, combatMode);
+
+      // Right stick and touch drag orbit the follow-orbit camera like the mouse does
+      // (locked on, the stick cycles targets and the camera levels out instead)
+      const rig = cameraRig.current;
+      if (cameraMode === "follow-orbit" && rig && lockOnTarget.current) {
+        const orbit = rig.getOrbit();
+        rig.setOrbit(orbit.yaw, MathUtils.damp(orbit.pitch, 0, 4, delta));
+      } else if (cameraMode === "follow-orbit" && rig) {
+        rig.orbit(
+          -(
+            input.lookX * lookSensitivity * delta +
+            input.lookDeltaX * mouseSensitivity
+          ),
+          -(
+            input.lookY * lookSensitivity * delta +
+            input.lookDeltaY * mouseSensitivity
+          )
+        );
+      } else if (cameraMode === "first-person") {
+        // In first person they turn the character and pitch the view instead
+        if (!lockOnTarget.current) {
+          rotationTarget.current -=
+            input.lookX * lookSensitivity * delta +
+            input.lookDeltaX * mouseSensitivity;
+        }
+        firstPersonPitch.current = MathUtils.clamp(
+          firstPersonPitch.current -
+            (input.lookY * lookSensitivity * delta +
+              input.lookDeltaY * mouseSensitivity),
+          -degToRad(firstPersonPitchLimit),
+          degToRad(firstPersonPitchLimit)
+        );
+      }
+
+      // Get crouch input FIRST (needed for ground detection)
+      // (While hanging or climbing, crouch means "let go" instead; in water it dives)
+      const isTraversing = stateMachine.is(...LEDGE_STATES, "climbUp");
+      const crouchInput =
+        input.crouch && !isTraversing && waterLevel.current === "none";
+
+      // GROUND DETECTION - Rapier ONLY (pass current crouch state)
+      // Ground steeper than the walkable limit counts as sliding, not grounded
+      const onGround = probeGroundRapier();
+      const isTooSteep =
+        onGround &&
+        getSlopeAngle(groundNormal.current) > degToRad(maxSlopeAngle);
+      let grounded = onGround && !isTooSteep;
+      let sliding = isTooSteep;
 
       // FORCE grounded during crouch transitions to prevent fall animations
-      if (crouchTransitioningRef.current) {
+      crouchTransitionTimeRef.current = Math.max(
+        crouchTransitionTimeRef.current - delta,
+        0
+      );
+      if (crouchTransitionTimeRef.current > 0) {
         grounded = true;
+        sliding = false;
       }
 
       setIsGrounded(grounded);
 
+      // WATER: depth of the feet below the surface decides swimming; a margin
+      // on the way out keeps the state from flickering at the threshold
+      const bodyPosition = rb.current.translation();
+      const bodyHeight = capsuleHeight + capsuleRadius * 2;
+      const feetY =
+        bodyPosition.y -
+        (isCrouchingRef.current ? capsuleHeight / 4 : capsuleHeight / 2) -
+        capsuleRadius;
+      const waterSurface = water.getSurfaceHeight(
+        bodyPosition.x,
+        feetY,
+        bodyPosition.z
+      );
+      const waterDepth = waterSurface === null ? 0 : waterSurface - feetY;
+      const floatDepth = bodyHeight * swimDepth;
+      const wasInWater = waterLevel.current !== "none";
+      const wasUnderwater = waterLevel.current === "underwater";
+      let currentWaterLevel: WaterLevel = "none";
+      if (waterDepth > bodyHeight + (wasUnderwater ? -0.1 : 0.1)) {
+        currentWaterLevel = "underwater";
+      } else if (waterDepth > floatDepth - (wasInWater ? 0.2 : 0)) {
+        currentWaterLevel = "surface";
+      }
+      waterLevel.current = currentWaterLevel;
+      const inWater = currentWaterLevel !== "none";
+
+      // Entry splash scaled by how hard the body hit the water
+      splashCooldown.current = Math.max(splashCooldown.current - delta, 0);
+      if (inWater && !wasInWater && waterSurface !== null) {
+        spawnSplash(
+          bodyPosition.x,
+          waterSurface,
+          bodyPosition.z,
+          MathUtils.clamp(Math.round(Math.abs(vel.y) * 2), 4, 12),
+          MathUtils.clamp(Math.abs(vel.y) * 0.5, 1, 4)
+        );
+        splashCooldown.current = 0.3;
+      }
+
+      // MOVING PLATFORMS: steer relative to the platform underfoot; its motion is added back after movement.
+      // Leaving a platform keeps the absolute velocity, so jumps carry its momentum
+      const platform = grounded
+        ? getPlatformBody(groundCollider.current)
+        : null;
+      if (platform) {
+        vel.x -= platformVelocity.current.x;
+        vel.z -= platformVelocity.current.z;
+        getPlatformPointVelocity(
+          platform,
+          rb.current.translation(),
+          platformVelocity.current
+        );
+      } else {
+        platformVelocity.current.set(0, 0, 0);
+      }
+
       // Get other input states
-      const danceInput = get().dance;
-      const rollInput = get().roll;
+      const danceInput = input.dance;
+      const rollInput = input.roll;
+      const jumpInput = input.jump;
 
       // Handle crouch input and update capsule state FIRST
       // FORCED CROUCH WITH DELAY: Only delay when auto-standing from forced crouch
@@ -897,133 +1793,67 @@ export const GodotCharacterHybrid = ({
       }
 
       // Landing detection
-      if (!wasGrounded.current && grounded) {
-        jumpPhase.current = "land";
-        setAnimation("jumpLand");
-        if (footstepCooldownRef.current <= 0.05) {
-          playFootstepSound();
-          footstepCooldownRef.current = 0.25;
-          const landingHits: Array<
-            FootstepParticleSpawnOptions & { hitToi?: number }
-          > = [];
-          if (leftFootBone.current) {
-            const pos = leftFootWorldPosition.current;
-            leftFootBone.current.getWorldPosition(pos);
-            const hit = castFootRay(pos);
-            if (hit) landingHits.push(hit);
-          }
-          if (rightFootBone.current) {
-            const pos = rightFootWorldPosition.current;
-            rightFootBone.current.getWorldPosition(pos);
-            const hit = castFootRay(pos);
-            if (hit) landingHits.push(hit);
-          }
-          if (landingHits.length === 0 && character.current) {
-            const centerPos = tempLandingCenterRef.current;
-            character.current.getWorldPosition(centerPos);
-            const centerHit = castFootRay(centerPos);
-            if (centerHit) landingHits.push(centerHit);
-          }
-          if (landingHits.length === 0 && rb.current) {
-            const fallbackPos = tempLandingCenterRef.current;
-            const translation = rb.current.translation();
-            const halfHeight = isCrouchingRef.current
-              ? (capsuleHeight * 0.5) / 2
-              : capsuleHeight / 2;
-            fallbackPos.set(
-              translation.x,
-              translation.y - halfHeight - capsuleRadius,
-              translation.z
-            );
-            const fallbackNormal = tempLandingNormalRef.current.set(0, 1, 0);
-            landingHits.push({
-              position: fallbackPos.clone(),
-              normal: fallbackNormal.clone(),
-              hitToi: 0,
-            });
-          }
-          if (enableFootstepParticles) {
-            landingHits.forEach((hit) => {
-              footstepParticlesRef.current?.spawn(hit);
-            });
-          }
-        }
-        setTimeout(() => {
-          if (jumpPhase.current === "land") {
-            jumpPhase.current = "none";
-          }
-        }, 300);
-      }
-
-      // Handle roll input (Alt key) - only when grounded, not crouched, not dancing/attacking
-      if (
-        rollInput &&
-        !rollPressed.current &&
-        grounded &&
-        !shouldBeCrouched &&
-        !danceInput &&
-        !isAttacking.current &&
-        !isRolling.current
-      ) {
-        rollPressed.current = true;
-        isRolling.current = true;
-        jumpPhase.current = "none";
-        setAnimation("roll");
-
-        // Give a slight forward impulse in the current facing direction
-        const rollSpeed = RUN_SPEED * 1.2;
-        const facingRotation =
-          rotationTarget.current + characterRotationTarget.current;
-        vel.x = Math.sin(facingRotation) * rollSpeed;
-        vel.z = Math.cos(facingRotation) * rollSpeed;
-
-        setTimeout(() => {
-          isRolling.current = false;
-        }, 800);
-      } else if (!rollInput) {
-        rollPressed.current = false;
-      }
-
-      // If in air and not in jump phase, set to loop (unless crouching or transitioning)
-      if (
-        !grounded &&
-        jumpPhase.current === "none" &&
-        !shouldBeCrouched &&
-        !crouchTransitioningRef.current &&
-        !isRolling.current
-      ) {
-        jumpPhase.current = "loop";
-        setAnimation("jumpLoop");
-      }
-
+      const landed = !wasGrounded.current && grounded;
       wasGrounded.current = grounded;
 
-      const movement: any = { x: 0, z: 0 };
-
-      // Handle dance input
-      if (danceInput) {
-        setAnimation("dance");
-        movement.x = 0;
-        movement.z = 0;
+      if (landed && !inWater && footstepCooldownRef.current <= 0.05) {
+        playFootstepSound();
+        footstepCooldownRef.current = 0.25;
+        const landingHits: Array<
+          FootstepParticleSpawnOptions & { hitToi?: number }
+        > = [];
+        if (leftFootBone.current) {
+          const pos = leftFootWorldPosition.current;
+          leftFootBone.current.getWorldPosition(pos);
+          const hit = castFootRay(pos);
+          if (hit) landingHits.push(hit);
+        }
+        if (rightFootBone.current) {
+          const pos = rightFootWorldPosition.current;
+          rightFootBone.current.getWorldPosition(pos);
+          const hit = castFootRay(pos);
+          if (hit) landingHits.push(hit);
+        }
+        if (landingHits.length === 0 && character.current) {
+          const centerPos = tempLandingCenterRef.current;
+          character.current.getWorldPosition(centerPos);
+          const centerHit = castFootRay(centerPos);
+          if (centerHit) landingHits.push(centerHit);
+        }
+        if (landingHits.length === 0 && rb.current) {
+          const fallbackPos = tempLandingCenterRef.current;
+          const translation = rb.current.translation();
+          const halfHeight = isCrouchingRef.current
+            ? (capsuleHeight * 0.5) / 2
+            : capsuleHeight / 2;
+          fallbackPos.set(
+            translation.x,
+            translation.y - halfHeight - capsuleRadius,
+            translation.z
+          );
+          const fallbackNormal = tempLandingNormalRef.current.set(0, 1, 0);
+          landingHits.push({
+            position: fallbackPos.clone(),
+            normal: fallbackNormal.clone(),
+            hitToi: 0,
+          });
+        }
+        if (enableFootstepParticles) {
+          landingHits.forEach((hit) => {
+            footstepParticlesRef.current?.spawn(hit);
+          });
+        }
       }
 
       // Update capsule size when crouch state changes
-
       if (shouldBeCrouched !== isCrouchingRef.current) {
         const currentPos = rb.current.translation();
         const standingHalfHeight = capsuleHeight / 2;
         const crouchHalfHeight = (capsuleHeight * 0.5) / 2;
         const heightDiff = standingHalfHeight - crouchHalfHeight;
 
-        // Set transitioning flag to prevent jump animations
-        crouchTransitioningRef.current = true;
-
-        // Reset jump phase to prevent fall animation
-        jumpPhase.current = "none";
-
-        setTimeout(() => {
-          crouchTransitioningRef.current = false;
-        }, 200); // 200ms grace period
+        // Grace period to prevent jump animations while the capsule resizes
+        crouchTransitionTimeRef.current = 0.2;
 
         if (shouldBeCrouched) {
           // Crouching: move body DOWN
@@ -1037,39 +1867,220 @@ export const GodotCharacterHybrid = ({
             { x: currentPos.x, y: currentPos.y + heightDiff, z: currentPos.z },
             true
           );
-
-          // Force idle animation when standing up
-          setAnimation("idle");
         }
 
         // Update ref immediately (not async)
         isCrouchingRef.current = shouldBeCrouched;
       }
 
-      // Movement input FIRST (before jump)
-      if (get().forward) movement.z = 1;
-      if (get().backward) movement.z = -1;
-      if (get().left) movement.x = 1;
-      if (get().right) movement.x = -1;
+      // Movement input FIRST (before jump); analog sticks give fractional values
+      const movement: any = { x: input.moveX, z: input.moveZ };
 
       // Q key: Classic walk backward
-      const walkBackwardInput = get().walkBackward;
-      if (walkBackwardInput) {
+      if (input.walkBackward) {
         movement.z = -1;
         movement.walkBackwardMode = true;
       }
 
-      if (movement.x !== 0) {
+      const movementSchemes: Record<string, string> = {
+        follow: followMovement,
+        "follow-orbit": followOrbitMovement,
+        orbit: orbitMovement,
+      };
+      const movementScheme = movementSchemes[cameraMode] ?? followMovement;
+      const isCameraRelative = movementScheme === "camera-relative";
+      // First person always strafes relative to the view; the mouse turns
+      const isFirstPerson = cameraMode === "first-person";
+
+      // Locked on, the camera turns to keep the target ahead and the character faces it
+      const lockedBody = lockOnTarget.current?.getBody();
+      if (lockedBody) {
+        const target = lockedBody.translation();
+        const targetYaw = Math.atan2(
+          target.x - bodyPosition.x,
+          target.z - bodyPosition.z
+        );
+        const orbitOffset = cameraRig.current?.getOrbit().yaw ?? 0;
+        rotationTarget.current += normalizeAngle(
+          targetYaw - rotationTarget.current - orbitOffset
+        );
+        characterRotationTarget.current = normalizeAngle(
+          targetYaw - rotationTarget.current
+        );
+      } else if (isFirstPerson) {
+        characterRotationTarget.current = 0;
+      }
+
+      // Tank controls: A/D turn (camera-relative keeps rotationTarget fixed so the follow camera doesn't spin)
+      // On a ledge A/D shimmy instead, and locked on or in first person they strafe
+      if (
+        movement.x !== 0 &&
+        !isCameraRelative &&
+        !isTraversing &&
+        !lockedBody &&
+        !isFirstPerson
+      ) {
         rotationTarget.current += ROTATION_SPEED * movement.x;
       }
 
       // Adjust speed based on run/crouch (use actual crouch state, not just input)
-      let speed = get().run ? RUN_SPEED : WALK_SPEED;
-      if (shouldBeCrouched) {
+      let speed = input.run ? RUN_SPEED : WALK_SPEED;
+      if (inWater) {
+        speed = input.run ? swimSprintSpeed : swimSpeed;
+      } else if (shouldBeCrouched) {
         speed = WALK_SPEED * 0.5; // Crouch walk is slower
       }
 
-      if (movement.x !== 0 || movement.z !== 0) {
+      // Partial stick deflection gives a proportional speed (keys are always full)
+      speed *= Math.min(Math.hypot(movement.x, movement.z), 1);
+
+      const isMoving = movement.x !== 0 || movement.z !== 0;
+
+      // LEDGES & WALLS: probe for the state machine; the ledge hook reacts to its decision below
+      const isHanging = stateMachine.is(...LEDGE_STATES);
+      const jumpEdge = jumpInput && !jumpPressed.current;
+      const ledgeInput = ledgeTraversal.probe({
+        delta,
+        facingYaw: rotationTarget.current + characterRotationTarget.current,
+        jumpPressed: jumpEdge,
+        backPressed: input.moveZ < -0.5,
+        airborne: !grounded && !sliding && !shouldBeCrouched,
+        verticalSpeed: vel.y,
+      });
+
+      // Advance the state machine; timed states (roll, attack, jump phases) count down with delta
+      const stateInput: CharacterStateInput = {
+        grounded,
+        sliding,
+        landed,
+        moving: isHanging ? movement.x !== 0 : isMoving,
+        running: speed > WALK_SPEED,
+        walkingBackward: Boolean(movement.walkBackwardMode),
+        crouched: shouldBeCrouched,
+        crouchTransitioning: crouchTransitionTimeRef.current > 0,
+        combatMode,
+        dance: danceInput,
+        jumpPressed: jumpInput && !jumpPressed.current,
+        rollPressed: rollInput && !rollPressed.current,
+        attack: attackRequest.current,
+        ...ledgeInput,
+        dropPressed: isHanging && input.crouch,
+        water: currentWaterLevel,
+      };
+      const stateChange = stateMachine.update(stateInput, delta);
+      attackRequest.current = null;
+
+      if (stateChange) {
+        setAnimation(stateChange.to);
+      }
+
+      const gait =
+        grounded && isMoving && !isHanging
+          ? resolveLocomotionState({ ...stateInput, combatMode: false })
+          : null;
+      if (gait !== movingGaitRef.current) {
+        movingGaitRef.current = gait;
+        setMovingGait(gait);
+      }
+
+      const isSwimming = stateMachine.is(...SWIM_STATES);
+      const suspendGravity =
+        isSwimming || stateMachine.is(...LEDGE_STATES, "climbUp");
+      if (suspendGravity !== gravitySuspended.current) {
+        gravitySuspended.current = suspendGravity;
+        setIsGravitySuspended(suspendGravity);
+      }
+
+      if (!jumpInput) {
+        jumpPressed.current = false;
+      }
+      if (!rollInput) {
+        rollPressed.current = false;
+      }
+
+      // ROLL: slight forward impulse in the current facing direction
+      if (stateChange?.to === "roll") {
+        rollPressed.current = true;
+        const rollSpeed = RUN_SPEED * 1.2;
+        const facingRotation =
+          rotationTarget.current + characterRotationTarget.current;
+        vel.x = Math.sin(facingRotation) * rollSpeed;
+        vel.z = Math.cos(facingRotation) * rollSpeed;
+      }
+
+      // LEDGES & WALLS: hang, shimmy, climb up or kick off the wall
+      if (stateChange?.to === "climbUp" || stateChange?.to === "wallJump") {
+        jumpPressed.current = true;
+      }
+      const ledgeFacing = ledgeTraversal.update(
+        stateChange,
+        movement.x,
+        vel,
+        delta
+      );
+      if (ledgeFacing !== null) {
+        characterRotationTarget.current = normalizeAngle(
+          ledgeFacing - rotationTarget.current
+        );
+      }
+
+      if (stateMachine.is(...LEDGE_STATES, "climbUp")) {
+        // Placed by the ledge hook; no other movement applies
+      } else if (isMoving && (lockedBody || isFirstPerson)) {
+        // Strafe: forward closes in, A/D circle the target, Q backs away, all while facing it
+        // (in first person the same moves are relative to the view)
+        const movementRotation =
+          rotationTarget.current +
+          characterRotationTarget.current +
+          Math.atan2(movement.x, movement.z);
+
+        if (isSwimming) {
+          applySwimVelocity(
+            vel,
+            Math.sin(movementRotation) * speed,
+            Math.cos(movementRotation) * speed,
+            delta
+          );
+        } else if (grounded) {
+          applyGroundVelocity(
+            vel,
+            Math.sin(movementRotation) * speed,
+            Math.cos(movementRotation) * speed
+          );
+        }
+      } else if (isMoving && isCameraRelative) {
+        // Input is relative to where the camera looks, flattened to its yaw
+        camera.getWorldDirection(cameraDirection.current);
+        const cameraYaw = Math.atan2(
+          cameraDirection.current.x,
+          cameraDirection.current.z
+        );
+        const movementRotation = cameraYaw + Math.atan2(movement.x, movement.z);
+
+        // Face the movement direction (Q walks backwards, so face away from it)
+        // characterRotationTarget is relative to rotationTarget, like in tank mode
+        const facingRotation = movement.walkBackwardMode
+          ? movementRotation + Math.PI
+          : movementRotation;
+        characterRotationTarget.current = normalizeAngle(
+          facingRotation - rotationTarget.current
+        );
+
+        if (isSwimming) {
+          applySwimVelocity(
+            vel,
+            Math.sin(movementRotation) * speed,
+            Math.cos(movementRotation) * speed,
+            delta
+          );
+        } else if (grounded) {
+          applyGroundVelocity(
+            vel,
+            Math.sin(movementRotation) * speed,
+            Math.cos(movementRotation) * speed
+          );
+        }
+      } else if (isMoving) {
         // Calculate base movement direction from input
         const baseMovementAngle = movement.walkBackwardMode
           ? Math.atan2(movement.x, 1)
@@ -1096,113 +2107,105 @@ export const GodotCharacterHybrid = ({
           intendedVelZ = -intendedVelZ;
         }
 
-        // Apply velocity only when grounded OR when initiating jump
-        if (grounded) {
-          vel.x = intendedVelX;
-          vel.z = intendedVelZ;
-        }
-        // When not grounded, don't touch velocity - let Rapier handle it
-
-        // JUMP: Check if jumping this frame - apply horizontal momentum
-        const jumpInput = get().jump;
-        if (jumpInput && grounded && !jumpPressed.current) {
-          jumpPressed.current = true;
-          vel.y = JUMP_FORCE;
-          // Apply horizontal velocity for forward jumping!
-          vel.x = intendedVelX;
-          vel.z = intendedVelZ;
-
-          jumpPhase.current = "start";
-          setAnimation("jumpStart");
-
-          setTimeout(() => {
-            if (jumpPhase.current === "start") {
-              jumpPhase.current = "loop";
-              setAnimation("jumpLoop");
-            }
-          }, 200);
-        } else if (!jumpInput) {
-          jumpPressed.current = false;
-        }
-
-        if (
-          grounded &&
-          jumpPhase.current === "none" &&
-          !danceInput &&
-          !isAttacking.current &&
-          !isRolling.current
-        ) {
-          if (shouldBeCrouched) {
-            setAnimation("crouchWalk");
-          } else if (combatMode) {
-            // Combat mode - use sword idle while moving (or could add sword walk)
-            setAnimation("swordIdle");
-          } else if (speed === RUN_SPEED) {
-            setAnimation("run");
-          } else if (movement.walkBackwardMode) {
-            setAnimation("walkBackwards");
-          } else {
-            setAnimation("walk");
-          }
+        // Apply velocity only when grounded or swimming (this also carries horizontal momentum into jumps)
+        if (isSwimming) {
+          applySwimVelocity(vel, intendedVelX, intendedVelZ, delta);
+        } else if (grounded) {
+          applyGroundVelocity(vel, intendedVelX, intendedVelZ);
         }
-      } else {
+        // When in the air, don't touch velocity - let Rapier handle it
+      } else if (isSwimming) {
+        // No stroke: drift to a stop
+        applySwimVelocity(vel, 0, 0, delta);
+      } else if (grounded) {
         // No movement input
+        vel.x *= 0.85;
+        vel.z *= 0.85;
 
-        if (grounded) {
-          vel.x *= 0.85;
-          vel.z *= 0.85;
+        if (Math.abs(vel.x) < 0.01) vel.x = 0;
+        if (Math.abs(vel.z) < 0.01) vel.z = 0;
+      }
+
+      // SLIDE: accelerate down the slope and drop any other motion, so steep ground can't be climbed
+      if (sliding && !isSwimming) {
+        const downhill = getDownhillDirection(
+          groundNormal.current,
+          tempDownhill.current
+        );
+        const slideSpeed = Math.min(
+          Math.max(
+            vel.x * downhill.x + vel.y * downhill.y + vel.z * downhill.z,
+            0
+          ) +
+            slideAcceleration * delta,
+          slideMaxSpeed
+        );
+        vel.x = downhill.x * slideSpeed;
+        vel.y = downhill.y * slideSpeed;
+        vel.z = downhill.z * slideSpeed;
+      }
 
-          if (Math.abs(vel.x) < 0.01) vel.x = 0;
-          if (Math.abs(vel.z) < 0.01) vel.z = 0;
+      // SWIM: float at the surface, dive with crouch and rise with jump or buoyancy.
+      // Jumping at the surface leaps; the water only takes over again once the leap tops out
+      if (isSwimming && waterSurface !== null) {
+        const underwater = stateMachine.is("dive", "diveIdle");
+        let targetVelY = (waterDepth - floatDepth) * buoyancy;
+        if (input.crouch) {
+          targetVelY = -swimVerticalSpeed;
+        } else if (underwater) {
+          targetVelY = jumpInput ? swimVerticalSpeed : swimVerticalSpeed * 0.3;
         }
 
-        // JUMP: Handle jumping when standing still
-        const jumpInput = get().jump;
-        if (jumpInput && grounded && !jumpPressed.current) {
+        if (!underwater && jumpEdge) {
           jumpPressed.current = true;
           vel.y = JUMP_FORCE;
-          // No horizontal velocity - jump straight up
-
-          jumpPhase.current = "start";
-          setAnimation("jumpStart");
-
-          setTimeout(() => {
-            if (jumpPhase.current === "start") {
-              jumpPhase.current = "loop";
-              setAnimation("jumpLoop");
-            }
-          }, 200);
-        } else if (!jumpInput) {
-          jumpPressed.current = false;
+        } else if (!underwater && waterDepth < floatDepth && vel.y > 0) {
+          vel.y += world.gravity.y * delta;
+        } else {
+          vel.y = MathUtils.damp(vel.y, targetVelY, waterDrag, delta);
         }
 
+        // Wake while stroking along the surface
         if (
-          grounded &&
-          jumpPhase.current === "none" &&
-          !danceInput &&
-          !isAttacking.current &&
-          !isRolling.current
+          !underwater &&
+          Math.hypot(vel.x, vel.z) > 0.5 &&
+          splashCooldown.current <= 0
         ) {
-          if (shouldBeCrouched) {
-            setAnimation("crouchIdle");
-          } else if (combatMode) {
-            setAnimation("swordIdle");
-          } else {
-            setAnimation("idle");
-          }
+          spawnSplash(bodyPosition.x, waterSurface, bodyPosition.z, 2, 0.6);
+          splashCooldown.current = 0.35;
         }
       }
 
+      // Ride the platform: add its motion and turn with it
+      if (platform) {
+        vel.x += platformVelocity.current.x;
+        vel.z += platformVelocity.current.z;
+        // Leave upward velocity alone once a jump has started
+        if (vel.y < platformVelocity.current.y + 0.5) {
+          vel.y = platformVelocity.current.y;
+        }
+        rotationTarget.current += platform.angvel().y * delta;
+      }
+
+      // JUMP: standing jumps go straight up, moving jumps keep the velocity set above
+      if (stateChange?.to === "jumpStart") {
+        jumpPressed.current = true;
+        vel.y = JUMP_FORCE;
+      }
+
+      // COMBAT: each swing's hitbox is live for part of the clip and hits every body at most once
+      weaponHitbox.update(stateChange);
+
       if (character.current) {
         // Character rotation should be independent of camera orbit
         // In follow-orbit mode, we need to subtract the camera orbit offset
         // so the character stays in place when camera orbits
         let targetRotation = characterRotationTarget.current;
-        if (cameraMode === "follow-orbit") {
+        if (cameraMode === "follow-orbit" && cameraRig.current) {
           // Counter-rotate to cancel out camera orbit effect
           // Character rotation should be relative to base camera, not orbiting camera
           targetRotation =
-            characterRotationTarget.current - mouseOrbitOffset.current;
+            characterRotationTarget.current - cameraRig.current.getOrbit().yaw;
         }
 
         character.current.rotation.y = lerpAngle(
@@ -1223,13 +2226,24 @@ export const GodotCharacterHybrid = ({
         character.current.updateMatrixWorld(true);
       }
 
+      // FOOT IK (applied in handleAfterAnimate): eased out in the air, in
+      // water and on ledges. Profiles without an ankle height have no legs
+      // to solve.
+      footIkTarget.current =
+        footIk &&
+        profile.ankleHeight !== undefined &&
+        grounded &&
+        !isSwimming &&
+        !stateMachine.is(...LEDGE_STATES, "climbUp")
+          ? 1
+          : 0;
+
       const horizontalSpeed = Math.hypot(vel.x, vel.z);
       const allowFootstepChecks =
         footstepAnimations.has(animationRef.current) &&
         horizontalSpeed > 0.2 &&
         !danceInput &&
-        !isRolling.current &&
-        !isAttacking.current;
+        !stateMachine.is("roll", ...ATTACK_STATES);
 
       const processFoot = (
         boneRef: React.MutableRefObject<THREE.Object3D | null>,
@@ -1328,80 +2342,73 @@ export const GodotCharacterHybrid = ({
         }
       }
 
-      rb.current.setLinvel(vel, true);
+      // Kinematic mode applies vel in the next physics step
+      if (!isKinematic) {
+        rb.current.setLinvel(vel, true);
+      }
     }
 
     // CAMERA
-    if (cameraMode === "follow" || cameraMode === "follow-orbit") {
-      // Base rotation follows character movement
-      const baseRotation = rotationTarget.current;
-
-      // For follow-orbit, add mouse orbit offset to camera rotation ONLY
-      // The container holds camera position, so camera can orbit without affecting character
-      const finalRotation =
-        cameraMode === "follow-orbit"
-          ? baseRotation + mouseOrbitOffset.current
-          : baseRotation;
-
-      container.current.rotation.y = MathUtils.lerp(
-        container.current.rotation.y,
-        finalRotation,
-        cameraLerpSpeed
-      );
-
-      // IMPORTANT: character rotation is NOT affected by camera orbit
-      // character.current.rotation.y is set separately based on movement only
-
-      cameraPosition.current.getWorldPosition(cameraWorldPosition.current);
-
-      const isFirstFrame = !cameraInitialized.current;
-
-      if (isFirstFrame) {
-        camera.position.copy(cameraWorldPosition.current);
+    const rig = cameraRig.current;
+    if ((cameraMode === "follow" || cameraMode === "follow-orbit") && rig) {
+      // Locked on, aim between the character and the target to keep both in frame
+      const lockedBody = lockOnTarget.current?.getBody();
+      rig.setFocus(lockedBody ? lockedBody.translation() : null, lockOnFraming);
+      rig.update(delta, { fadeOccluders: !cutscenes.getActiveCutscene() });
+
+      // The container turns with the camera (orbit included); the character
+      // inside it counter-rotates, so orbiting doesn't turn the character
+      container.current.rotation.y = rig.getYaw();
+    } else if (cameraMode === "first-person") {
+      container.current.rotation.y = rotationTarget.current;
+
+      // Eye at the head bone, kept inside the capsule so crouching, rolling
+      // and clips that lean the head can't put the view through walls
+      const eye = tempEyePosition.current;
+      const body = container.current.getWorldPosition(tempBodyPosition.current);
+      if (headBone.current) {
+        headBone.current.getWorldPosition(eye);
       } else {
-        camera.position.lerp(cameraWorldPosition.current, cameraLerpSpeed);
+        eye.copy(body);
       }
-
-      if (cameraTarget.current) {
-        cameraTarget.current.getWorldPosition(
-          cameraLookAtWorldPosition.current
-        );
-
-        if (isFirstFrame) {
-          cameraLookAt.current.copy(cameraLookAtWorldPosition.current);
-        } else {
-          cameraLookAt.current.lerp(
-            cameraLookAtWorldPosition.current,
-            cameraLerpSpeed
-          );
-        }
-
-        // For follow-orbit, adjust camera look-at target vertically based on accumulated vertical mouse offset
-        if (cameraMode === "follow-orbit") {
-          // Apply vertical rotation offset (pitch) by adjusting look-at target height
-          // mouseVerticalOffset is already accumulated and clamped, convert to vertical offset
-          const verticalRotationOffset =
-            Math.sin(mouseVerticalOffset.current) * 2;
-          cameraLookAt.current.y =
-            cameraLookAtWorldPosition.current.y + verticalRotationOffset;
-        }
-
-        camera.lookAt(cameraLookAt.current);
-      }
-
-      if (isFirstFrame) {
-        cameraInitialized.current = true;
+      const horizontalOffset = Math.hypot(eye.x - body.x, eye.z - body.z);
+      if (horizontalOffset > capsuleRadius) {
+        const scale = capsuleRadius / horizontalOffset;
+        eye.x = body.x + (eye.x - body.x) * scale;
+        eye.z = body.z + (eye.z - body.z) * scale;
       }
+      const halfHeight = isCrouchingRef.current
+        ? capsuleHeight / 4
+        : capsuleHeight / 2;
+      const eyeY = MathUtils.clamp(
+        eye.y,
+        body.y,
+        body.y + halfHeight + capsuleRadius
+      );
+      firstPersonEyeY.current =
+        firstPersonEyeY.current === null
+          ? eyeY
+          : MathUtils.damp(firstPersonEyeY.current, eyeY, 20, delta);
+      eye.y = firstPersonEyeY.current;
+      eye.x += Math.sin(rotationTarget.current) * firstPersonEyeOffset;
+      eye.z += Math.cos(rotationTarget.current) * firstPersonEyeOffset;
+
+      camera.position.copy(eye);
+      // The camera looks down -Z, so face it half a turn from the character's yaw
+      camera.rotation.set(
+        firstPersonPitch.current,
+        rotationTarget.current + Math.PI,
+        0,
+        "YXZ"
+      );
+      rig?.release();
+    } else {
+      // The camera is driven elsewhere; following resumes from wherever it is
+      rig?.release();
     }
 
-    if (teleportHoldFramesRef.current > 0) {
-      teleportHoldFramesRef.current -= 1;
-      camera.position.copy(teleportCameraPositionRef.current);
-      smoothCameraPosition.current.copy(teleportCameraPositionRef.current);
-      cameraLookAt.current.copy(teleportLookAtRef.current);
-      smoothLookAtPosition.current.copy(teleportLookAtRef.current);
-      camera.lookAt(teleportLookAtRef.current);
-    }
+    // A playing cutscene, or its blend back, has the last word on the camera
+    cutscenes.applyCamera(camera as THREE.PerspectiveCamera);
   });
 
   return (
@@ -1410,14 +2417,12 @@ export const GodotCharacterHybrid = ({
         colliders={false}
         ref={rb}
         position={position}
-        gravityScale={1}
+        gravityScale={isGravitySuspended ? 0 : 1}
         enabledRotations={[false, false, false]}
-        type="dynamic"
+        type={isKinematic ? "kinematicPosition" : "dynamic"}
         ccd={true}
       >
         <group ref={container}>
-          <group ref={cameraTarget} position-z={targetZ} />
-          <group ref={cameraPosition} position={[cameraX, cameraY, cameraZ]} />
           <group
             ref={character}
             position-y={
@@ -1426,13 +2431,26 @@ export const GodotCharacterHybrid = ({
                 : 0
             }
           >
-            <GodotCharacter
-              animation={animation}
-              onFootBonesReady={handleFootBonesReady}
-            />
+            {/* The body keeps moving while another profile's model loads */}
+            <Suspense fallback={null}>
+              <GodotCharacter
+                profile={profile}
+                animation={baseAnimation}
+                layers={animationLayers}
+                getVelocity={
+                  velocityBlendSpace ? getAnimationVelocity : undefined
+                }
+                onFootBonesReady={handleFootBonesReady}
+                onWeaponBoneReady={handleWeaponBoneReady}
+                onHeadBoneReady={handleHeadBoneReady}
+                onAfterAnimate={handleAfterAnimate}
+                hideHead={cameraMode === "first-person"}
+              />
+            </Suspense>
           </group>
         </group>
         <CapsuleCollider
+          ref={capsuleCollider}
           args={[
             isCrouchingRef.current
               ? (capsuleHeight * 0.5) / 2
@@ -1443,7 +2461,24 @@ export const GodotCharacterHybrid = ({
           restitution={0}
         />
       </RigidBody>
-      {enableFootstepParticles && (
+      <CameraRig
+        ref={cameraRig}
+        target={container}
+        getYaw={getCameraYaw}
+        offset={[cameraX, cameraY, cameraZ]}
+        lookOffset={[0, 0, targetZ]}
+        lerpSpeed={cameraLerpSpeed}
+        pivotHeight={capsuleHeight / 2}
+        collision={cameraCollision}
+        collisionRadius={cameraCollisionRadius}
+        recoverySpeed={cameraRecoverySpeed}
+        fadeOccluders={fadeOccluders}
+        occluderOpacity={occluderOpacity}
+        ignoreBody={rb}
+        autoUpdate={false}
+      />
+      {/* Shared by footsteps and water splashes; each spawn checks its own toggle */}
+      {(enableFootstepParticles || enableSplashes) && (
         <FootstepParticles ref={footstepParticlesRef} />
       )}
     </>
@@ -1,6 +1,7 @@
 import React, { useEffect, useRef } from "react";
-import { useThree } from "@react-three/fiber";
+import { useFrame, useThree } from "@react-three/fiber";
 import * as THREE from "three";
+import { useOptionalWater } from "../context/WaterContext";
 
 interface HeightFogProps {
   enabled?: boolean;
@@ -8,16 +9,47 @@ interface HeightFogProps {
   fogHeight?: number;
   fogNear?: number;
   fogFar?: number;
+  // Fog while the camera is below a water surface (see WaterVolume)
+  underwaterColor?: string;
+  underwaterNear?: number;
+  underwaterFar?: number;
 }
 
+// Underwater the height falloff is lifted out of the way so the tint is uniform
+const UNDERWATER_FOG_HEIGHT = 1e6;
+
+const setFogHeightUniforms = (scene: THREE.Scene, fogHeight: number) => {
+  scene.traverse((object) => {
+    if (object instanceof THREE.Mesh) {
+      const materials = Array.isArray(object.material)
+        ? object.material
+        : [object.material];
+
+      materials.forEach((material) => {
+        const shader = (material as any).userData?.shader;
+        if (shader && shader.uniforms.fogHeight) {
+          shader.uniforms.fogHeight.value = fogHeight;
+        }
+      });
+    }
+  });
+};
+
 export const HeightFog: React.FC<HeightFogProps> = ({
   enabled = true,
   fogColor = "#cccccc",
   fogHeight = 50.0,
   fogNear = 1,
   fogFar = 2300,
+  underwaterColor = "#1d5670",
+  underwaterNear = 0.5,
+  underwaterFar = 30,
 }) => {
   const { scene } = useThree();
+  const water = useOptionalWater();
+  const isUnderwater = useRef(false);
+  // Scene fog to restore when the camera surfaces
+  const aboveWaterFog = useRef<THREE.Fog | null>(null);
   const shadersModified = useRef(false);
   const originalShaders = useRef<{
     fog_pars_vertex?: string;
@@ -98,18 +130,50 @@ export const HeightFog: React.FC<HeightFogProps> = ({
     };
   }, [enabled]);
 
-  // Set up scene fog
+  // Set up scene fog; an underwater camera gets its tint back on the next frame
   useEffect(() => {
-    if (enabled) {
-      scene.fog = new THREE.Fog(fogColor, fogNear, fogFar);
-    } else {
-      scene.fog = null;
+    aboveWaterFog.current = enabled
+      ? new THREE.Fog(fogColor, fogNear, fogFar)
+      : null;
+    scene.fog = aboveWaterFog.current;
+    if (isUnderwater.current && enabled) {
+      setFogHeightUniforms(scene, fogHeight);
     }
+    isUnderwater.current = false;
 
     return () => {
       scene.fog = null;
     };
-  }, [enabled, fogColor, fogNear, fogFar, scene]);
+  }, [
+    enabled,
+    fogColor,
+    fogNear,
+    fogFar,
+    underwaterColor,
+    underwaterNear,
+    underwaterFar,
+    scene,
+  ]);
+
+  // Underwater tint: swap in a short, water-coloured fog while the camera is
+  // below a water surface. Works whether or not height fog is enabled.
+  useFrame(({ camera }) => {
+    const { x, y, z } = camera.position;
+    const surface = water?.getSurfaceHeight(x, y, z) ?? null;
+    const underwater = surface !== null && y < surface;
+    if (underwater === isUnderwater.current) return;
+
+    isUnderwater.current = underwater;
+    scene.fog = underwater
+      ? new THREE.Fog(underwaterColor, underwaterNear, underwaterFar)
+      : aboveWaterFog.current;
+    if (enabled) {
+      setFogHeightUniforms(
+        scene,
+        underwater ? UNDERWATER_FOG_HEIGHT : fogHeight
+      );
+    }
+  });
 
   // Update materials with fogHeight uniform
   useEffect(() => {
@@ -170,20 +234,10 @@ export const HeightFog: React.FC<HeightFogProps> = ({
   useEffect(() => {
     if (!enabled) return;
 
-    scene.traverse((object) => {
-      if (object instanceof THREE.Mesh) {
-        const materials = Array.isArray(object.material)
-          ? object.material
-          : [object.material];
-
-        materials.forEach((material) => {
-          const shader = (material as any).userData?.shader;
-          if (shader && shader.uniforms.fogHeight) {
-            shader.uniforms.fogHeight.value = fogHeight;
-          }
-        });
-      }
-    });
+    setFogHeightUniforms(
+      scene,
+      isUnderwater.current ? UNDERWATER_FOG_HEIGHT : fogHeight
+    );
   }, [enabled, fogHeight, scene]);
 
   return null;
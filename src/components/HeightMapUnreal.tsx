@@ -10,6 +10,13 @@ import { RigidBody } from "@react-three/rapier";
 import { TextureLoader } from "three";
 import * as THREE from "three";
 import { useControls } from "leva";
+import {
+  getHeightmapCenterPeak,
+  getHeightmapImageData,
+  getTerrainHeightFromTexture,
+  sampleHeightmap,
+} from "../utils/terrainUtils";
+import { useRegisterTerrain } from "../context/TerrainContext";
 
 interface HeightMapUnrealProps {
   size?: number;
@@ -134,109 +141,54 @@ export const HeightMapUnreal = forwardRef<THREE.Mesh, HeightMapUnrealProps>(
       "/textures/unreal-heightmap.png"
     ) as THREE.Texture;
 
-    // Cache the heightmap image data ONCE - this is expensive! (Same pattern as ZeldaTerrain2)
-    const heightmapImageData = useMemo(() => {
-      const canvas = document.createElement("canvas");
-      const ctx = canvas.getContext("2d");
-      if (!ctx) return null;
-
-      canvas.width = heightmapTexture.image.width;
-      canvas.height = heightmapTexture.image.height;
-      ctx.drawImage(heightmapTexture.image, 0, 0);
-      return ctx.getImageData(0, 0, canvas.width, canvas.height);
-    }, [heightmapTexture]);
-
-    // Store height data for lookup function (processed once, shared with grass)
-    const heightData = useMemo(() => {
-      if (!heightmapImageData) return null;
-
-      const data = heightmapImageData.data;
-      const canvas = {
-        width: heightmapImageData.width,
-        height: heightmapImageData.height,
-      };
-
-      // Find min and max heights for normalization
-      const heights: number[] = [];
-      for (let y = 0; y < canvas.height; y++) {
-        for (let x = 0; x < canvas.width; x++) {
-          const pixelIndex = (y * canvas.width + x) * 4;
-          const height = data[pixelIndex] / 255;
-          heights.push(height);
-        }
-      }
-
-      let minHeight = heights[0];
-      let maxHeight = heights[0];
-      for (let i = 1; i < heights.length; i++) {
-        if (heights[i] < minHeight) minHeight = heights[i];
-        if (heights[i] > maxHeight) maxHeight = heights[i];
-      }
-      const heightRange = maxHeight - minHeight;
-
-      // Find max height at center region
-      const centerX = Math.floor(canvas.width / 2);
-      const centerY = Math.floor(canvas.height / 2);
-      let maxCenterHeight = 0;
-
-      for (let dx = -centerRegionSize; dx <= centerRegionSize; dx++) {
-        for (let dy = -centerRegionSize; dy <= centerRegionSize; dy++) {
-          const x = Math.max(0, Math.min(canvas.width - 1, centerX + dx));
-          const y = Math.max(0, Math.min(canvas.height - 1, centerY + dy));
-          const pixelIndex = (y * canvas.width + x) * 4;
-          const height = data[pixelIndex] / 255;
-          if (height > maxCenterHeight) {
-            maxCenterHeight = height;
-          }
-        }
-      }
-
-      // Calculate offset to place center peak at Y=0
-      const normalizedMaxCenterHeight =
-        (maxCenterHeight - minHeight) / heightRange;
-      const peakOffset = -(normalizedMaxCenterHeight * heightScale);
-
-      // Create normalized height array
-      const normalizedHeights: number[] = [];
-      for (let i = 0; i < heights.length; i++) {
-        const normalizedHeight =
-          heightRange > 0 ? (heights[i] - minHeight) / heightRange : 0;
-        normalizedHeights.push(normalizedHeight * heightScale + peakOffset);
-      }
+    // Cached heightmap image data - decoded once and shared with other terrains/spawn rules
+    const heightmapImageData = useMemo(
+      () => getHeightmapImageData(heightmapTexture),
+      [heightmapTexture]
+    );
 
-      return {
-        heights: normalizedHeights,
-        width: canvas.width,
-        height: canvas.height,
-        minHeight,
-        maxHeight,
-        heightRange,
-        peakOffset,
-      };
+    // Offset that places the center peak at Y=0
+    const peakOffset = useMemo(() => {
+      if (!heightmapImageData) return 0;
+      return -(
+        getHeightmapCenterPeak(heightmapImageData, centerRegionSize, {
+          normalize: true,
+        }) * heightScale
+      );
     }, [heightmapImageData, heightScale, centerRegionSize]);
 
     // Create heightmap lookup function for grass and other components (SAME as ZeldaTerrain2!)
     const heightmapLookup = useMemo(() => {
-      if (!heightData) return null;
-
-      return (x: number, z: number): number => {
-        // Convert world coordinates to heightmap coordinates
-        const normalizedX = (x + size / 2) / size;
-        const normalizedZ = (z + size / 2) / size;
-
-        // Clamp to valid range
-        const clampedX = Math.max(0, Math.min(1, normalizedX));
-        const clampedZ = Math.max(0, Math.min(1, normalizedZ));
-
-        // Convert to pixel coordinates
-        const pixelX = Math.floor(clampedX * (heightData.width - 1));
-        const pixelZ = Math.floor(clampedZ * (heightData.height - 1));
+      if (!heightmapImageData) return null;
 
-        // Get height value from stored height data
-        const index = pixelZ * heightData.width + pixelX;
-        return heightData.heights[index] || 0;
-      };
-    }, [heightData, size]);
+      return (x: number, z: number): number =>
+        getTerrainHeightFromTexture(
+          x,
+          z,
+          heightmapImageData,
+          size,
+          heightScale,
+          peakOffset,
+          { normalize: true }
+        );
+    }, [heightmapImageData, size, heightScale, peakOffset]);
+
+    const terrainSource = useMemo(
+      () =>
+        heightmapLookup
+          ? {
+              getHeight: heightmapLookup,
+              bounds: {
+                minX: -size / 2,
+                maxX: size / 2,
+                minZ: -size / 2,
+                maxZ: size / 2,
+              },
+            }
+          : null,
+      [heightmapLookup, size]
+    );
+    useRegisterTerrain(terrainSource);
 
     // Notify parent component when heightmap lookup is ready (SAME as ZeldaTerrain2!)
     useEffect(() => {
@@ -255,82 +207,21 @@ export const HeightMapUnreal = forwardRef<THREE.Mesh, HeightMapUnrealProps>(
       // Use cached heightmap image data (no canvas recreation!)
       if (!heightmapImageData) return geometry;
 
-      const data = heightmapImageData.data;
-      const canvas = {
-        width: heightmapImageData.width,
-        height: heightmapImageData.height,
-      };
-
       // Get vertex positions
       const positions = geometry.attributes.position.array;
+      const colors: number[] = [];
 
-      // First pass: collect all heights to find min/max for normalization
-      const heights: number[] = [];
       for (let i = 0; i < positions.length; i += 3) {
         const x = positions[i];
         const z = positions[i + 1];
 
-        // Convert world coordinates to texture coordinates
-        const u = (x + size / 2) / size; // Normalize to 0-1
-        const v = (z + size / 2) / size; // Normalize to 0-1
-
-        // Clamp to valid range
-        const clampedU = Math.max(0, Math.min(1, u));
-        const clampedV = Math.max(0, Math.min(1, v));
-
-        // Get pixel coordinates
-        const pixelX = Math.floor(clampedU * (canvas.width - 1));
-        const pixelY = Math.floor(clampedV * (canvas.height - 1));
-
-        // Get pixel index (RGBA format)
-        const pixelIndex = (pixelY * canvas.width + pixelX) * 4;
-
-        // Use red channel for height (grayscale heightmap)
-        const height = data[pixelIndex] / 255; // Normalize to 0-1
-        heights.push(height);
-      }
-
-      // Find min and max heights for normalization (avoid spread operator with large arrays)
-      let minHeight = heights[0];
-      let maxHeight = heights[0];
-      for (let i = 1; i < heights.length; i++) {
-        if (heights[i] < minHeight) minHeight = heights[i];
-        if (heights[i] > maxHeight) maxHeight = heights[i];
-      }
-      const heightRange = maxHeight - minHeight;
-
-      // Find max height at center region (for centering on Y=0)
-      const centerX = Math.floor(canvas.width / 2);
-      const centerY = Math.floor(canvas.height / 2);
-      let maxCenterHeight = 0;
-
-      for (let dx = -centerRegionSize; dx <= centerRegionSize; dx++) {
-        for (let dy = -centerRegionSize; dy <= centerRegionSize; dy++) {
-          const x = Math.max(0, Math.min(canvas.width - 1, centerX + dx));
-          const y = Math.max(0, Math.min(canvas.height - 1, centerY + dy));
-          const pixelIndex = (y * canvas.width + x) * 4;
-          const height = data[pixelIndex] / 255;
-          if (height > maxCenterHeight) {
-            maxCenterHeight = height;
-          }
-        }
-      }
-
-      // Calculate offset to place center peak at Y=0
-      const normalizedMaxCenterHeight =
-        (maxCenterHeight - minHeight) / heightRange;
-      const peakOffset = -(normalizedMaxCenterHeight * heightScale);
-
-      // Second pass: apply normalized height displacement and colors
-      let heightIndex = 0;
-      const colors: number[] = [];
-
-      for (let i = 0; i < positions.length; i += 3) {
-        const rawHeight = heights[heightIndex++];
-
-        // Normalize height so lowest point is at 0 and highest point uses full heightScale
-        const normalizedHeight =
-          heightRange > 0 ? (rawHeight - minHeight) / heightRange : 0;
+        // Normalized so lowest point is at 0 and highest point uses full heightScale
+        const normalizedHeight = sampleHeightmap(
+          heightmapImageData,
+          (x + size / 2) / size,
+          (z + size / 2) / size,
+          { normalize: true }
+        );
 
         // Apply height displacement with peak at center positioned at Y=0
         positions[i + 2] = normalizedHeight * heightScale + peakOffset;
@@ -370,7 +261,7 @@ export const HeightMapUnreal = forwardRef<THREE.Mesh, HeightMapUnrealProps>(
       size,
       segments,
       heightScale,
-      centerRegionSize,
+      peakOffset,
       enableGradient,
       lowColor,
       midColor,
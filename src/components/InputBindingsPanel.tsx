@@ -0,0 +1,348 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useInputProfile } from "../context/InputProfileContext";
+import {
+  ACTION_LABELS,
+  CHARACTER_ACTIONS,
+  formatBinding,
+} from "../utils/inputProfiles";
+import { getActiveGamepad } from "../utils/gamepad";
+import type { CharacterAction, InputDevice } from "../types/input";
+
+type Capture = {
+  device: InputDevice;
+  action: CharacterAction;
+  slot: number;
+};
+
+const buttonStyle: React.CSSProperties = {
+  background: "rgba(255, 255, 255, 0.1)",
+  border: "1px solid rgba(255, 255, 255, 0.2)",
+  borderRadius: 4,
+  color: "inherit",
+  font: "inherit",
+  padding: "3px 8px",
+  cursor: "pointer",
+};
+
+const conflictStyle: React.CSSProperties = {
+  ...buttonStyle,
+  borderColor: "#ff7f7f",
+  color: "#ffb3b3",
+};
+
+const capturingStyle: React.CSSProperties = {
+  ...buttonStyle,
+  borderColor: "#7fc8ff",
+  color: "#7fc8ff",
+};
+
+/**
+ * Rebinding UI for the active input profile. Rendered outside the Canvas.
+ * Click a binding, then press a key, mouse button or gamepad button;
+ * Escape cancels and Backspace clears the slot.
+ */
+export const InputBindingsPanel = () => {
+  const {
+    profile,
+    profiles,
+    conflicts,
+    selectProfile,
+    createProfile,
+    deleteProfile,
+    resetProfile,
+    rebind,
+    importProfile,
+    exportProfile,
+  } = useInputProfile();
+  const [isOpen, setIsOpen] = useState(false);
+  const [capture, setCapture] = useState<Capture | null>(null);
+  const [status, setStatus] = useState<string | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const applyBinding = (target: Capture, binding: string | number | null) => {
+    setCapture(null);
+    const displaced = rebind(
+      target.device,
+      target.action,
+      target.slot,
+      binding
+    );
+    setStatus(
+      displaced.length > 0 && binding !== null
+        ? `${formatBinding(target.device, binding)} was unbound from ${displaced
+            .map((action) => ACTION_LABELS[action])
+            .join(", ")}`
+        : null
+    );
+  };
+
+  // Keyboard / mouse capture; capture phase keeps the key away from KeyboardControls
+  useEffect(() => {
+    if (!capture || capture.device !== "keyboard") return;
+
+    const handleKeyDown = (e: KeyboardEvent) => {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (e.code === "Escape") {
+        setCapture(null);
+      } else if (e.code === "Backspace" || e.code === "Delete") {
+        applyBinding(capture, null);
+      } else {
+        applyBinding(capture, e.code);
+      }
+    };
+    const handleMouseDown = (e: MouseEvent) => {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      applyBinding(capture, `Mouse${e.button}`);
+    };
+
+    window.addEventListener("keydown", handleKeyDown, true);
+    window.addEventListener("mousedown", handleMouseDown, true);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown, true);
+      window.removeEventListener("mousedown", handleMouseDown, true);
+    };
+  });
+
+  // Gamepad capture: bind the first button that wasn't already held
+  useEffect(() => {
+    if (!capture || capture.device !== "gamepad") return;
+
+    const initiallyHeld = new Set(
+      getActiveGamepad()
+        ?.buttons.map((button, index) => (button.pressed ? index : -1))
+        .filter((index) => index >= 0) ?? []
+    );
+    let frame = 0;
+
+    const poll = () => {
+      const gamepad = getActiveGamepad();
+      const index =
+        gamepad?.buttons.findIndex(
+          (button, i) => button.pressed && !initiallyHeld.has(i)
+        ) ?? -1;
+      if (index >= 0) {
+        applyBinding(capture, index);
+        return;
+      }
+      gamepad?.buttons.forEach((button, i) => {
+        if (!button.pressed) initiallyHeld.delete(i);
+      });
+      frame = requestAnimationFrame(poll);
+    };
+
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.code === "Escape") {
+        setCapture(null);
+      } else if (e.code === "Backspace" || e.code === "Delete") {
+        applyBinding(capture, null);
+      }
+    };
+
+    frame = requestAnimationFrame(poll);
+    window.addEventListener("keydown", handleKeyDown);
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener("keydown", handleKeyDown);
+    };
+  });
+
+  const isConflicting = (device: InputDevice, binding: string | number) =>
+    conflicts.some(
+      (conflict) => conflict.device === device && conflict.binding === binding
+    );
+
+  const handleExport = () => {
+    const blob = new Blob([exportProfile()], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${profile.name}.input-profile.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (file: File | undefined) => {
+    if (!file) return;
+    try {
+      const imported = importProfile(await file.text());
+      setStatus(`Imported "${imported.name}"`);
+    } catch (error) {
+      setStatus((error as Error).message);
+    }
+  };
+
+  const handleNewProfile = () => {
+    const name = window.prompt("Profile name", `${profile.name} copy`);
+    if (name !== null) createProfile(name);
+  };
+
+  const renderSlots = (device: InputDevice, action: CharacterAction) => {
+    const bindings: Array<string | number> = profile[device][action] ?? [];
+    const isCapturing = (slot: number) =>
+      capture?.device === device &&
+      capture.action === action &&
+      capture.slot === slot;
+
+    return (
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
+        {bindings.map((binding, slot) => (
+          <button
+            key={`${binding}-${slot}`}
+            style={
+              isCapturing(slot)
+                ? capturingStyle
+                : isConflicting(device, binding)
+                  ? conflictStyle
+                  : buttonStyle
+            }
+            onClick={() => setCapture({ device, action, slot })}
+          >
+            {isCapturing(slot) ? "Press…" : formatBinding(device, binding)}
+          </button>
+        ))}
+        <button
+          style={isCapturing(bindings.length) ? capturingStyle : buttonStyle}
+          onClick={() => setCapture({ device, action, slot: bindings.length })}
+          title="Add binding"
+        >
+          {isCapturing(bindings.length) ? "Press…" : "+"}
+        </button>
+      </div>
+    );
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        style={{
+          ...buttonStyle,
+          position: "absolute",
+          right: 12,
+          bottom: 12,
+          zIndex: 5,
+          background: "rgba(13, 15, 18, 0.8)",
+          color: "#e8e8e8",
+          fontFamily: "system-ui, sans-serif",
+          fontSize: 12,
+        }}
+        onClick={() => setIsOpen(true)}
+      >
+        ⌨️ Controls
+      </button>
+    );
+  }
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        right: 12,
+        bottom: 12,
+        width: 460,
+        maxHeight: "80vh",
+        overflowY: "auto",
+        padding: 12,
+        borderRadius: 6,
+        background: "rgba(13, 15, 18, 0.92)",
+        color: "#e8e8e8",
+        fontFamily: "system-ui, sans-serif",
+        fontSize: 12,
+        zIndex: 5,
+      }}
+    >
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <strong style={{ flex: 1, fontSize: 14 }}>Controls</strong>
+        <button style={buttonStyle} onClick={() => setIsOpen(false)}>
+          Close
+        </button>
+      </div>
+
+      <div
+        style={{ display: "flex", flexWrap: "wrap", gap: 6, margin: "8px 0" }}
+      >
+        <select
+          value={profile.name}
+          onChange={(e) => selectProfile(e.target.value)}
+          style={buttonStyle}
+        >
+          {profiles.map((p) => (
+            <option key={p.name} value={p.name} style={{ color: "#000" }}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <button style={buttonStyle} onClick={handleNewProfile}>
+          New
+        </button>
+        <button
+          style={buttonStyle}
+          disabled={profiles.length <= 1}
+          onClick={() => deleteProfile(profile.name)}
+        >
+          Delete
+        </button>
+        <button style={buttonStyle} onClick={resetProfile}>
+          Reset
+        </button>
+        <button style={buttonStyle} onClick={handleExport}>
+          Export
+        </button>
+        <button
+          style={buttonStyle}
+          onClick={() => fileInputRef.current?.click()}
+        >
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          style={{ display: "none" }}
+          onChange={(e) => {
+            handleImport(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+      </div>
+
+      {status && (
+        <div style={{ marginBottom: 8, whiteSpace: "pre-wrap", opacity: 0.8 }}>
+          {status}
+        </div>
+      )}
+      {conflicts.map((conflict) => (
+        <div
+          key={`${conflict.device}-${conflict.binding}`}
+          style={{ marginBottom: 4, color: "#ffb3b3" }}
+        >
+          {formatBinding(conflict.device, conflict.binding)} is bound to{" "}
+          {conflict.actions.map((action) => ACTION_LABELS[action]).join(", ")}
+        </div>
+      ))}
+
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ textAlign: "left", opacity: 0.6 }}>
+            <th style={{ padding: 4 }}>Action</th>
+            <th style={{ padding: 4 }}>Keyboard / Mouse</th>
+            <th style={{ padding: 4 }}>Gamepad</th>
+          </tr>
+        </thead>
+        <tbody>
+          {CHARACTER_ACTIONS.map((action) => (
+            <tr
+              key={action}
+              style={{ borderTop: "1px solid rgba(255, 255, 255, 0.08)" }}
+            >
+              <td style={{ padding: 4 }}>{ACTION_LABELS[action]}</td>
+              <td style={{ padding: 4 }}>{renderSlots("keyboard", action)}</td>
+              <td style={{ padding: 4 }}>{renderSlots("gamepad", action)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
@@ -0,0 +1,88 @@
+import React from "react";
+import { useProgress } from "@react-three/drei";
+import { useMapLoading } from "../context/MapLoadingContext";
+
+// Strip the directory so long asset URLs stay readable ("/models/x.glb" -> "x.glb")
+const formatItem = (item: string) => {
+  if (!item) return "";
+  const withoutQuery = item.split("?")[0];
+  return decodeURIComponent(
+    withoutQuery.substring(withoutQuery.lastIndexOf("/") + 1)
+  );
+};
+
+/**
+ * Full-screen overlay shown while the active map's code chunk, assets
+ * (GLBs, textures, heightmaps) and terrain physics are loading, and in
+ * place of the map if it failed to load.
+ * Rendered outside the Canvas; asset progress comes from THREE.DefaultLoadingManager.
+ */
+export const LoadingOverlay = () => {
+  const { mapName, isReady, error } = useMapLoading();
+  const { active, progress, loaded, total, item } = useProgress();
+
+  if (isReady) {
+    return null;
+  }
+
+  const assetsDone = !active && total > 0 && loaded >= total;
+  const status = assetsDone
+    ? "Preparing terrain…"
+    : active
+      ? `Loading ${formatItem(item)}`
+      : "Loading map…";
+  const percent = assetsDone ? 100 : Math.round(progress);
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        inset: 0,
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: 12,
+        background: "#0d0f12",
+        color: "#e8e8e8",
+        fontFamily: "system-ui, sans-serif",
+        zIndex: 10,
+        pointerEvents: "none",
+      }}
+    >
+      <div style={{ fontSize: 18, fontWeight: 600 }}>
+        {mapName ?? "Loading"}
+      </div>
+      {error ? (
+        <div style={{ maxWidth: 420, fontSize: 13, color: "#ff9a8a" }}>
+          {error}
+        </div>
+      ) : (
+        <>
+          <div
+            style={{
+              width: 280,
+              height: 6,
+              borderRadius: 3,
+              background: "rgba(255, 255, 255, 0.15)",
+              overflow: "hidden",
+            }}
+          >
+            <div
+              style={{
+                width: `${percent}%`,
+                height: "100%",
+                background: "#7fc8ff",
+                transition: "width 0.2s ease-out",
+              }}
+            />
+          </div>
+          <div style={{ fontSize: 12, opacity: 0.7 }}>
+            {status}
+            {total > 0 && ` (${loaded}/${total})`}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
@@ -14,6 +14,7 @@ import HorizonSky from "./HorizonSky";
 import * as THREE from "three";
 import { TileMaterial } from "./TileMaterial";
 import { TILE_REFERENCE_SCALE, TILE_DENSITY } from "./tileMaterialConfig";
+import { useRegisterTerrain } from "../context/TerrainContext";
 
 export const Map1 = ({
   scale = 1,
@@ -86,6 +87,12 @@ export const Map1 = ({
     []
   );
 
+  const terrainSource = useMemo(
+    () => ({ getHeight: getGroundHeight }),
+    [getGroundHeight]
+  );
+  useRegisterTerrain(terrainSource);
+
   // Get ClaudeGrassQuick controls
   const claudeGrassQuickControls = useClaudeGrassQuickControls();
   // Get ClaudeGrassQuick2 controls
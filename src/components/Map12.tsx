@@ -19,15 +19,10 @@ export const Map12 = forwardRef<any, any>(
       }
     };
 
-    const handleHeightmapReady = (getHeightFn: (x: number, z: number) => number) => {
-      // Heightmap ready callback if needed
-    };
-
     return (
       <group>
         <ProceduralTerrain5
           onTerrainReady={handleTerrainReady}
-          onHeightmapReady={handleHeightmapReady}
         />
       </group>
     );
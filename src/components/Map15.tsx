@@ -12,6 +12,7 @@ import {
   CuboidCollider,
   CylinderCollider,
   RigidBody,
+  useBeforePhysicsStep,
 } from "@react-three/rapier";
 import * as THREE from "three";
 import { TileMaterial } from "./TileMaterial";
@@ -22,9 +23,22 @@ import {
   TILE_REFERENCE_SIZE,
 } from "./tileMaterialConfig";
 import { PhysicsDebugCubes } from "./PhysicsDebugCubes";
+import { PlatformPath } from "./PlatformPath";
 
 const TILE_WORLD_UNIT = 1 / TILE_DENSITY;
 
+// Module-level so re-renders don't rebuild the splines
+const SHUTTLE_WAYPOINTS: Array<[number, number, number]> = [
+  [20, 1, 2],
+  [30, 1, 2],
+  [32, 3, 10],
+  [22, 3, 12],
+];
+const TURNTABLE_WAYPOINTS: Array<[number, number, number]> = [
+  [26, 0.5, -14],
+  [26, 0.5, -24],
+];
+
 const createTiledBoxGeometry = (
   width: number,
   height: number,
@@ -213,6 +227,18 @@ export const Map15 = forwardRef<THREE.Mesh | null, Map15Props>(
         <ParkourTile position={[10, 0, -10]} />
         <HoleWallTile position={[-20, 0, -20]} />
         <ElevatorPlatform position={[0, 0, 15]} />
+        <PlatformPath waypoints={SHUTTLE_WAYPOINTS} mode="loop" pause={1}>
+          <PlatformSlab size={[4, 0.5, 4]} />
+        </PlatformPath>
+        <PlatformPath
+          waypoints={TURNTABLE_WAYPOINTS}
+          speed={1}
+          pause={2}
+          easing
+          rotationSpeed={0.5}
+        >
+          <PlatformSlab size={[5, 0.5, 5]} />
+        </PlatformPath>
         <StaticPlatform position={[0, 12, 24]} size={[12, 1, 10]} />
         <StaticPlatform position={[8, 13, 24]} size={[6, 1, 6]} />
         <StaticPlatform position={[28, 13.05, 24]} size={[40, 1, 4]} />
@@ -771,6 +797,25 @@ const LaunchPad = ({
   );
 };
 
+// Tiled slab for PlatformPath; its collider joins the path's kinematic body
+const PlatformSlab = ({ size }: { size: [number, number, number] }) => {
+  const [width, thickness, depth] = size;
+  const geometry = useTiledBoxGeometry(size);
+
+  return (
+    <>
+      <CuboidCollider
+        args={[width / 2, thickness / 2, depth / 2]}
+        friction={1}
+        restitution={0}
+      />
+      <mesh castShadow receiveShadow geometry={geometry}>
+        <TileMaterial />
+      </mesh>
+    </>
+  );
+};
+
 type ElevatorPlatformProps = {
   position?: [number, number, number];
   height?: number;
@@ -791,95 +836,62 @@ const ElevatorPlatform = ({
   size = [4, 0.5, 4],
 }: ElevatorPlatformProps) => {
   const bodyRef = useRef<any>(null);
-  const animationFrameRef = useRef<number | null>(null);
   const timeRef = useRef(0);
-  const lastTimeRef = useRef<number | null>(null);
   const [width, thickness, depth] = size;
   const platformGeometry = useTiledBoxGeometry(size);
 
   useEffect(() => {
+    // Start at the bottom of the cycle
+    timeRef.current = 0;
     if (bodyRef.current) {
       bodyRef.current.setTranslation(
         { x: position[0], y: position[1], z: position[2] },
         true
       );
-      bodyRef.current.setLinvel({ x: 0, y: 0, z: 0 }, true);
     }
-  }, [position]);
+  }, [climbDuration, descentDuration, bottomPause, topPause, height, position]);
 
-  useEffect(() => {
-    const pauseTotal = bottomPause + topPause;
-    const travelTotal = climbDuration + descentDuration;
-    const totalDuration = travelTotal + pauseTotal;
-    const amplitude = height / 2;
-    const centerY = position[1] + amplitude;
+  // Moved before each physics step (not per animation frame) so Rapier derives
+  // the platform velocity that carries the character
+  useBeforePhysicsStep((world) => {
+    const body = bodyRef.current;
+    if (!body) return;
+
+    const totalDuration =
+      climbDuration + descentDuration + bottomPause + topPause;
     const bottomY = position[1];
     const topY = position[1] + height;
-
     const ease = (u: number) => (1 - Math.cos(Math.PI * u)) * 0.5;
-    const easeDerivative = (u: number) => Math.PI * 0.5 * Math.sin(Math.PI * u);
 
-    // Start at the bottom of the cycle
-    timeRef.current = 0;
-    lastTimeRef.current = performance.now();
-
-    const animate = () => {
-      const body = bodyRef.current;
-      if (body) {
-        const now = performance.now();
-        const last = lastTimeRef.current ?? now;
-        const deltaSeconds = Math.min((now - last) / 1000, 0.05);
-        lastTimeRef.current = now;
-
-        timeRef.current = (timeRef.current + deltaSeconds) % totalDuration;
-
-        const time = timeRef.current;
-        let targetY = bottomY;
-        let velocityY = 0;
-
-        if (time < bottomPause) {
-          targetY = bottomY;
-          velocityY = 0;
-        } else if (time < bottomPause + climbDuration) {
-          const u = (time - bottomPause) / climbDuration;
-          targetY = bottomY + height * ease(u);
-          velocityY = (height * easeDerivative(u)) / climbDuration;
-        } else if (time < bottomPause + climbDuration + topPause) {
-          targetY = topY;
-          velocityY = 0;
-        } else {
-          const u =
-            (time - bottomPause - climbDuration - topPause) / descentDuration;
-          targetY = topY - height * ease(u);
-          velocityY = (-height * easeDerivative(u)) / descentDuration;
-        }
+    timeRef.current = (timeRef.current + world.timestep) % totalDuration;
 
-        body.setNextKinematicTranslation({
-          x: position[0],
-          y: targetY,
-          z: position[2],
-        });
-        body.setLinvel({ x: 0, y: velocityY, z: 0 }, true);
-      }
+    const time = timeRef.current;
+    let targetY = bottomY;
 
-      animationFrameRef.current = requestAnimationFrame(animate);
-    };
-
-    animationFrameRef.current = requestAnimationFrame(animate);
+    if (time < bottomPause) {
+      targetY = bottomY;
+    } else if (time < bottomPause + climbDuration) {
+      const u = (time - bottomPause) / climbDuration;
+      targetY = bottomY + height * ease(u);
+    } else if (time < bottomPause + climbDuration + topPause) {
+      targetY = topY;
+    } else {
+      const u =
+        (time - bottomPause - climbDuration - topPause) / descentDuration;
+      targetY = topY - height * ease(u);
+    }
 
-    return () => {
-      if (animationFrameRef.current !== null) {
-        cancelAnimationFrame(animationFrameRef.current);
-      }
-      animationFrameRef.current = null;
-      lastTimeRef.current = null;
-    };
-  }, [climbDuration, descentDuration, bottomPause, topPause, height, position]);
+    body.setNextKinematicTranslation({
+      x: position[0],
+      y: targetY,
+      z: position[2],
+    });
+  });
 
   return (
     <RigidBody
       ref={bodyRef}
-      type="kinematicVelocity"
+      type="kinematicPosition"
       colliders={false}
       friction={1}
       restitution={0}
@@ -1,4 +1,4 @@
-import React, { useMemo, useState, useCallback, useRef, useEffect } from "react";
+import React, { useMemo, useRef, useEffect } from "react";
 import { useControls } from "leva";
 import { HeightMapUnreal } from "./HeightMapUnreal";
 import { HeightFog } from "./HeightFog";
@@ -13,30 +13,6 @@ export const Map3 = ({
   onTerrainReady,
   ...props
 }: any) => {
-  // State to hold the heightmap lookup function from HeightMapUnreal (SAME pattern as Map5!)
-  const [heightmapLookup, setHeightmapLookup] = useState<
-    ((x: number, z: number) => number) | null
-  >(null);
-
-  // Callback when HeightMapUnreal is ready (SAME pattern as Map5!)
-  const handleHeightmapReady = useCallback(
-    (fn: (x: number, z: number) => number) => {
-      console.log("✅ Map3: Received heightmap lookup from HeightMapUnreal");
-      setHeightmapLookup(() => fn);
-    },
-    []
-  );
-
-  // Function to get terrain height using HeightMapUnreal's lookup (SAME pattern as Map5!)
-  const getTerrainHeight = useMemo(() => {
-    return (x: number, z: number): number => {
-      if (heightmapLookup) {
-        return heightmapLookup(x, z);
-      }
-      return 0; // Fallback if lookup not ready
-    };
-  }, [heightmapLookup]);
-
   // Create stable fallback vectors
   const fallbackPosition = useMemo(() => new THREE.Vector3(0, 0, 0), []);
   const fallbackVelocity = useMemo(() => new THREE.Vector3(0, 0, 0), []);
@@ -74,7 +50,6 @@ export const Map3 = ({
         heightScale={200}
         position={position}
         scale={scale}
-        onHeightmapReady={handleHeightmapReady}
         {...props}
       />
     </group>
@@ -1,4 +1,4 @@
-import React, { useMemo, useState, useCallback } from "react";
+import React, { useMemo, useCallback } from "react";
 import { useControls, folder } from "leva";
 import { Clouds, Cloud } from "@react-three/drei";
 import ZeldaTerrain2 from "./ZeldaTerrain2";
@@ -18,35 +18,16 @@ export const Map5 = ({
   onTerrainReady,
   ...props
 }: any) => {
-  // State to hold the heightmap lookup function from ZeldaTerrain2
-  const [heightmapLookup, setHeightmapLookup] = useState<
-    ((x: number, z: number) => number) | null
-  >(null);
-
   // Create stable fallback vectors (same as Map3)
   const fallbackPosition = useMemo(() => new THREE.Vector3(0, 0, 0), []);
   const fallbackVelocity = useMemo(() => new THREE.Vector3(0, 0, 0), []);
 
-  // Function to get terrain height using ZeldaTerrain2's lookup
-  const getTerrainHeight = useMemo(() => {
-    return (x: number, z: number): number => {
-      if (heightmapLookup) {
-        return heightmapLookup(x, z);
-      }
-      return 0; // Fallback if lookup not ready
-    };
-  }, [heightmapLookup]);
-
-  // Callback when ZeldaTerrain2 is ready
-  const handleHeightmapReady = useCallback(
-    (fn: (x: number, z: number) => number) => {
-      setHeightmapLookup(() => fn);
-      if (onTerrainReady) {
-        onTerrainReady();
-      }
-    },
-    [onTerrainReady]
-  );
+  // Callback when ZeldaTerrain2 is ready (its heights are queried through TerrainProvider)
+  const handleHeightmapReady = useCallback(() => {
+    if (onTerrainReady) {
+      onTerrainReady();
+    }
+  }, [onTerrainReady]);
 
   // Get Height Fog controls from hook
   const { heightFogEnabled, fogColor, fogHeight, fogNear, fogFar } =
@@ -353,9 +334,8 @@ export const Map5 = ({
         </>
       )}
       {/* Floor Debug Spheres - Visualize terrain height calculations */}
-      {floorDebugSpheresEnabled && heightmapLookup && (
+      {floorDebugSpheresEnabled && (
         <FloorDebugSpheres
-          heightmapLookup={heightmapLookup}
           enabled={floorDebugSpheresEnabled}
           gridSize={gridSize}
           areaSize={areaSize}
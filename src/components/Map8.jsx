@@ -2,6 +2,7 @@ import { useRef, useState, useCallback, useMemo, forwardRef } from "react";
 import * as THREE from "three";
 import { ProceduralTerrain3 } from "./ProceduralTerrain3";
 import { HeightFog } from "./HeightFog";
+import { WaterVolume } from "./WaterVolume";
 import { useHeightFogControls } from "./useHeightFogControls";
 import { useLensFlareControls } from "./useLensFlareControls";
 import LensFlare from "./LensFlare";
@@ -18,7 +19,6 @@ export const Map8 = forwardRef(
     ref
   ) => {
     const group = useRef(null);
-    const [heightmapLookup, setHeightmapLookup] = useState(null);
     const [isTerrainMeshReady, setIsTerrainMeshReady] = useState(false);
 
     // Get Height Fog controls from hook
@@ -52,10 +52,8 @@ export const Map8 = forwardRef(
     // Create stable fallback vectors
     const fallbackPosition = useMemo(() => new THREE.Vector3(0, 0, 0), []);
 
-    // Callback when ProceduralTerrain3 heightmap is ready
-    const handleHeightmapReady = useCallback((fn) => {
-      console.log("✅ Map8 received heightmap lookup from ProceduralTerrain3");
-      setHeightmapLookup(() => fn);
+    // Callback when terrain heightmap is ready (heights are queried through TerrainProvider)
+    const handleHeightmapReady = useCallback(() => {
       // Mark terrain mesh as ready after a short delay to ensure materials are compiled
       setTimeout(() => {
         setIsTerrainMeshReady(true);
@@ -63,17 +61,6 @@ export const Map8 = forwardRef(
       }, 100);
     }, []);
 
-    // Ground height function for grass - only works after heightmap is ready
-    const getGroundHeight = useCallback(
-      (x, z) => {
-        if (!heightmapLookup) {
-          return 0;
-        }
-        return heightmapLookup(x, z);
-      },
-      [heightmapLookup]
-    );
-
     return (
       <group ref={group} {...props}>
         <ProceduralTerrain3
@@ -81,6 +68,9 @@ export const Map8 = forwardRef(
           onHeightmapReady={handleHeightmapReady}
         />
 
+        {/* Lakes wherever the terrain dips below sea level */}
+        <WaterVolume position={[0, 0, 0]} size={[2000, 0, 2000]} />
+
         {/* Only render HeightFog after terrain mesh is ready */}
         {isTerrainMeshReady && (
           <HeightFog
@@ -23,7 +23,6 @@ export const Map9 = forwardRef(
     ref
   ) => {
     const group = useRef(null);
-    const [heightmapLookup, setHeightmapLookup] = useState(null);
     const [isTerrainMeshReady, setIsTerrainMeshReady] = useState(false);
 
     // Get Height Fog controls from hook
@@ -152,10 +151,8 @@ export const Map9 = forwardRef(
     const fallbackPosition = useMemo(() => new THREE.Vector3(0, 0, 0), []);
     const fallbackVelocity = useMemo(() => new THREE.Vector3(0, 0, 0), []);
 
-    // Callback when terrain heightmap is ready
-    const handleHeightmapReady = useCallback((fn) => {
-      console.log("✅ Map9 received heightmap lookup from terrain");
-      setHeightmapLookup(() => fn);
+    // Callback when terrain heightmap is ready (heights are queried through TerrainProvider)
+    const handleHeightmapReady = useCallback(() => {
       // Mark terrain mesh as ready after a short delay to ensure materials are compiled
       setTimeout(() => {
         setIsTerrainMeshReady(true);
@@ -163,17 +160,6 @@ export const Map9 = forwardRef(
       }, 100);
     }, []);
 
-    // Ground height function - only works after heightmap is ready
-    const getGroundHeight = useCallback(
-      (x, z) => {
-        if (!heightmapLookup) {
-          return 0;
-        }
-        return heightmapLookup(x, z);
-      },
-      [heightmapLookup]
-    );
-
     return (
       <group ref={group} {...props}>
         <ProceduralTerrain8
@@ -240,9 +226,8 @@ export const Map9 = forwardRef(
           </>
         )}
         {/* Floor Debug Spheres - Visualize terrain height calculations */}
-        {floorDebugSpheresEnabled && heightmapLookup && (
+        {floorDebugSpheresEnabled && (
           <FloorDebugSpheres
-            heightmapLookup={heightmapLookup}
             enabled={floorDebugSpheresEnabled}
             gridSize={gridSize}
             areaSize={areaSize}
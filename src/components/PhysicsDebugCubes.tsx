@@ -1,6 +1,6 @@
 import React from "react";
-import { RigidBody } from "@react-three/rapier";
 import * as THREE from "three";
+import { Damageable } from "./Damageable";
 
 interface PhysicsDebugCubesProps {
   enabled?: boolean;
@@ -16,9 +16,10 @@ export const PhysicsDebugCubes: React.FC<PhysicsDebugCubesProps> = ({
   return (
     <group>
       {/* ========== PHYSICS CUBES - KEEP ORIGINAL COLORS ========== */}
+      {/* Every cube is Damageable: sword hits knock them back and wear them down */}
 
       {/* LIGHT CUBE 1 - Very easy to push (Green) - Mass: 1kg */}
-      <RigidBody
+      <Damageable
         type="dynamic"
         colliders="cuboid"
         position={[-5, spawnHeight, 0]}
@@ -36,10 +37,10 @@ export const PhysicsDebugCubes: React.FC<PhysicsDebugCubesProps> = ({
             metalness={0.2}
           />
         </mesh>
-      </RigidBody>
+      </Damageable>
 
       {/* LIGHT CUBE 2 - Very easy to push (Lime) - Mass: 1kg */}
-      <RigidBody
+      <Damageable
         type="dynamic"
         colliders="cuboid"
         position={[-3, spawnHeight, 0]}
@@ -57,10 +58,10 @@ export const PhysicsDebugCubes: React.FC<PhysicsDebugCubesProps> = ({
             metalness={0.2}
           />
         </mesh>
-      </RigidBody>
+      </Damageable>
 
       {/* MEDIUM CUBE 1 - Moderate (Yellow) - Mass: 5kg */}
-      <RigidBody
+      <Damageable
         type="dynamic"
         colliders="cuboid"
         position={[3, spawnHeight, 0]}
@@ -78,10 +79,10 @@ export const PhysicsDebugCubes: React.FC<PhysicsDebugCubesProps> = ({
             metalness={0.3}
           />
         </mesh>
-      </RigidBody>
+      </Damageable>
 
       {/* MEDIUM CUBE 2 - Moderate (Orange) - Mass: 5kg */}
-      <RigidBody
+      <Damageable
         type="dynamic"
         colliders="cuboid"
         position={[5, spawnHeight, 0]}
@@ -99,10 +100,10 @@ export const PhysicsDebugCubes: React.FC<PhysicsDebugCubesProps> = ({
             metalness={0.3}
           />
         </mesh>
-      </RigidBody>
+      </Damageable>
 
       {/* HEAVY CUBE 1 - Hard to push (Red) - Mass: 15kg */}
-      <RigidBody
+      <Damageable
         type="dynamic"
         colliders="cuboid"
         position={[-5, spawnHeight, 3]}
@@ -120,10 +121,10 @@ export const PhysicsDebugCubes: React.FC<PhysicsDebugCubesProps> = ({
             metalness={0.4}
           />
         </mesh>
-      </RigidBody>
+      </Damageable>
 
       {/* HEAVY CUBE 2 - Hard to push (Dark Red) - Mass: 15kg */}
-      <RigidBody
+      <Damageable
         type="dynamic"
         colliders="cuboid"
         position={[-3, spawnHeight, 3]}
@@ -141,10 +142,10 @@ export const PhysicsDebugCubes: React.FC<PhysicsDebugCubesProps> = ({
             metalness={0.4}
           />
         </mesh>
-      </RigidBody>
+      </Damageable>
 
       {/* VERY HEAVY CUBE - Very hard to push (Purple) - Mass: 30kg */}
-      <RigidBody
+      <Damageable
         type="dynamic"
         colliders="cuboid"
         position={[0, spawnHeight, 3]}
@@ -162,10 +163,10 @@ export const PhysicsDebugCubes: React.FC<PhysicsDebugCubesProps> = ({
             metalness={0.5}
           />
         </mesh>
-      </RigidBody>
+      </Damageable>
 
       {/* SUPER LIGHT CUBE - Flies away easily (Cyan) - Mass: 0.5kg */}
-      <RigidBody
+      <Damageable
         type="dynamic"
         colliders="cuboid"
         position={[3, spawnHeight, 3]}
@@ -183,11 +184,11 @@ export const PhysicsDebugCubes: React.FC<PhysicsDebugCubesProps> = ({
             metalness={0.1}
           />
         </mesh>
-      </RigidBody>
+      </Damageable>
 
       {/* STACK OF LIGHT CUBES - Fun to knock over - Mass: 2kg each */}
       {[0, 1, 2].map((i) => (
-        <RigidBody
+        <Damageable
           key={`stack-${i}`}
           type="dynamic"
           colliders="cuboid"
@@ -206,11 +207,12 @@ export const PhysicsDebugCubes: React.FC<PhysicsDebugCubesProps> = ({
               metalness={0.2}
             />
           </mesh>
-        </RigidBody>
+        </Damageable>
       ))}
 
-      {/* LARGE HEAVY BOX - Like a crate (Brown) - Mass: 50kg */}
-      <RigidBody
+      {/* LARGE HEAVY BOX - Like a crate (Brown) - Mass: 50kg - Armored */}
+      <Damageable
+        armor={100}
         type="dynamic"
         colliders="cuboid"
         position={[-7, spawnHeight + 0.25, 6]}
@@ -228,10 +230,10 @@ export const PhysicsDebugCubes: React.FC<PhysicsDebugCubesProps> = ({
             metalness={0.1}
           />
         </mesh>
-      </RigidBody>
+      </Damageable>
 
       {/* TINY LIGHT CUBE - Kicks far (White) - Mass: 0.2kg */}
-      <RigidBody
+      <Damageable
         type="dynamic"
         colliders="cuboid"
         position={[7, spawnHeight - 0.25, 2]}
@@ -249,10 +251,10 @@ export const PhysicsDebugCubes: React.FC<PhysicsDebugCubesProps> = ({
             metalness={0.1}
           />
         </mesh>
-      </RigidBody>
+      </Damageable>
 
       {/* DEBUG TEST CUBE - Heavy, no rotation (Black) - Mass: 40kg - For testing jump hang issue */}
-      <RigidBody
+      <Damageable
         type="dynamic"
         colliders="cuboid"
         position={[0, spawnHeight, -3]}
@@ -271,7 +273,7 @@ export const PhysicsDebugCubes: React.FC<PhysicsDebugCubesProps> = ({
             metalness={0.1}
           />
         </mesh>
-      </RigidBody>
+      </Damageable>
     </group>
   );
 };
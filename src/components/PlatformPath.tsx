@@ -0,0 +1,85 @@
+import React, { useMemo, useRef, type ReactNode } from "react";
+import {
+  RigidBody,
+  useBeforePhysicsStep,
+  type RapierRigidBody,
+} from "@react-three/rapier";
+import * as THREE from "three";
+import {
+  createPlatformPath,
+  type PlatformPathMode,
+} from "../utils/platformPath";
+
+type PlatformPathProps = {
+  waypoints: Array<[number, number, number]>;
+  speed?: number;
+  mode?: PlatformPathMode;
+  pause?: number;
+  easing?: boolean;
+  rotationSpeed?: number; // Yaw in radians per second (turntables)
+  timeOffset?: number; // Seconds into the cycle to start at
+  friction?: number;
+  children: ReactNode; // Colliders and meshes, in platform-local space
+};
+
+/**
+ * Kinematic platform that follows a spline through waypoints. It is moved
+ * before every Rapier step, so its velocity is valid for carrying the
+ * character (see utils/movingPlatform).
+ */
+export const PlatformPath = ({
+  waypoints,
+  speed = 2,
+  mode = "pingPong",
+  pause = 0,
+  easing = false,
+  rotationSpeed = 0,
+  timeOffset = 0,
+  friction = 1,
+  children,
+}: PlatformPathProps) => {
+  const bodyRef = useRef<RapierRigidBody>(null);
+  const timeRef = useRef(timeOffset);
+  const nextPosition = useRef(new THREE.Vector3());
+  const nextRotation = useRef(new THREE.Quaternion());
+
+  const path = useMemo(
+    () => createPlatformPath(waypoints, { speed, mode, pause, easing }),
+    [waypoints, speed, mode, pause, easing]
+  );
+  const startPosition = useMemo(
+    () => path.sample(timeOffset, new THREE.Vector3()).toArray(),
+    [path, timeOffset]
+  );
+
+  useBeforePhysicsStep((world) => {
+    const body = bodyRef.current;
+    if (!body) return;
+
+    timeRef.current += world.timestep;
+    body.setNextKinematicTranslation(
+      path.sample(timeRef.current, nextPosition.current)
+    );
+    if (rotationSpeed !== 0) {
+      body.setNextKinematicRotation(
+        nextRotation.current.setFromAxisAngle(
+          THREE.Object3D.DEFAULT_UP,
+          (rotationSpeed * timeRef.current) % (Math.PI * 2)
+        )
+      );
+    }
+  });
+
+  return (
+    <RigidBody
+      ref={bodyRef}
+      type="kinematicPosition"
+      colliders={false}
+      friction={friction}
+      restitution={0}
+      position={startPosition}
+    >
+      {children}
+    </RigidBody>
+  );
+};
@@ -2,6 +2,7 @@ import { useRef, useMemo, useEffect } from "react";
 import * as THREE from "three";
 import { RigidBody } from "@react-three/rapier";
 import { useControls } from "leva";
+import { useRegisterTerrain } from "../context/TerrainContext";
 
 // Simple Perlin-like noise implementation
 function createNoiseGenerator(seed = 0) {
@@ -307,28 +308,37 @@ export const ProceduralTerrain2 = ({
     });
   }, [enableHeightGradient]);
 
-  // Expose heightmap lookup function for grass and other systems
-  useEffect(() => {
-    if (onHeightmapReady && geometry) {
-      // Create heightmap lookup function
-      const heightmapLookup = (x, z) => {
-        // The terrain mesh is rotated -90° around X axis (rotation={[-Math.PI / 2, 0, 0]})
-        // Original geometry: positions.push(worldX, worldZ, height)
-        // After rotation: world.x = worldX, world.y = height, world.z = -worldZ
-        // So we need to negate the Z coordinate when looking up height
-        const height = getTerrainHeight(
-          x,
-          -z,
-          noiseGenerators,
-          terrainHeightScale
-        );
-        return height;
-      };
+  // Heightmap lookup function for grass and other systems
+  const heightmapLookup = useMemo(() => {
+    if (!geometry) return null;
+
+    return (x, z) => {
+      // The terrain mesh is rotated -90° around X axis (rotation={[-Math.PI / 2, 0, 0]})
+      // Original geometry: positions.push(worldX, worldZ, height)
+      // After rotation: world.x = worldX, world.y = height, world.z = -worldZ
+      // So we need to negate the Z coordinate when looking up height
+      const height = getTerrainHeight(
+        x,
+        -z,
+        noiseGenerators,
+        terrainHeightScale
+      );
+      return height;
+    };
+  }, [geometry, noiseGenerators, terrainHeightScale]);
+
+  const terrainSource = useMemo(
+    () => (heightmapLookup ? { getHeight: heightmapLookup } : null),
+    [heightmapLookup]
+  );
+  useRegisterTerrain(terrainSource);
 
+  useEffect(() => {
+    if (onHeightmapReady && heightmapLookup) {
       console.log("✅ ProceduralTerrain2 heightmap ready");
       onHeightmapReady(heightmapLookup);
     }
-  }, [geometry, onHeightmapReady, noiseGenerators, terrainHeightScale]);
+  }, [heightmapLookup, onHeightmapReady]);
 
   return (
     <RigidBody type="fixed" colliders="trimesh">
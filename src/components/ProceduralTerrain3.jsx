@@ -3,6 +3,7 @@ import { useFrame, useThree } from "@react-three/fiber";
 import * as THREE from "three";
 import { RigidBody } from "@react-three/rapier";
 import { useControls } from "leva";
+import { useRegisterTerrain } from "../context/TerrainContext";
 
 // Simple Perlin-like noise implementation
 function createNoiseGenerator(seed = 0) {
@@ -943,27 +944,36 @@ export const ProceduralTerrain3 = ({
     ]
   );
 
-  // Expose heightmap lookup function for grass and other systems
-  useEffect(() => {
-    if (onHeightmapReady && noiseGenerators) {
-      // Create heightmap lookup function using the shared getTerrainHeight
-      const heightmapLookup = (x, z) => {
-        // The terrain mesh is rotated -90° around X axis
-        // After rotation: world.x = x, world.y = height, world.z = -z
-        const height = getTerrainHeight(
-          x,
-          -z, // Invert Z due to rotation
-          noiseGenerators,
-          terrainHeightScale,
-          terrainControls
-        );
-        return height;
-      };
+  // Heightmap lookup function for grass and other systems, using the shared getTerrainHeight
+  const heightmapLookup = useMemo(() => {
+    if (!noiseGenerators) return null;
+
+    return (x, z) => {
+      // The terrain mesh is rotated -90° around X axis
+      // After rotation: world.x = x, world.y = height, world.z = -z
+      const height = getTerrainHeight(
+        x,
+        -z, // Invert Z due to rotation
+        noiseGenerators,
+        terrainHeightScale,
+        terrainControls
+      );
+      return height;
+    };
+  }, [noiseGenerators, terrainHeightScale, terrainControls]);
 
+  const terrainSource = useMemo(
+    () => (heightmapLookup ? { getHeight: heightmapLookup } : null),
+    [heightmapLookup]
+  );
+  useRegisterTerrain(terrainSource);
+
+  useEffect(() => {
+    if (onHeightmapReady && heightmapLookup) {
       console.log("✅ ProceduralTerrain3 heightmap ready");
       onHeightmapReady(heightmapLookup);
     }
-  }, [noiseGenerators, terrainHeightScale, terrainControls, onHeightmapReady]);
+  }, [heightmapLookup, onHeightmapReady]);
 
   // Calculate segments per chunk based on chunk size
   // Each chunk should have appropriate detail for its size
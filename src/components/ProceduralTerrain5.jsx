@@ -5,6 +5,10 @@ import { RigidBody } from "@react-three/rapier";
 import { useControls } from "leva";
 import { createNoise2D } from "simplex-noise";
 import alea from "alea";
+import {
+  createHeightBandMaterial,
+  useRegisterTerrain,
+} from "../context/TerrainContext";
 
 // Simplex noise generator using simplex-noise library
 function createNoiseGenerator(seed = 0) {
@@ -826,22 +830,45 @@ export const ProceduralTerrain5 = ({
     ]
   );
 
+  const heightmapLookup = useMemo(() => {
+    if (!noiseGenerators) return null;
+
+    return (x, z) => {
+      const height = getTerrainHeight(
+        x,
+        -z,
+        noiseGenerators,
+        terrainHeightScale,
+        terrainControls
+      );
+      return height;
+    };
+  }, [noiseGenerators, terrainHeightScale, terrainControls]);
+
+  // Register with the TerrainProvider; materials follow the shader's height bands
+  const terrainSource = useMemo(
+    () =>
+      heightmapLookup
+        ? {
+            getHeight: heightmapLookup,
+            getMaterial: createHeightBandMaterial({
+              heightValley,
+              heightGrass,
+              heightSlope,
+              heightPeak,
+            }),
+          }
+        : null,
+    [heightmapLookup, heightValley, heightGrass, heightSlope, heightPeak]
+  );
+  useRegisterTerrain(terrainSource);
+
   useEffect(() => {
-    if (onHeightmapReady && noiseGenerators) {
-      const heightmapLookup = (x, z) => {
-        const height = getTerrainHeight(
-          x,
-          -z,
-          noiseGenerators,
-          terrainHeightScale,
-          terrainControls
-        );
-        return height;
-      };
+    if (onHeightmapReady && heightmapLookup) {
       console.log("✅ ProceduralTerrain5 (Shader) heightmap ready");
       onHeightmapReady(heightmapLookup);
     }
-  }, [noiseGenerators, terrainHeightScale, terrainControls, onHeightmapReady]);
+  }, [heightmapLookup, onHeightmapReady]);
 
   const segmentsPerChunk = Math.max(
     10,
@@ -0,0 +1,258 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useTouchInput } from "../context/TouchInputContext";
+import { applyRadialDeadZone } from "../utils/gamepad";
+import type { CharacterAction } from "../types/input";
+
+const JOYSTICK_RADIUS = 60; // px, knob travel from the centre
+const JOYSTICK_DEAD_ZONE = 0.12;
+const JOYSTICK_RUN_THRESHOLD = 0.9; // Pushing the knob to the rim runs
+
+const TOUCH_BUTTONS: Array<{ action: CharacterAction; label: string }> = [
+  { action: "jump", label: "Jump" },
+  { action: "crouch", label: "Crouch" },
+  { action: "roll", label: "Roll" },
+  { action: "attack", label: "Attack" },
+  { action: "toggleCombat", label: "⚔" },
+  { action: "lockOn", label: "🎯" },
+];
+
+const buttonStyle: React.CSSProperties = {
+  width: 64,
+  height: 64,
+  borderRadius: "50%",
+  background: "rgba(13, 15, 18, 0.55)",
+  border: "2px solid rgba(255, 255, 255, 0.25)",
+  color: "#e8e8e8",
+  fontFamily: "system-ui, sans-serif",
+  fontSize: 13,
+  touchAction: "none",
+  userSelect: "none",
+  WebkitUserSelect: "none",
+};
+
+const pressedButtonStyle: React.CSSProperties = {
+  ...buttonStyle,
+  borderColor: "#7fc8ff",
+  color: "#7fc8ff",
+};
+
+const isTouchDevice = () =>
+  typeof window !== "undefined" &&
+  window.matchMedia?.("(pointer: coarse)").matches;
+
+/**
+ * On-screen controls for touch devices: a virtual joystick (bottom left),
+ * action buttons (bottom right) and one-finger drag on the 3D view to orbit
+ * the follow-orbit camera. Rendered outside the Canvas; it only writes to
+ * TouchInputContext, which useCharacterInput polls alongside the keyboard.
+ */
+export const TouchControls = () => {
+  const { setStick, pressAction, releaseAction, addLookDelta } =
+    useTouchInput();
+  const [isVisible, setIsVisible] = useState(isTouchDevice);
+  const [pressed, setPressed] = useState<Set<CharacterAction>>(new Set());
+  const knobRef = useRef<HTMLDivElement>(null);
+  const joystickPointer = useRef<number | null>(null);
+  const isStickRunning = useRef(false);
+
+  // Show the controls on the first touch even if the media query missed it
+  useEffect(() => {
+    if (isVisible) return;
+
+    const handlePointerDown = (e: PointerEvent) => {
+      if (e.pointerType === "touch") setIsVisible(true);
+    };
+    window.addEventListener("pointerdown", handlePointerDown);
+    return () => window.removeEventListener("pointerdown", handlePointerDown);
+  }, [isVisible]);
+
+  // One-finger drag on the 3D view feeds the camera look delta
+  useEffect(() => {
+    if (!isVisible) return;
+
+    let dragPointer: number | null = null;
+    let lastX = 0;
+    let lastY = 0;
+
+    const handlePointerDown = (e: PointerEvent) => {
+      if (e.pointerType !== "touch" || dragPointer !== null) return;
+      if (!(e.target instanceof HTMLCanvasElement)) return;
+      // Suppresses the emulated mousedown, which would count as an attack click
+      e.preventDefault();
+      dragPointer = e.pointerId;
+      lastX = e.clientX;
+      lastY = e.clientY;
+    };
+    const handlePointerMove = (e: PointerEvent) => {
+      if (e.pointerId !== dragPointer) return;
+      addLookDelta(e.clientX - lastX, e.clientY - lastY);
+      lastX = e.clientX;
+      lastY = e.clientY;
+    };
+    const handlePointerUp = (e: PointerEvent) => {
+      if (e.pointerId === dragPointer) dragPointer = null;
+    };
+
+    window.addEventListener("pointerdown", handlePointerDown);
+    window.addEventListener("pointermove", handlePointerMove);
+    window.addEventListener("pointerup", handlePointerUp);
+    window.addEventListener("pointercancel", handlePointerUp);
+    return () => {
+      window.removeEventListener("pointerdown", handlePointerDown);
+      window.removeEventListener("pointermove", handlePointerMove);
+      window.removeEventListener("pointerup", handlePointerUp);
+      window.removeEventListener("pointercancel", handlePointerUp);
+    };
+  }, [isVisible, addLookDelta]);
+
+  const setStickRunning = (running: boolean) => {
+    if (running === isStickRunning.current) return;
+    isStickRunning.current = running;
+    if (running) {
+      pressAction("run");
+    } else {
+      releaseAction("run");
+    }
+  };
+
+  const updateJoystick = (e: React.PointerEvent<HTMLDivElement>) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    let dx = e.clientX - (bounds.left + bounds.width / 2);
+    let dy = e.clientY - (bounds.top + bounds.height / 2);
+    const distance = Math.hypot(dx, dy);
+    if (distance > JOYSTICK_RADIUS) {
+      dx *= JOYSTICK_RADIUS / distance;
+      dy *= JOYSTICK_RADIUS / distance;
+    }
+
+    if (knobRef.current) {
+      knobRef.current.style.transform = `translate(${dx}px, ${dy}px)`;
+    }
+
+    const [x, y] = applyRadialDeadZone(
+      dx / JOYSTICK_RADIUS,
+      dy / JOYSTICK_RADIUS,
+      JOYSTICK_DEAD_ZONE
+    );
+    // Screen right/down -> CharacterInput left/forward positive
+    setStick(-x, -y);
+    setStickRunning(Math.hypot(x, y) >= JOYSTICK_RUN_THRESHOLD);
+  };
+
+  const resetJoystick = () => {
+    joystickPointer.current = null;
+    if (knobRef.current) {
+      knobRef.current.style.transform = "translate(0px, 0px)";
+    }
+    setStick(0, 0);
+    setStickRunning(false);
+  };
+
+  const setButtonPressed = (action: CharacterAction, isPressed: boolean) => {
+    if (isPressed) {
+      pressAction(action);
+    } else {
+      releaseAction(action);
+    }
+    setPressed((current) => {
+      const next = new Set(current);
+      if (isPressed) {
+        next.add(action);
+      } else {
+        next.delete(action);
+      }
+      return next;
+    });
+  };
+
+  // Never leave the character walking or crouching after the controls go away
+  useEffect(() => {
+    return () => {
+      setStick(0, 0);
+      TOUCH_BUTTONS.forEach(({ action }) => releaseAction(action));
+      releaseAction("run");
+    };
+  }, [setStick, releaseAction]);
+
+  if (!isVisible) return null;
+
+  return (
+    <>
+      <div
+        style={{
+          position: "absolute",
+          left: 32,
+          bottom: 32,
+          width: JOYSTICK_RADIUS * 2,
+          height: JOYSTICK_RADIUS * 2,
+          borderRadius: "50%",
+          background: "rgba(13, 15, 18, 0.35)",
+          border: "2px solid rgba(255, 255, 255, 0.2)",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          touchAction: "none",
+          zIndex: 4,
+        }}
+        onPointerDown={(e) => {
+          if (joystickPointer.current !== null) return;
+          e.preventDefault();
+          e.currentTarget.setPointerCapture(e.pointerId);
+          joystickPointer.current = e.pointerId;
+          updateJoystick(e);
+        }}
+        onPointerMove={(e) => {
+          if (e.pointerId === joystickPointer.current) updateJoystick(e);
+        }}
+        onPointerUp={(e) => {
+          if (e.pointerId === joystickPointer.current) resetJoystick();
+        }}
+        onPointerCancel={(e) => {
+          if (e.pointerId === joystickPointer.current) resetJoystick();
+        }}
+      >
+        <div
+          ref={knobRef}
+          style={{
+            width: 52,
+            height: 52,
+            borderRadius: "50%",
+            background: "rgba(232, 232, 232, 0.6)",
+            pointerEvents: "none",
+          }}
+        />
+      </div>
+
+      <div
+        style={{
+          position: "absolute",
+          right: 24,
+          bottom: 56,
+          width: 64 * 3 + 16,
+          display: "flex",
+          flexWrap: "wrap-reverse",
+          justifyContent: "flex-end",
+          gap: 8,
+          zIndex: 4,
+        }}
+      >
+        {TOUCH_BUTTONS.map(({ action, label }) => (
+          <button
+            key={action}
+            style={pressed.has(action) ? pressedButtonStyle : buttonStyle}
+            onPointerDown={(e) => {
+              e.preventDefault();
+              e.currentTarget.setPointerCapture(e.pointerId);
+              setButtonPressed(action, true);
+            }}
+            onPointerUp={() => setButtonPressed(action, false)}
+            onPointerCancel={() => setButtonPressed(action, false)}
+            onContextMenu={(e) => e.preventDefault()}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </>
+  );
+};
@@ -0,0 +1,149 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import * as THREE from "three";
+import { useRegisterWater, type WaterSource } from "../context/WaterContext";
+
+type WaterVolumeProps = {
+  // "plane" is water down to whatever is below; "box" also has a floor
+  shape?: "plane" | "box";
+  position?: [number, number, number]; // Centre of the water surface
+  size?: [number, number, number]; // Width (X), depth (Y, box only), length (Z)
+  // World-space surface height for sloped or uneven water; flat at position[1] when omitted
+  getSurfaceHeight?: (x: number, z: number) => number;
+  segments?: number; // Surface mesh resolution along each side (heightfields only)
+  color?: string;
+  opacity?: number;
+  rippleStrength?: number;
+};
+
+const RIPPLE_PARS = /* glsl */ `
+uniform float uTime;
+uniform float uRippleStrength;
+varying vec3 vWaterPosition;
+
+// Slope of a few crossing sine ripples at a world XZ position
+vec2 waterRippleSlope(vec2 p) {
+  vec2 slope = 0.6 * cos(dot(p, vec2(0.6, 0.2)) + uTime * 1.3) * vec2(0.6, 0.2);
+  slope += 0.35 * cos(dot(p, vec2(-0.3, 0.5)) - uTime * 1.1) * vec2(-0.3, 0.5);
+  slope += 0.15 * cos(dot(p, vec2(1.1, 1.4)) + uTime * 2.1) * vec2(1.1, 1.4);
+  return slope * uRippleStrength;
+}
+`;
+
+/**
+ * Swimmable water: a transparent surface with animated ripples, registered
+ * with WaterProvider so the character and camera can tell when they are in
+ * it. The volume is a query-only sensor with no Rapier collider, so bodies
+ * and ray casts pass straight through. Ripples only bend the shading normal;
+ * the surface the character floats on is exactly the one drawn.
+ */
+export const WaterVolume = ({
+  shape = "plane",
+  position = [0, 0, 0],
+  size = [100, 10, 100],
+  getSurfaceHeight,
+  segments = 64,
+  color = "#2b6f8a",
+  opacity = 0.75,
+  rippleStrength = 0.25,
+}: WaterVolumeProps) => {
+  const [x, y, z] = position;
+  const [width, depth, length] = size;
+  const uniforms = useRef({
+    uTime: { value: 0 },
+    uRippleStrength: { value: rippleStrength },
+  });
+  uniforms.current.uRippleStrength.value = rippleStrength;
+
+  const source = useMemo<WaterSource>(
+    () => ({
+      bounds: {
+        minX: x - width / 2,
+        maxX: x + width / 2,
+        minZ: z - length / 2,
+        maxZ: z + length / 2,
+      },
+      bottom: shape === "box" ? y - depth : undefined,
+      getSurfaceHeight: getSurfaceHeight ?? (() => y),
+    }),
+    [shape, x, y, z, width, depth, length, getSurfaceHeight]
+  );
+  useRegisterWater(source);
+
+  // Flat water needs a single quad; a heightfield is sampled per vertex
+  const geometry = useMemo(() => {
+    const resolution = getSurfaceHeight ? segments : 1;
+    const plane = new THREE.PlaneGeometry(
+      width,
+      length,
+      resolution,
+      resolution
+    );
+    plane.rotateX(-Math.PI / 2);
+    if (getSurfaceHeight) {
+      const positions = plane.attributes.position;
+      for (let i = 0; i < positions.count; i++) {
+        positions.setY(
+          i,
+          getSurfaceHeight(x + positions.getX(i), z + positions.getZ(i)) - y
+        );
+      }
+      plane.computeVertexNormals();
+    }
+    return plane;
+  }, [x, y, z, width, length, segments, getSurfaceHeight]);
+
+  const material = useMemo(() => {
+    const water = new THREE.MeshStandardMaterial({
+      color,
+      opacity,
+      transparent: true,
+      roughness: 0.05,
+      metalness: 0.1,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    water.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, uniforms.current);
+      shader.vertexShader = shader.vertexShader
+        .replace(
+          "#include <common>",
+          "#include <common>\nvarying vec3 vWaterPosition;"
+        )
+        .replace(
+          "#include <begin_vertex>",
+          "#include <begin_vertex>\nvWaterPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;"
+        );
+      shader.fragmentShader = shader.fragmentShader
+        .replace("#include <common>", `#include <common>\n${RIPPLE_PARS}`)
+        .replace(
+          "#include <normal_fragment_begin>",
+          `#include <normal_fragment_begin>
+          vec2 rippleSlope = waterRippleSlope(vWaterPosition.xz);
+          normal = normalize(
+            normal -
+              faceDirection *
+                (viewMatrix * vec4(rippleSlope.x, 0.0, rippleSlope.y, 0.0)).xyz
+          );`
+        );
+    };
+    return water;
+  }, [color, opacity]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  useEffect(() => () => material.dispose(), [material]);
+
+  useFrame((state) => {
+    uniforms.current.uTime.value = state.clock.elapsedTime;
+  });
+
+  return (
+    <mesh
+      geometry={geometry}
+      material={material}
+      position={position}
+      renderOrder={1}
+      receiveShadow
+    />
+  );
+};
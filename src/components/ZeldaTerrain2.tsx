@@ -11,6 +11,12 @@ import * as THREE from "three";
 import { useControls } from "leva";
 import { RigidBody, useRapier } from "@react-three/rapier";
 import { Detailed } from "@react-three/drei";
+import {
+  getHeightmapCenterPeak,
+  getHeightmapImageData,
+  getTerrainHeightFromTexture,
+} from "../utils/terrainUtils";
+import { useRegisterTerrain } from "../context/TerrainContext";
 
 // Tile interface for TypeScript
 interface TerrainTile {
@@ -361,40 +367,27 @@ const ZeldaTerrain2: React.FC<{
     },
   });
 
+  // Cached heightmap image data (decoded once, shared with other terrains/spawn rules)
+  const heightmapImageData = useMemo(
+    () => getHeightmapImageData(heightMap),
+    [heightMap]
+  );
+
   // Calculate the center peak height to position terrain correctly
   // This calculates ONCE what the center peak height is, then we position the terrain
   // so that the center peak ends up at Y=0 in world space
   const centerPeakHeight = useMemo(() => {
-    // Get the heightmap image data
-    const canvas = document.createElement("canvas");
-    const ctx = canvas.getContext("2d")!;
-    canvas.width = heightMap.image.width;
-    canvas.height = heightMap.image.height;
-    ctx.drawImage(heightMap.image, 0, 0);
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-
-    // Find max height at center region
-    const centerX = Math.floor(imageData.width / 2);
-    const centerY = Math.floor(imageData.height / 2);
-    let maxCenterHeight = 0;
-
-    for (let dx = -centerRegionSize; dx <= centerRegionSize; dx++) {
-      for (let dy = -centerRegionSize; dy <= centerRegionSize; dy++) {
-        const x = Math.max(0, Math.min(imageData.width - 1, centerX + dx));
-        const y = Math.max(0, Math.min(imageData.height - 1, centerY + dy));
-        const pixelIndex = (y * imageData.width + x) * 4;
-        const height = imageData.data[pixelIndex] / 255;
-        if (height > maxCenterHeight) {
-          maxCenterHeight = height;
-        }
-      }
-    }
+    if (!heightmapImageData) return 0;
+    const maxCenterHeight = getHeightmapCenterPeak(
+      heightmapImageData,
+      centerRegionSize
+    );
 
     // Return the actual height in world units
     const worldHeight = maxCenterHeight * displacementScale;
     console.log(`🎯 Center peak height: ${worldHeight.toFixed(2)} units`);
     return worldHeight;
-  }, [heightMap, displacementScale, centerRegionSize]);
+  }, [heightmapImageData, displacementScale, centerRegionSize]);
 
   // Helper function to create terrain geometry with LOD
   const createTerrainGeometry = (segments: number) => {
@@ -405,13 +398,9 @@ const ZeldaTerrain2: React.FC<{
       segments
     );
 
-    // Get the heightmap image data
-    const canvas = document.createElement("canvas");
-    const ctx = canvas.getContext("2d")!;
-    canvas.width = heightMap.image.width;
-    canvas.height = heightMap.image.height;
-    ctx.drawImage(heightMap.image, 0, 0);
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    // Cached heightmap image data
+    const imageData = heightmapImageData;
+    if (!imageData) return geom;
 
     // Displace vertices based on heightmap
     const vertices = geom.attributes.position.array as Float32Array;
@@ -429,9 +418,9 @@ const ZeldaTerrain2: React.FC<{
         const index = (i * width + j) * 3;
 
         // Map vertex position to heightmap pixel
-        const px = Math.floor((j / width) * canvas.width);
-        const py = Math.floor((i / height) * canvas.height);
-        const pixelIndex = (py * canvas.width + px) * 4;
+        const px = Math.floor((j / width) * imageData.width);
+        const py = Math.floor((i / height) * imageData.height);
+        const pixelIndex = (py * imageData.width + px) * 4;
 
         // Get heightmap value (using red channel, 0-255)
         const heightValue = imageData.data[pixelIndex] / 255;
@@ -556,64 +545,38 @@ const ZeldaTerrain2: React.FC<{
     enableHeightGradient,
   ]);
 
-  // Create heightfield data for physics collider
-  const heightfieldData = useMemo(() => {
-    // Get the heightmap image data
-    const canvas = document.createElement("canvas");
-    const ctx = canvas.getContext("2d")!;
-    canvas.width = heightMap.image.width;
-    canvas.height = heightMap.image.height;
-    ctx.drawImage(heightMap.image, 0, 0);
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-
-    // Create heightfield data array
-    const heights: number[] = [];
-    const width = canvas.width;
-    const height = canvas.height;
-
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const pixelIndex = (y * width + x) * 4;
-        const heightValue = imageData.data[pixelIndex] / 255; // Red channel
-        heights.push(heightValue * displacementScale);
-      }
-    }
-
-    return {
-      heights,
-      width,
-      height,
-    };
-  }, [heightMap, displacementScale]);
-
   // Create heightmap lookup function for grass and other components
   // IMPORTANT: Apply the same terrain offset (centerPeakHeight) so components spawn at correct world height
   const heightmapLookup = useMemo(() => {
-    if (!heightfieldData) return null;
-
-    const { heights, width, height } = heightfieldData;
-
-    return (x: number, z: number) => {
-      // Convert world coordinates to heightmap coordinates
-      // Map from world space (-worldSize/2 to worldSize/2) to heightmap space (0 to width/height)
-      const normalizedX = (x + worldSize / 2) / worldSize;
-      const normalizedZ = (z + worldSize / 2) / worldSize;
-
-      // Clamp to valid range
-      const clampedX = Math.max(0, Math.min(1, normalizedX));
-      const clampedZ = Math.max(0, Math.min(1, normalizedZ));
-
-      // Convert to pixel coordinates
-      const pixelX = Math.floor(clampedX * (width - 1));
-      const pixelZ = Math.floor(clampedZ * (height - 1));
-
-      // Get height value from heightfield data and apply terrain offset
-      // This ensures the returned height matches the actual terrain mesh position in world space
-      const index = pixelZ * width + pixelX;
-      const rawHeight = heights[index] || 0;
-      return rawHeight - centerPeakHeight; // Apply the same offset as the terrain mesh!
-    };
-  }, [heightfieldData, worldSize, centerPeakHeight]);
+    if (!heightmapImageData) return null;
+
+    return (x: number, z: number) =>
+      getTerrainHeightFromTexture(
+        x,
+        z,
+        heightmapImageData,
+        worldSize,
+        displacementScale,
+        -centerPeakHeight // Apply the same offset as the terrain mesh!
+      );
+  }, [heightmapImageData, worldSize, displacementScale, centerPeakHeight]);
+
+  const terrainSource = useMemo(
+    () =>
+      heightmapLookup
+        ? {
+            getHeight: heightmapLookup,
+            bounds: {
+              minX: -worldSize / 2,
+              maxX: worldSize / 2,
+              minZ: -worldSize / 2,
+              maxZ: worldSize / 2,
+            },
+          }
+        : null,
+    [heightmapLookup, worldSize]
+  );
+  useRegisterTerrain(terrainSource);
 
   // Notify parent component when heightmap lookup is ready
   useEffect(() => {
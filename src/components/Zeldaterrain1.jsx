@@ -7,6 +7,7 @@ Files: public/models/zeldaterrain1.glb [17.65MB] > C:\Users\tibog\Documents\VSCO
 import React, { useEffect, useMemo } from "react";
 import { useGLTF } from "@react-three/drei";
 import * as THREE from "three";
+import { useRegisterTerrain } from "../context/TerrainContext";
 
 export function Zeldaterrain1({ onHeightmapReady, ...props }) {
   const { nodes, materials } = useGLTF("/models/zeldaterrain1-transformed.glb");
@@ -177,6 +178,12 @@ export function Zeldaterrain1({ onHeightmapReady, ...props }) {
     };
   }, [nodes]);
 
+  const terrainSource = useMemo(
+    () => (heightmapLookup ? { getHeight: heightmapLookup } : null),
+    [heightmapLookup]
+  );
+  useRegisterTerrain(terrainSource);
+
   // Notify parent when heightmap is ready
   useEffect(() => {
     if (heightmapLookup && onHeightmapReady) {
@@ -1,124 +1,30 @@
-import { Map1 } from "./Map1";
-import { Map2 } from "./Map2";
-import { Map3 } from "./Map3";
-import { Map4 } from "./Map4";
-import { Map5 } from "./Map5";
-import { Map6 } from "./Map6";
-import { Map7 } from "./Map7";
-import { Map8 } from "./Map8";
-import { Map9 } from "./Map9";
-import { Map12 } from "./Map12";
-import { Map15 } from "./Map15";
-import { Map16 } from "./Map16";
-import { Map17 } from "./Map17";
-import { Map18 } from "./Map18";
+import { lazy } from "react";
 
-const createDefaultProps = () => ({
-  scale: 1,
-  position: [0, 0, 0],
-});
-
-const createStaticSpawn = (position) => () => [...position];
-
-export const mapDefinitions = {
-  map1: {
-    component: Map1,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 2, 0]),
-    passCharacterData: true,
-  },
-  map2: {
-    component: Map2,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 2, 0]),
-  },
-  map3: {
-    component: Map3,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: ({ getTerrainHeightFromTexture }) => {
-      const characterHeight = getTerrainHeightFromTexture(
-        0,
-        0,
-        null,
-        4000,
-        200,
-        0
-      );
-      return [0, characterHeight + 2, 0];
-    },
-    passCharacterData: true,
-  },
-  map4: {
-    component: Map4,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 2, 0]),
-  },
-  map5: {
-    component: Map5,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 2, 0]),
-    passCharacterData: true,
-    requiresTerrainReadyCallback: true,
-  },
-  map6: {
-    component: Map6,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 5, 0]),
-    passCharacterData: true,
-  },
-  map7: {
-    component: Map7,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 5, 0]),
-  },
-  map8: {
-    component: Map8,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 50, 0]),
-    passCharacterData: true,
-    requiresTerrainReadyCallback: true,
-  },
-  map9: {
-    component: Map9,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 50, 0]),
-    passCharacterData: true,
-    requiresTerrainReadyCallback: true,
-    directionalOverride: [-15, 80, 15],
-  },
-  map12: {
-    component: Map12,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 50, 0]),
-    passCharacterData: true,
-    requiresTerrainReadyCallback: true,
-  },
-  map15: {
-    component: Map15,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 2, 0]),
-    requiresTerrainReadyCallback: true,
-  },
-  map16: {
-    component: Map16,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 2, 0]),
-    requiresTerrainReadyCallback: true,
-    supportsTeleport: true,
-  },
-  map17: {
-    component: Map17,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 2, 0]),
-    requiresTerrainReadyCallback: true,
-    supportsTeleport: true,
-  },
-  map18: {
-    component: Map18,
-    getDefaultProps: createDefaultProps,
-    getCharacterSpawn: createStaticSpawn([0, 2, 0]),
-    passCharacterData: true,
-  },
+// Each map is its own chunk: the loader resolves the named export as the lazy
+// component's default. `preload` lets callers warm a chunk before switching maps.
+const lazyMap = (loader, exportName) => {
+  const load = () =>
+    loader().then((module) => ({ default: module[exportName] }));
+  const Component = lazy(load);
+  Component.preload = load;
+  return Component;
 };
 
-export const mapOrder = Object.keys(mapDefinitions);
+// Component registry referenced by name from mapManifest.json ("component": "Map1").
+// Spawn rules, light overrides and capability flags live in the manifest.
+export const mapComponents = {
+  Map1: lazyMap(() => import("./Map1"), "Map1"),
+  Map2: lazyMap(() => import("./Map2"), "Map2"),
+  Map3: lazyMap(() => import("./Map3"), "Map3"),
+  Map4: lazyMap(() => import("./Map4"), "Map4"),
+  Map5: lazyMap(() => import("./Map5"), "Map5"),
+  Map6: lazyMap(() => import("./Map6"), "Map6"),
+  Map7: lazyMap(() => import("./Map7"), "Map7"),
+  Map8: lazyMap(() => import("./Map8"), "Map8"),
+  Map9: lazyMap(() => import("./Map9"), "Map9"),
+  Map12: lazyMap(() => import("./Map12"), "Map12"),
+  Map15: lazyMap(() => import("./Map15"), "Map15"),
+  Map16: lazyMap(() => import("./Map16"), "Map16"),
+  Map17: lazyMap(() => import("./Map17"), "Map17"),
+  Map18: lazyMap(() => import("./Map18"), "Map18"),
+};
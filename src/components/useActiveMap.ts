@@ -1,18 +1,47 @@
 import { useMemo } from "react";
-import { mapDefinitions, mapOrder } from "./mapDefinitions";
-import { getTerrainHeightFromTexture } from "../utils/terrainUtils";
+import { mapComponents } from "./mapDefinitions";
+import rawMapManifest from "./mapManifest.json";
+import {
+  getManifestMapOptions,
+  resolveSpawnRule,
+  validateMapManifest,
+} from "../utils/mapManifest";
+import type { MapManifestEntry } from "../types/mapManifest";
+import type { Cutscene } from "../types/cutscene";
 import * as THREE from "three";
 
-const fallbackMapKey = "map16";
+// Validate once at module load so a broken manifest fails loudly on startup
+export const mapManifest = validateMapManifest(
+  rawMapManifest,
+  Object.keys(mapComponents)
+);
+
+const manifestEntries: Record<string, MapManifestEntry> = Object.fromEntries(
+  mapManifest.maps.map((entry) => [entry.id, entry])
+);
+
+const fallbackMapKey = mapManifest.fallbackMap ?? mapManifest.maps[0].id;
+
+export const mapOrder = mapManifest.maps.map((entry) => entry.id);
+
+const createDefaultProps = () => ({
+  scale: 1,
+  position: [0, 0, 0],
+});
 
 interface ActiveMapResult {
   mapKey: string;
+  mapName: string;
   mapComponent: any;
   mapProps: Record<string, unknown>;
-  spawnPosition: [number, number, number];
+  // Evaluated once the terrain is ready: heightmap spawn rules need its texture data
+  getSpawnPosition: () => [number, number, number];
+  // Manifest's position for when no valid spawn is found near that one
+  spawnFallback: [number, number, number] | null;
   requiresTerrainReadyCallback: boolean;
   supportsTeleport: boolean;
   directionalOverride?: [number, number, number];
+  cutscenes: Cutscene[];
 }
 
 export const useActiveMap = (
@@ -30,16 +59,19 @@ export const useActiveMap = (
   }
 ): ActiveMapResult => {
   return useMemo(() => {
-    const activeDefinition =
-      mapDefinitions[mapKey] ?? mapDefinitions[fallbackMapKey];
-    const mapComponent = activeDefinition.component;
-    const baseProps = activeDefinition.getDefaultProps();
+    const activeEntry =
+      manifestEntries[mapKey] ?? manifestEntries[fallbackMapKey];
+    const capabilities = activeEntry.capabilities ?? {};
+    // Lazy component: Experience renders it inside a Suspense boundary
+    const mapComponent =
+      mapComponents[activeEntry.component as keyof typeof mapComponents];
 
     const mapProps: Record<string, unknown> = {
-      ...baseProps,
+      ...createDefaultProps(),
+      ...activeEntry.props,
     };
 
-    if (activeDefinition.passCharacterData) {
+    if (capabilities.passCharacterData) {
       mapProps.characterPosition = characterPosition;
       mapProps.characterVelocity = characterVelocity;
     }
@@ -47,35 +79,22 @@ export const useActiveMap = (
     // Always pass onTerrainReady to ALL maps to ensure terrain physics are ready before character spawns
     mapProps.onTerrainReady = onTerrainReady;
 
-    if (activeDefinition.supportsTeleport) {
+    if (capabilities.supportsTeleport) {
       mapProps.onTeleportRequest = onTeleportRequest;
     }
 
-    if (activeDefinition.extendProps) {
-      Object.assign(
-        mapProps,
-        activeDefinition.extendProps({
-          onTerrainReady,
-          onTeleportRequest,
-        })
-      );
-    }
-
-    const spawnPosition = activeDefinition.getCharacterSpawn
-      ? activeDefinition.getCharacterSpawn({
-          getTerrainHeightFromTexture,
-        })
-      : [0, 2, 0];
-
     return {
       mapKey,
+      mapName: activeEntry.name,
       mapComponent,
       mapProps,
-      spawnPosition,
+      getSpawnPosition: () => resolveSpawnRule(activeEntry.spawn),
+      spawnFallback: activeEntry.spawn.fallback ?? null,
       requiresTerrainReadyCallback:
-        activeDefinition.requiresTerrainReadyCallback ?? false,
-      supportsTeleport: activeDefinition.supportsTeleport ?? false,
-      directionalOverride: activeDefinition.directionalOverride,
+        capabilities.requiresTerrainReadyCallback ?? false,
+      supportsTeleport: capabilities.supportsTeleport ?? false,
+      directionalOverride: activeEntry.lights?.directionalPosition,
+      cutscenes: activeEntry.cutscenes ?? [],
     };
   }, [
     mapKey,
@@ -86,4 +105,8 @@ export const useActiveMap = (
   ]);
 };
 
-export const getDefaultMapKey = () => mapOrder[0] ?? fallbackMapKey;
+export const getDefaultMapKey = () =>
+  mapManifest.defaultMap ?? mapOrder[0] ?? fallbackMapKey;
+
+// Leva "Map" dropdown options, labelled with the manifest display names
+export const getMapOptions = () => getManifestMapOptions(mapManifest.maps);
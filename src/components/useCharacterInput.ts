@@ -0,0 +1,124 @@
+import { useCallback, useEffect, useMemo, useRef } from "react";
+import { useKeyboardControls } from "@react-three/drei";
+import { getActiveGamepad, readGamepad } from "../utils/gamepad";
+import { CHARACTER_ACTIONS, getMouseButton } from "../utils/inputProfiles";
+import { useInputProfile } from "../context/InputProfileContext";
+import { useOptionalTouchInput } from "../context/TouchInputContext";
+import { useGamepadControls } from "./useGamepadControls";
+import type { CharacterAction, CharacterInput } from "../types/input";
+
+/**
+ * Keyboard (drei KeyboardControls), mouse buttons, gamepad and on-screen
+ * touch controls merged into one snapshot with the same action names, using
+ * the active input profile's bindings. Poll getInput() once per frame from
+ * useFrame.
+ */
+export const useCharacterInput = () => {
+  const [, getKeys] = useKeyboardControls();
+  const { profile } = useInputProfile();
+  const touch = useOptionalTouchInput();
+  const {
+    gamepadEnabled,
+    stickDeadZone,
+    triggerThreshold,
+    lookSensitivity,
+    invertLookY,
+  } = useGamepadControls();
+
+  const gamepadSettings = useMemo(
+    () => ({
+      enabled: gamepadEnabled,
+      stickDeadZone,
+      triggerThreshold,
+      bindings: profile.gamepad,
+    }),
+    [gamepadEnabled, stickDeadZone, triggerThreshold, profile.gamepad]
+  );
+
+  // Mouse buttons bound to each action, e.g. { attack: [0] }
+  const mouseBindings = useMemo(() => {
+    const bindings: Partial<Record<CharacterAction, number[]>> = {};
+    CHARACTER_ACTIONS.forEach((action) => {
+      const buttons = (profile.keyboard[action] ?? [])
+        .map(getMouseButton)
+        .filter((button): button is number => button !== null);
+      if (buttons.length > 0) bindings[action] = buttons;
+    });
+    return bindings;
+  }, [profile.keyboard]);
+
+  // Held buttons, plus clicks that were released before the next frame polled
+  const heldMouseButtons = useRef(new Set<number>());
+  const clickedMouseButtons = useRef(new Set<number>());
+
+  useEffect(() => {
+    const handleMouseDown = (e: MouseEvent) => {
+      // Only clicks on the 3D view count; UI overlays keep their clicks
+      if (!(e.target instanceof HTMLCanvasElement)) return;
+      heldMouseButtons.current.add(e.button);
+      clickedMouseButtons.current.add(e.button);
+    };
+    const handleMouseUp = (e: MouseEvent) => {
+      heldMouseButtons.current.delete(e.button);
+    };
+    const handleBlur = () => {
+      heldMouseButtons.current.clear();
+    };
+
+    window.addEventListener("mousedown", handleMouseDown);
+    window.addEventListener("mouseup", handleMouseUp);
+    window.addEventListener("blur", handleBlur);
+    return () => {
+      window.removeEventListener("mousedown", handleMouseDown);
+      window.removeEventListener("mouseup", handleMouseUp);
+      window.removeEventListener("blur", handleBlur);
+    };
+  }, []);
+
+  const getInput = useCallback((): CharacterInput => {
+    const keys = getKeys() as Partial<Record<CharacterAction, boolean>>;
+    const gamepad = gamepadSettings.enabled ? getActiveGamepad() : null;
+    const pad = gamepad ? readGamepad(gamepad, gamepadSettings) : null;
+    const isMouseDown = (button: number) =>
+      heldMouseButtons.current.has(button) ||
+      clickedMouseButtons.current.has(button);
+
+    const touchState = touch?.state;
+
+    const input = {} as CharacterInput;
+    CHARACTER_ACTIONS.forEach((action) => {
+      input[action] =
+        Boolean(keys[action]) ||
+        Boolean(pad?.[action]) ||
+        (mouseBindings[action] ?? []).some(isMouseDown) ||
+        Boolean(touchState?.held.has(action) || touchState?.tapped.has(action));
+    });
+    clickedMouseButtons.current.clear();
+    touchState?.tapped.clear();
+
+    // Digital axes from keys/D-pad; a deflected stick takes over with its analog value
+    input.moveX = (input.left ? 1 : 0) - (input.right ? 1 : 0);
+    input.moveZ = (input.forward ? 1 : 0) - (input.backward ? 1 : 0);
+    if (pad && (pad.moveX !== 0 || pad.moveZ !== 0)) {
+      input.moveX = pad.moveX;
+      input.moveZ = pad.moveZ;
+    }
+    if (touchState && (touchState.moveX !== 0 || touchState.moveZ !== 0)) {
+      input.moveX = touchState.moveX;
+      input.moveZ = touchState.moveZ;
+    }
+
+    input.lookX = pad?.lookX ?? 0;
+    input.lookY = (pad?.lookY ?? 0) * (invertLookY ? -1 : 1);
+    input.lookDeltaX = touchState?.lookDeltaX ?? 0;
+    input.lookDeltaY = touchState?.lookDeltaY ?? 0;
+    if (touchState) {
+      touchState.lookDeltaX = 0;
+      touchState.lookDeltaY = 0;
+    }
+
+    return input;
+  }, [getKeys, gamepadSettings, mouseBindings, invertLookY, touch]);
+
+  return { getInput, lookSensitivity };
+};
@@ -0,0 +1,34 @@
+import { useControls, folder } from "leva";
+
+export const useGamepadControls = () => {
+  return useControls("🎮 GODOT CHARACTER", {
+    gamepad: folder(
+      {
+        gamepadEnabled: { value: true, label: "Enable Gamepad" },
+        stickDeadZone: {
+          value: 0.15,
+          min: 0,
+          max: 0.5,
+          step: 0.01,
+          label: "Stick Dead Zone",
+        },
+        triggerThreshold: {
+          value: 0.3,
+          min: 0.05,
+          max: 0.95,
+          step: 0.05,
+          label: "Trigger Threshold",
+        },
+        lookSensitivity: {
+          value: 2.5,
+          min: 0.5,
+          max: 6,
+          step: 0.1,
+          label: "Look Speed (rad/s)",
+        },
+        invertLookY: { value: false, label: "Invert Look Y" },
+      },
+      { collapsed: true }
+    ),
+  });
+};
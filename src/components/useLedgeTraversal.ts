@@ -0,0 +1,342 @@
+import { useCallback, useMemo, useRef, type RefObject } from "react";
+import { useRapier, type RapierRigidBody } from "@react-three/rapier";
+import { useControls, folder } from "leva";
+import * as THREE from "three";
+import {
+  CHARACTER_STATE_DURATIONS,
+  LEDGE_STATES,
+} from "../utils/characterStateMachine";
+import {
+  findLedge,
+  findWall,
+  getClimbPosition,
+  getHangPosition,
+  hasRoomToStand,
+} from "../utils/ledge";
+import type { StateChange, StateMachine } from "../utils/stateMachine";
+import type { Ledge, LedgeCapsule, WallHit } from "../types/ledge";
+import type {
+  CharacterState,
+  CharacterStateInput,
+} from "../types/characterState";
+
+// Seconds before a ledge can be grabbed again after dropping or wall-jumping
+const DROP_GRAB_COOLDOWN = 0.4;
+const WALL_JUMP_GRAB_COOLDOWN = 0.3;
+// Extra reach past the capsule for the wall-jump ray
+const WALL_JUMP_REACH = 0.25;
+// Fraction of the climb spent pulling up before stepping onto the ledge
+const CLIMB_RISE = 0.6;
+
+export type LedgeProbeInput = {
+  delta: number;
+  facingYaw: number; // World yaw the character faces
+  jumpPressed: boolean; // Edge, like CharacterStateInput.jumpPressed
+  backPressed: boolean; // Held back on the move input; turns a climb into a wall jump
+  airborne: boolean; // Off the ground and neither sliding nor crouched
+  verticalSpeed: number;
+};
+
+/**
+ * Ledge grabbing, shimmying, climbing up and wall jumps. probe() looks for
+ * ledges and walls before the state machine updates and returns its inputs;
+ * update() then moves the body for the state it chose. While hanging or
+ * climbing the body is placed directly and its velocity zeroed.
+ * @param body - The character's body
+ * @param stateMachine - The character's state machine
+ * @param capsuleHeight - Length of the capsule's cylinder part
+ * @param capsuleRadius - Capsule radius
+ * @param maxSlopeAngle - Steepest walkable ledge top, in degrees
+ * @param jumpForce - Upward speed of a wall jump
+ * @returns probe and update
+ */
+export const useLedgeTraversal = (
+  body: RefObject<RapierRigidBody | null>,
+  stateMachine: StateMachine<CharacterState, CharacterStateInput>,
+  capsuleHeight: number,
+  capsuleRadius: number,
+  maxSlopeAngle: number,
+  jumpForce: number
+) => {
+  const { world, rapier } = useRapier();
+
+  const { enableLedgeGrab, enableWallJump, shimmySpeed, wallJumpPush } =
+    useControls("🎮 GODOT CHARACTER", {
+      traversal: folder(
+        {
+          enableLedgeGrab: { value: true, label: "Ledge Grab" },
+          enableWallJump: { value: true, label: "Wall Jump" },
+          shimmySpeed: {
+            value: 1.2,
+            min: 0.2,
+            max: 4,
+            step: 0.1,
+            label: "Shimmy Speed",
+          },
+          wallJumpPush: {
+            value: 4,
+            min: 0,
+            max: 10,
+            step: 0.1,
+            label: "Wall Jump Push",
+          },
+        },
+        { collapsed: true }
+      ),
+    });
+
+  const capsule = useMemo<LedgeCapsule>(
+    () => ({ height: capsuleHeight, radius: capsuleRadius }),
+    [capsuleHeight, capsuleRadius]
+  );
+  const maxSlope = THREE.MathUtils.degToRad(maxSlopeAngle);
+
+  // The held ledge points at `found` while there is one
+  const ledge = useRef<Ledge | null>(null);
+  const found = useRef<Ledge>({
+    wallPoint: new THREE.Vector3(),
+    wallNormal: new THREE.Vector3(),
+    top: 0,
+  });
+  const wall = useRef<WallHit>({
+    point: new THREE.Vector3(),
+    normal: new THREE.Vector3(),
+  });
+  const wallJumpNormal = useRef<THREE.Vector3 | null>(null);
+  const hangPosition = useRef(new THREE.Vector3());
+  const climbFrom = useRef(new THREE.Vector3());
+  const climbTo = useRef(new THREE.Vector3());
+  const climbPosition = useRef(new THREE.Vector3());
+  const facing = useRef(new THREE.Vector3());
+  const grabCooldown = useRef(0); // No re-grab right after dropping or wall-jumping
+
+  /**
+   * @param input - This frame's movement and jump input
+   * @returns The state machine's ledge and wall-jump inputs
+   */
+  const probe = useCallback(
+    (
+      input: LedgeProbeInput
+    ): Pick<
+      CharacterStateInput,
+      "ledgeAvailable" | "climbPressed" | "wallJumpPressed"
+    > => {
+      grabCooldown.current = Math.max(grabCooldown.current - input.delta, 0);
+      wallJumpNormal.current = null;
+      let ledgeAvailable = false;
+      let climbPressed = false;
+
+      const rb = body.current;
+      if (!rb) {
+        return { ledgeAvailable, climbPressed, wallJumpPressed: false };
+      }
+
+      try {
+        if (stateMachine.is(...LEDGE_STATES) && ledge.current) {
+          ledgeAvailable = true;
+          // Jump climbs; back + jump kicks off the wall instead
+          if (input.jumpPressed && input.backPressed && enableWallJump) {
+            wallJumpNormal.current = ledge.current.wallNormal;
+          } else if (input.jumpPressed) {
+            // Only climb if there's room to stand on top
+            getClimbPosition(ledge.current, capsule, climbTo.current);
+            climbPressed = hasRoomToStand(
+              world,
+              rapier,
+              rb,
+              climbTo.current,
+              capsule
+            );
+          }
+        } else if (input.airborne) {
+          facing.current.set(
+            Math.sin(input.facingYaw),
+            0,
+            Math.cos(input.facingYaw)
+          );
+          // Grab on the way down or near the top of a jump, never while shooting upward
+          if (
+            enableLedgeGrab &&
+            grabCooldown.current <= 0 &&
+            input.verticalSpeed < 2 &&
+            stateMachine.is("jumpStart", "jumpLoop") &&
+            findLedge(
+              world,
+              rapier,
+              rb,
+              rb.translation(),
+              facing.current,
+              capsule,
+              maxSlope,
+              found.current
+            )
+          ) {
+            ledge.current = found.current;
+            ledgeAvailable = true;
+          }
+          if (enableWallJump && input.jumpPressed && !ledgeAvailable) {
+            wallJumpNormal.current =
+              findWall(
+                world,
+                rapier,
+                rb,
+                rb.translation(),
+                facing.current,
+                capsule.radius + WALL_JUMP_REACH,
+                wall.current
+              )?.normal ?? null;
+          }
+        }
+      } catch (error) {
+        console.error("Ledge probe error:", error);
+      }
+
+      return {
+        ledgeAvailable,
+        climbPressed,
+        wallJumpPressed: wallJumpNormal.current !== null,
+      };
+    },
+    [
+      body,
+      stateMachine,
+      world,
+      rapier,
+      capsule,
+      maxSlope,
+      enableLedgeGrab,
+      enableWallJump,
+    ]
+  );
+
+  /**
+   * Call after the state machine has been updated
+   * @param stateChange - This frame's state change, if any
+   * @param shimmy - Sideways input while hanging, -1 to 1
+   * @param velocity - Velocity being built this frame; overwritten while
+   * hanging, climbing or on the wall-jump frame
+   * @param delta - Frame time
+   * @returns The world yaw the character must face, or null to leave it
+   */
+  const update = useCallback(
+    (
+      stateChange: StateChange<CharacterState> | null,
+      shimmy: number,
+      velocity: { x: number; y: number; z: number },
+      delta: number
+    ): number | null => {
+      const rb = body.current;
+      if (!rb) return null;
+
+      // Catching a ledge mid-air: snap to the hanging position
+      if (
+        stateChange?.to === "ledgeHang" &&
+        !LEDGE_STATES.includes(stateChange.from) &&
+        ledge.current
+      ) {
+        getHangPosition(ledge.current, capsule, hangPosition.current);
+      }
+
+      // Leaving the ledge without climbing: forget it and don't re-grab straight away
+      if (
+        stateChange &&
+        LEDGE_STATES.includes(stateChange.from) &&
+        !stateMachine.is(...LEDGE_STATES, "climbUp")
+      ) {
+        ledge.current = null;
+        grabCooldown.current = DROP_GRAB_COOLDOWN;
+      }
+
+      if (stateChange?.to === "climbUp") {
+        climbFrom.current.copy(rb.translation());
+      }
+
+      // Wall jump: kick away from the wall and turn to face away from it
+      if (stateChange?.to === "wallJump" && wallJumpNormal.current) {
+        const normal = wallJumpNormal.current;
+        grabCooldown.current = WALL_JUMP_GRAB_COOLDOWN;
+        velocity.x = normal.x * wallJumpPush;
+        velocity.y = jumpForce;
+        velocity.z = normal.z * wallJumpPush;
+        return Math.atan2(normal.x, normal.z);
+      }
+
+      if (stateMachine.is(...LEDGE_STATES) && ledge.current) {
+        // Shimmy along the ledge; stop where it ends instead of letting go
+        if (shimmy !== 0) {
+          const normal = ledge.current.wallNormal;
+          const step = shimmy * shimmySpeed * delta;
+          try {
+            const next = findLedge(
+              world,
+              rapier,
+              rb,
+              {
+                x: hangPosition.current.x - normal.z * step,
+                y: hangPosition.current.y,
+                z: hangPosition.current.z + normal.x * step,
+              },
+              facing.current.set(-normal.x, 0, -normal.z),
+              capsule,
+              maxSlope,
+              ledge.current
+            );
+            if (next) {
+              getHangPosition(next, capsule, hangPosition.current);
+            }
+          } catch (error) {
+            console.error("Ledge probe error:", error);
+          }
+        }
+
+        rb.setTranslation(hangPosition.current, true);
+        velocity.x = 0;
+        velocity.y = 0;
+        velocity.z = 0;
+        const normal = ledge.current.wallNormal;
+        return Math.atan2(-normal.x, -normal.z);
+      }
+
+      if (stateMachine.is("climbUp")) {
+        // Pull up first, then step forward onto the ledge
+        const t = THREE.MathUtils.clamp(
+          stateMachine.elapsed / CHARACTER_STATE_DURATIONS.climbUp,
+          0,
+          1
+        );
+        const rise = Math.min(t / CLIMB_RISE, 1);
+        const over = THREE.MathUtils.clamp(
+          (t - CLIMB_RISE) / (1 - CLIMB_RISE),
+          0,
+          1
+        );
+        rb.setTranslation(
+          climbPosition.current.set(
+            THREE.MathUtils.lerp(climbFrom.current.x, climbTo.current.x, over),
+            THREE.MathUtils.lerp(climbFrom.current.y, climbTo.current.y, rise),
+            THREE.MathUtils.lerp(climbFrom.current.z, climbTo.current.z, over)
+          ),
+          true
+        );
+        velocity.x = 0;
+        velocity.y = 0;
+        velocity.z = 0;
+      }
+
+      return null;
+    },
+    [
+      body,
+      stateMachine,
+      world,
+      rapier,
+      capsule,
+      maxSlope,
+      shimmySpeed,
+      wallJumpPush,
+      jumpForce,
+    ]
+  );
+
+  return { probe, update };
+};
@@ -0,0 +1,132 @@
+import { useCallback, useRef, type RefObject } from "react";
+import { useThree } from "@react-three/fiber";
+import type { RapierRigidBody } from "@react-three/rapier";
+import { useControls, folder } from "leva";
+import * as THREE from "three";
+import { useCombat, type DamageableSource } from "../context/CombatContext";
+import { cycleLockOnTarget, pickLockOnTarget } from "../utils/lockOn";
+import type { CharacterInput } from "../types/input";
+
+// Lock-on lets go once the target is this many times the lock-on range away
+const RELEASE_FACTOR = 1.25;
+// Right stick deflection that cycles targets, and where it re-arms
+const FLICK_THRESHOLD = 0.8;
+const FLICK_RESET = 0.3;
+
+/**
+ * Lock-on targeting in combat mode. Pressing lock-on takes the nearest
+ * damageable in view (or lets go); the cycle key or a right stick flick
+ * moves to the next one. The lock breaks when the target dies, strays out
+ * of range or combat mode ends. Call update() once per frame with the
+ * polled input.
+ * @param body - The character's body, which range and order are measured from
+ * @returns The target (null when not locked on), how far the camera's aim
+ * moves towards it, and update
+ */
+export const useLockOn = (body: RefObject<RapierRigidBody | null>) => {
+  const camera = useThree((state) => state.camera);
+  const combat = useCombat();
+
+  const { lockOnRange, lockOnFraming } = useControls("🎮 GODOT CHARACTER", {
+    combat: folder(
+      {
+        lockOnRange: {
+          value: 15,
+          min: 3,
+          max: 40,
+          step: 1,
+          label: "Lock-On Range",
+        },
+        // How far the camera's aim moves from the character towards the target
+        lockOnFraming: {
+          value: 0.5,
+          min: 0,
+          max: 1,
+          step: 0.05,
+          label: "Lock-On Framing",
+        },
+      },
+      { collapsed: true }
+    ),
+  });
+
+  const target = useRef<DamageableSource | null>(null);
+  // Lock-on and cycle are edge-triggered; a flick cycles once per deflection
+  const held = useRef({ lockOn: false, cycleTarget: false });
+  const flickArmed = useRef(true);
+  const frustum = useRef(new THREE.Frustum());
+  const tempMatrix = useRef(new THREE.Matrix4());
+  const cameraDirection = useRef(new THREE.Vector3());
+
+  /**
+   * @param input - This frame's input
+   * @param combatMode - Whether combat mode is on; lock-on only works in it
+   */
+  const update = useCallback(
+    (input: CharacterInput, combatMode: boolean) => {
+      if (!body.current) return;
+      const origin = body.current.translation();
+      const targets = combat.getTargets();
+      const current = target.current ? targets.indexOf(target.current) : -1;
+      const positions = targets.map((t) => t.getBody()!.translation());
+      if (
+        current === -1 ||
+        !combatMode ||
+        Math.hypot(
+          positions[current].x - origin.x,
+          positions[current].z - origin.z
+        ) >
+          lockOnRange * RELEASE_FACTOR
+      ) {
+        target.current = null;
+      }
+
+      const flick =
+        flickArmed.current && Math.abs(input.lookX) > FLICK_THRESHOLD;
+      if (Math.abs(input.lookX) > FLICK_THRESHOLD) {
+        flickArmed.current = false;
+      } else if (Math.abs(input.lookX) < FLICK_RESET) {
+        flickArmed.current = true;
+      }
+
+      if (combatMode && input.lockOn && !held.current.lockOn) {
+        if (target.current) {
+          target.current = null;
+        } else {
+          frustum.current.setFromProjectionMatrix(
+            tempMatrix.current.multiplyMatrices(
+              camera.projectionMatrix,
+              camera.matrixWorldInverse
+            )
+          );
+          const picked = pickLockOnTarget(
+            positions,
+            origin,
+            frustum.current,
+            lockOnRange
+          );
+          target.current = targets[picked] ?? null;
+        }
+      } else if (
+        target.current &&
+        ((input.cycleTarget && !held.current.cycleTarget) || flick)
+      ) {
+        camera.getWorldDirection(cameraDirection.current);
+        const next = cycleLockOnTarget(
+          positions,
+          current,
+          origin,
+          Math.atan2(cameraDirection.current.x, cameraDirection.current.z),
+          lockOnRange,
+          flick && input.lookX < 0 ? -1 : 1
+        );
+        target.current = targets[next] ?? null;
+      }
+      held.current.lockOn = input.lockOn;
+      held.current.cycleTarget = input.cycleTarget;
+    },
+    [body, camera, combat, lockOnRange]
+  );
+
+  return { target, framing: lockOnFraming, update };
+};
@@ -0,0 +1,114 @@
+import { useCallback, useEffect, useRef } from "react";
+import * as THREE from "three";
+
+type FadedMesh = {
+  original: THREE.Material | THREE.Material[];
+  copies: THREE.Material[];
+  visibility: number; // 1 = fully opaque, multiplies the original opacity
+};
+
+const asArray = (material: THREE.Material | THREE.Material[]) =>
+  Array.isArray(material) ? material : [material];
+
+// Material.clone() deep-copies userData through JSON, which would serialize
+// the compiled shader HeightFog keeps there, so copy without it. The copy
+// reuses the original's shader patches but keeps the compiled result as its
+// own, so HeightFog updates whichever one is on screen.
+const copyMaterial = (material: THREE.Material) => {
+  const { userData } = material;
+  material.userData = {};
+  const copy = material.clone();
+  material.userData = userData;
+  copy.userData = { ...userData };
+  copy.onBeforeCompile = (shader, renderer) => {
+    const previous = userData.shader;
+    material.onBeforeCompile(shader, renderer);
+    if (userData.shader === shader) {
+      copy.userData.shader = shader;
+      userData.shader = previous;
+    }
+  };
+  copy.transparent = true;
+  copy.depthWrite = false;
+  return copy;
+};
+
+/**
+ * Fades whatever blocks the camera's view. Pass the blocking objects every
+ * frame: their meshes swap to transparent copies of their materials (so
+ * shared materials elsewhere stay opaque) and fade out, then fade back in
+ * and get their own materials back once clear. Instanced meshes are left
+ * alone.
+ */
+export const useOccluderFade = () => {
+  const faded = useRef(new Map<THREE.Mesh, FadedMesh>());
+
+  const restore = (mesh: THREE.Mesh, entry: FadedMesh) => {
+    mesh.material = entry.original;
+    entry.copies.forEach((copy) => copy.dispose());
+    faded.current.delete(mesh);
+  };
+
+  /**
+   * @param occluders - Objects between the camera and what it looks at
+   * @param opacity - Opacity faded meshes settle at (0 to 1)
+   * @param speed - Fade rate, as in MathUtils.damp
+   * @param delta - Frame time in seconds
+   */
+  const update = useCallback(
+    (
+      occluders: THREE.Object3D[],
+      opacity: number,
+      speed: number,
+      delta: number
+    ) => {
+      const blocking = new Set<THREE.Mesh>();
+      occluders.forEach((occluder) =>
+        occluder.traverse((object) => {
+          if (
+            object instanceof THREE.Mesh &&
+            !(object instanceof THREE.InstancedMesh)
+          ) {
+            blocking.add(object);
+          }
+        })
+      );
+
+      blocking.forEach((mesh) => {
+        if (faded.current.has(mesh)) return;
+        const original = mesh.material;
+        const copies = asArray(original).map(copyMaterial);
+        mesh.material = Array.isArray(original) ? copies : copies[0];
+        faded.current.set(mesh, { original, copies, visibility: 1 });
+      });
+
+      faded.current.forEach((entry, mesh) => {
+        const target = blocking.has(mesh) ? opacity : 1;
+        entry.visibility = THREE.MathUtils.damp(
+          entry.visibility,
+          target,
+          speed,
+          delta
+        );
+        if (target === 1 && entry.visibility > 0.99) {
+          restore(mesh, entry);
+          return;
+        }
+        const originals = asArray(entry.original);
+        entry.copies.forEach((copy, index) => {
+          copy.opacity = originals[index].opacity * entry.visibility;
+        });
+      });
+    },
+    []
+  );
+
+  // Put every faded mesh back at once
+  const clear = useCallback(() => {
+    faded.current.forEach((entry, mesh) => restore(mesh, entry));
+  }, []);
+
+  useEffect(() => clear, [clear]);
+
+  return { update, clear };
+};
@@ -0,0 +1,186 @@
+import { useCallback, useRef, type RefObject } from "react";
+import { useRapier, type RapierRigidBody } from "@react-three/rapier";
+import type { Collider } from "@dimforge/rapier3d-compat";
+import { useControls, folder } from "leva";
+import * as THREE from "three";
+import { useCombat } from "../context/CombatContext";
+import { ATTACK_PROFILES, getKnockbackImpulse } from "../utils/combat";
+import {
+  ATTACK_STATES,
+  CHARACTER_STATE_DURATIONS,
+} from "../utils/characterStateMachine";
+import type { StateChange, StateMachine } from "../utils/stateMachine";
+import type { AttackProfile } from "../types/combat";
+import type {
+  CharacterState,
+  CharacterStateInput,
+} from "../types/characterState";
+
+const IDENTITY_ROTATION = { x: 0, y: 0, z: 0, w: 1 };
+
+/**
+ * Weapon hitbox for the character's attacks: a ball held out along the
+ * weapon bone, live for part of each attack clip (see ATTACK_PROFILES), that
+ * hits every body at most once per swing. Call update() every frame, after
+ * the state machine has been updated.
+ * @param weaponBone - Bone holding the weapon
+ * @param stateMachine - The character's state machine
+ * @param attacker - The character's body, which the hitbox ignores and
+ * knocks targets away from
+ * @param attackerId - attackerId in the combat events the hits raise
+ */
+export const useWeaponHitbox = (
+  weaponBone: RefObject<THREE.Object3D | null>,
+  stateMachine: StateMachine<CharacterState, CharacterStateInput>,
+  attacker: RefObject<RapierRigidBody | null>,
+  attackerId: string
+) => {
+  const { world, rapier } = useRapier();
+  const combat = useCombat();
+
+  const { hitboxRadius, weaponReach, knockbackScale } = useControls(
+    "🎮 GODOT CHARACTER",
+    {
+      combat: folder(
+        {
+          hitboxRadius: {
+            value: 0.35,
+            min: 0.1,
+            max: 1,
+            step: 0.05,
+            label: "Hitbox Radius",
+          },
+          // Distance from the hand bone to the hitbox centre, along the bone
+          weaponReach: {
+            value: 0.5,
+            min: 0,
+            max: 1.5,
+            step: 0.05,
+            label: "Weapon Reach",
+          },
+          knockbackScale: {
+            value: 1,
+            min: 0,
+            max: 5,
+            step: 0.1,
+            label: "Knockback Scale",
+          },
+        },
+        { collapsed: true }
+      ),
+    }
+  );
+
+  const weaponTip = useRef(new THREE.Vector3());
+  const previousWeaponTip = useRef(new THREE.Vector3());
+  const wasActive = useRef(false);
+  const swingHits = useRef(new Set<number>()); // Body handles already hit this swing
+  const tempDirection = useRef(new THREE.Vector3());
+  const tempQuaternion = useRef(new THREE.Quaternion());
+  const tempKnockback = useRef(new THREE.Vector3());
+
+  // Hitbox centre: out from the hand along the bone, where a held blade would be
+  const getWeaponTip = useCallback(
+    (bone: THREE.Object3D, out: THREE.Vector3) => {
+      bone.getWorldPosition(out);
+      bone.getWorldQuaternion(tempQuaternion.current);
+      return out.addScaledVector(
+        tempDirection.current
+          .set(0, 1, 0)
+          .applyQuaternion(tempQuaternion.current),
+        weaponReach
+      );
+    },
+    [weaponReach]
+  );
+
+  // Test the hitbox along the path the blade moved this frame, so a fast
+  // swing can't skip past a target. Hits are dealt after the queries, as
+  // bodies can't be changed from inside a Rapier query callback.
+  const sweep = useCallback(
+    (
+      body: RapierRigidBody,
+      from: THREE.Vector3,
+      to: THREE.Vector3,
+      profile: AttackProfile
+    ) => {
+      const ball = new rapier.Ball(hitboxRadius);
+      const touched: Array<{ collider: Collider; point: THREE.Vector3 }> = [];
+      const steps = Math.max(1, Math.ceil(from.distanceTo(to) / hitboxRadius));
+      for (let i = 1; i <= steps; i++) {
+        const point = new THREE.Vector3().lerpVectors(from, to, i / steps);
+        world.intersectionsWithShape(
+          point,
+          IDENTITY_ROTATION,
+          ball,
+          (collider) => {
+            touched.push({ collider, point });
+            return true;
+          },
+          rapier.QueryFilterFlags.EXCLUDE_SENSORS,
+          undefined,
+          undefined,
+          body
+        );
+      }
+
+      const origin = body.translation();
+      touched.forEach(({ collider, point }) => {
+        const target = collider.parent();
+        if (!target || swingHits.current.has(target.handle)) return;
+        swingHits.current.add(target.handle);
+        combat.dealHit({
+          attackerId,
+          body: target,
+          damage: profile.damage,
+          impulse: getKnockbackImpulse(
+            origin,
+            target.translation(),
+            profile.knockback * knockbackScale,
+            profile.lift * knockbackScale,
+            tempKnockback.current
+          ),
+          position: point,
+        });
+      });
+    },
+    [world, rapier, combat, attackerId, hitboxRadius, knockbackScale]
+  );
+
+  /**
+   * @param stateChange - This frame's state change, if any; entering an
+   * attack starts a new swing
+   */
+  const update = useCallback(
+    (stateChange: StateChange<CharacterState> | null) => {
+      if (stateChange && ATTACK_STATES.includes(stateChange.to)) {
+        swingHits.current.clear();
+      }
+      const body = attacker.current;
+      const bone = weaponBone.current;
+      const profile = ATTACK_PROFILES[stateMachine.state];
+      const swing = stateMachine.elapsed / CHARACTER_STATE_DURATIONS.attack;
+      if (
+        !body ||
+        !bone ||
+        !profile ||
+        swing < profile.activeFrom ||
+        swing > profile.activeTo
+      ) {
+        wasActive.current = false;
+        return;
+      }
+
+      const tip = getWeaponTip(bone, weaponTip.current);
+      if (!wasActive.current) {
+        previousWeaponTip.current.copy(tip);
+      }
+      sweep(body, previousWeaponTip.current, tip, profile);
+      previousWeaponTip.current.copy(tip);
+      wasActive.current = true;
+    },
+    [attacker, weaponBone, stateMachine, getWeaponTip, sweep]
+  );
+
+  return { update };
+};
@@ -0,0 +1,152 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  type ReactNode,
+} from "react";
+import type { RigidBody, Vector } from "@dimforge/rapier3d-compat";
+import type { CombatEvent, CombatStats, DamageResult } from "../types/combat";
+import { applyDamage } from "../utils/combat";
+import { useRegisterSource, useSourceRegistry } from "./sourceRegistry";
+
+/**
+ * What a damageable registers: which body it owns and how to read and
+ * update its health (see Damageable)
+ */
+export type DamageableSource = {
+  id: string;
+  getBody: () => RigidBody | null;
+  getStats: () => CombatStats;
+  onDamaged: (result: DamageResult) => void; // Store the new stats and react
+  targetable?: boolean; // Lock-on can select it while alive (default true)
+};
+
+// One attack connecting with one body
+export type CombatHit = {
+  attackerId: string;
+  body: RigidBody;
+  damage: number;
+  impulse: Vector; // Applied at position if the body is dynamic
+  position: Vector;
+};
+
+type CombatListener = (event: CombatEvent) => void;
+
+type CombatContextValue = {
+  // Knock the body back and damage it if it is damageable; null if it isn't
+  dealHit: (hit: CombatHit) => DamageResult | null;
+  // Living, targetable damageables with a body, for lock-on
+  getTargets: () => DamageableSource[];
+  registerDamageable: (source: DamageableSource) => () => void;
+  subscribe: (listener: CombatListener) => () => void;
+};
+
+const CombatContext = createContext<CombatContextValue | null>(null);
+
+/**
+ * Resolves attacks against registered damageables and publishes hit/death
+ * events. Any body can be knocked back; only damageables take damage.
+ */
+export const CombatProvider = ({ children }: { children: ReactNode }) => {
+  const { sourcesRef, register: registerDamageable } =
+    useSourceRegistry<DamageableSource>();
+  const listenersRef = useRef(new Set<CombatListener>());
+
+  const subscribe = useCallback((listener: CombatListener) => {
+    listenersRef.current.add(listener);
+    return () => {
+      listenersRef.current.delete(listener);
+    };
+  }, []);
+
+  const dealHit = useCallback((hit: CombatHit) => {
+    const { body, impulse, position } = hit;
+    if (body.isDynamic()) {
+      body.applyImpulseAtPoint(impulse, position, true);
+    }
+
+    const target = sourcesRef.current.find(
+      (source) => source.getBody()?.handle === body.handle
+    );
+    if (!target) return null;
+
+    // The dead still get knocked around, but take no more damage
+    const before = target.getStats();
+    const result =
+      before.health > 0
+        ? applyDamage(before, hit.damage)
+        : { ...before, damage: 0, absorbed: 0 };
+    target.onDamaged(result);
+
+    const event: CombatEvent = {
+      ...result,
+      type: "hit",
+      attackerId: hit.attackerId,
+      targetId: target.id,
+      position: [position.x, position.y, position.z],
+    };
+    listenersRef.current.forEach((listener) => listener(event));
+    if (before.health > 0 && result.health <= 0) {
+      const death: CombatEvent = { ...event, type: "death" };
+      listenersRef.current.forEach((listener) => listener(death));
+    }
+    return result;
+  }, []);
+
+  const getTargets = useCallback(
+    () =>
+      sourcesRef.current.filter(
+        (source) =>
+          source.targetable !== false &&
+          source.getStats().health > 0 &&
+          source.getBody() !== null
+      ),
+    []
+  );
+
+  const value = useMemo(
+    () => ({ dealHit, getTargets, registerDamageable, subscribe }),
+    [dealHit, getTargets, registerDamageable, subscribe]
+  );
+
+  return (
+    <CombatContext.Provider value={value}>{children}</CombatContext.Provider>
+  );
+};
+
+/**
+ * Deal hits and find targets in the current map
+ */
+export const useCombat = () => {
+  const context = useContext(CombatContext);
+  if (!context) {
+    throw new Error("useCombat must be used within a CombatProvider");
+  }
+  return context;
+};
+
+/**
+ * Call listener for every combat event in the current map. The latest
+ * listener is always used, so it doesn't need to be memoized.
+ */
+export const useCombatEvents = (listener: CombatListener) => {
+  const { subscribe } = useCombat();
+  const listenerRef = useRef(listener);
+  listenerRef.current = listener;
+
+  useEffect(
+    () => subscribe((event) => listenerRef.current(event)),
+    [subscribe]
+  );
+};
+
+/**
+ * Register a damageable with the nearest CombatProvider for as long as the
+ * source is non-null. Without a provider the body can still be pushed
+ * around by physics, but never takes a hit.
+ */
+export const useRegisterDamageable = (source: DamageableSource | null) =>
+  useRegisterSource(useContext(CombatContext)?.registerDamageable, source);
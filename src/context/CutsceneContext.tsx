@@ -0,0 +1,249 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  type ReactNode,
+} from "react";
+import { useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import type { Cutscene } from "../types/cutscene";
+import {
+  createCutsceneTrack,
+  isInsideTriggerVolume,
+  type CutsceneTrack,
+} from "../utils/cutscene";
+
+type Playback = {
+  cutscene: Cutscene;
+  track: CutsceneTrack;
+  time: number;
+  blend: number | null; // Seconds into the blend back, null while playing
+  gameplayFov: number | null; // Captured the first time the camera is taken
+  // Last pose the cutscene gave the camera, blended away from at the end
+  endPosition: THREE.Vector3;
+  endQuaternion: THREE.Quaternion;
+  endFov: number;
+};
+
+type CutsceneContextValue = {
+  cutscenes: Cutscene[];
+  // Start a cutscene by id, replacing any playing one; false if unknown
+  play: (id: string) => boolean;
+  // End the playing cutscene early and blend back to the gameplay camera
+  stop: () => void;
+  getActiveCutscene: () => Cutscene | null;
+  isInputLocked: () => boolean;
+  // Fire triggers for the character's position and advance playback
+  update: (delta: number, characterPosition: THREE.Vector3Like) => void;
+  // Override the gameplay camera; call after it has been placed this frame
+  applyCamera: (camera: THREE.PerspectiveCamera) => boolean;
+};
+
+const CutsceneContext = createContext<CutsceneContextValue | null>(null);
+
+const smoothstep = (t: number) => t * t * (3 - 2 * t);
+
+const setFov = (camera: THREE.PerspectiveCamera, fov: number) => {
+  if (camera.fov === fov) return;
+  camera.fov = fov;
+  camera.updateProjectionMatrix();
+};
+
+/**
+ * Plays the current map's cutscenes (from its manifest entry) through the
+ * character's camera. Which cutscenes have played, and which trigger
+ * volumes the character is in, is kept per map.
+ */
+export const CutsceneProvider = ({
+  cutscenes,
+  children,
+}: {
+  cutscenes: Cutscene[];
+  children: ReactNode;
+}) => {
+  const playbackRef = useRef<Playback | null>(null);
+  const playedRef = useRef(new Set<string>());
+  // Volume triggers the character is inside, so they only fire on entry
+  const insideRef = useRef(new Set<string>());
+  const startedRef = useRef(false);
+  const samplePosition = useRef(new THREE.Vector3());
+  const sampleLookAt = useRef(new THREE.Vector3());
+  const camera = useThree((state) => state.camera);
+
+  // Leaving the map mid-cutscene shouldn't strand its field of view
+  useEffect(
+    () => () => {
+      const fov = playbackRef.current?.gameplayFov;
+      if (fov != null && camera instanceof THREE.PerspectiveCamera) {
+        setFov(camera, fov);
+      }
+    },
+    [camera]
+  );
+
+  const play = useCallback(
+    (id: string) => {
+      const cutscene = cutscenes.find((candidate) => candidate.id === id);
+      if (!cutscene) {
+        console.warn(`Unknown cutscene "${id}"`);
+        return false;
+      }
+
+      playedRef.current.add(id);
+      playbackRef.current = {
+        cutscene,
+        track: createCutsceneTrack(cutscene),
+        time: 0,
+        blend: null,
+        gameplayFov: playbackRef.current?.gameplayFov ?? null,
+        endPosition: new THREE.Vector3(),
+        endQuaternion: new THREE.Quaternion(),
+        endFov: 0,
+      };
+      return true;
+    },
+    [cutscenes]
+  );
+
+  const stop = useCallback(() => {
+    const playback = playbackRef.current;
+    if (playback && playback.blend === null) {
+      playback.blend = 0;
+    }
+  }, []);
+
+  const getActiveCutscene = useCallback(
+    () => playbackRef.current?.cutscene ?? null,
+    []
+  );
+
+  const isInputLocked = useCallback(() => {
+    const playback = playbackRef.current;
+    return (
+      !!playback &&
+      playback.blend === null &&
+      playback.cutscene.lockInput !== false
+    );
+  }, []);
+
+  const update = useCallback(
+    (delta: number, characterPosition: THREE.Vector3Like) => {
+      const isFirstUpdate = !startedRef.current;
+      startedRef.current = true;
+
+      cutscenes.forEach((cutscene) => {
+        const { trigger } = cutscene;
+        if (!trigger) return;
+
+        let fire = trigger.type === "mapStart" && isFirstUpdate;
+        if (trigger.type === "volume") {
+          const inside = isInsideTriggerVolume(trigger, characterPosition);
+          fire = inside && !insideRef.current.has(cutscene.id);
+          if (inside) {
+            insideRef.current.add(cutscene.id);
+          } else {
+            insideRef.current.delete(cutscene.id);
+          }
+        }
+
+        const spent =
+          cutscene.once !== false && playedRef.current.has(cutscene.id);
+        if (fire && !spent && !playbackRef.current) {
+          play(cutscene.id);
+        }
+      });
+
+      const playback = playbackRef.current;
+      if (!playback) return;
+      if (playback.blend !== null) {
+        playback.blend += delta;
+      } else {
+        playback.time += delta;
+        if (playback.time >= playback.track.duration) {
+          playback.blend = 0;
+        }
+      }
+    },
+    [cutscenes, play]
+  );
+
+  const applyCamera = useCallback((camera: THREE.PerspectiveCamera) => {
+    const playback = playbackRef.current;
+    if (!playback) return false;
+    if (playback.gameplayFov === null) {
+      playback.gameplayFov = camera.fov;
+    }
+
+    if (playback.blend === null) {
+      const fov = playback.track.sample(
+        playback.time,
+        playback.gameplayFov,
+        samplePosition.current,
+        sampleLookAt.current
+      );
+      camera.position.copy(samplePosition.current);
+      camera.lookAt(sampleLookAt.current);
+      setFov(camera, fov);
+      playback.endPosition.copy(camera.position);
+      playback.endQuaternion.copy(camera.quaternion);
+      playback.endFov = fov;
+      return true;
+    }
+
+    // Blend back: the camera already holds this frame's gameplay pose
+    const blendOut = playback.cutscene.blendOut ?? 1;
+    const progress = blendOut > 0 ? Math.min(playback.blend / blendOut, 1) : 1;
+    const weight = 1 - smoothstep(progress);
+    camera.position.lerp(playback.endPosition, weight);
+    camera.quaternion.slerp(playback.endQuaternion, weight);
+    setFov(
+      camera,
+      THREE.MathUtils.lerp(playback.gameplayFov, playback.endFov, weight)
+    );
+    if (progress >= 1) {
+      playbackRef.current = null;
+    }
+    return true;
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      cutscenes,
+      play,
+      stop,
+      getActiveCutscene,
+      isInputLocked,
+      update,
+      applyCamera,
+    }),
+    [
+      cutscenes,
+      play,
+      stop,
+      getActiveCutscene,
+      isInputLocked,
+      update,
+      applyCamera,
+    ]
+  );
+
+  return (
+    <CutsceneContext.Provider value={value}>
+      {children}
+    </CutsceneContext.Provider>
+  );
+};
+
+/**
+ * Play, stop and drive the current map's cutscenes
+ */
+export const useCutscenes = () => {
+  const context = useContext(CutsceneContext);
+  if (!context) {
+    throw new Error("useCutscenes must be used within a CutsceneProvider");
+  }
+  return context;
+};
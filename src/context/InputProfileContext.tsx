@@ -0,0 +1,201 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+  type ReactNode,
+} from "react";
+import {
+  createDefaultProfile,
+  findBindingConflicts,
+  loadStoredProfiles,
+  parseInputProfile,
+  rebindAction,
+  saveStoredProfiles,
+  serializeInputProfile,
+  type StoredInputProfiles,
+} from "../utils/inputProfiles";
+import type {
+  BindingConflict,
+  CharacterAction,
+  InputDevice,
+  InputProfile,
+} from "../types/input";
+
+type InputProfileContextValue = {
+  profile: InputProfile; // Active profile
+  profiles: InputProfile[];
+  conflicts: BindingConflict[]; // Conflicts in the active profile
+  selectProfile: (name: string) => void;
+  createProfile: (name: string) => void; // Copy of the active profile
+  deleteProfile: (name: string) => void;
+  resetProfile: () => void; // Restore default bindings on the active profile
+  rebind: (
+    device: InputDevice,
+    action: CharacterAction,
+    slot: number,
+    binding: string | number | null
+  ) => CharacterAction[]; // Actions that lost the binding
+  importProfile: (json: string) => InputProfile; // Throws on invalid JSON
+  exportProfile: () => string;
+};
+
+const InputProfileContext = createContext<InputProfileContextValue | null>(
+  null
+);
+
+const uniqueName = (name: string, profiles: InputProfile[]) => {
+  let candidate = name;
+  for (let i = 2; profiles.some((p) => p.name === candidate); i++) {
+    candidate = `${name} (${i})`;
+  }
+  return candidate;
+};
+
+/**
+ * Owns the input profiles and keeps them in localStorage. App reads the
+ * active profile to build the KeyboardControls map.
+ */
+export const InputProfileProvider = ({ children }: { children: ReactNode }) => {
+  const [stored, setStored] = useState<StoredInputProfiles>(loadStoredProfiles);
+
+  useEffect(() => {
+    saveStoredProfiles(stored);
+  }, [stored]);
+
+  const profile =
+    stored.profiles.find((p) => p.name === stored.activeProfile) ??
+    stored.profiles[0];
+
+  const updateActiveProfile = useCallback(
+    (update: (current: InputProfile) => InputProfile) => {
+      setStored((current) => ({
+        ...current,
+        profiles: current.profiles.map((p) =>
+          p.name === current.activeProfile ? update(p) : p
+        ),
+      }));
+    },
+    []
+  );
+
+  const selectProfile = useCallback((name: string) => {
+    setStored((current) =>
+      current.profiles.some((p) => p.name === name)
+        ? { ...current, activeProfile: name }
+        : current
+    );
+  }, []);
+
+  const createProfile = useCallback(
+    (name: string) => {
+      setStored((current) => {
+        const copy = {
+          ...structuredClone(profile),
+          name: uniqueName(name.trim() || "Custom", current.profiles),
+        };
+        return {
+          activeProfile: copy.name,
+          profiles: [...current.profiles, copy],
+        };
+      });
+    },
+    [profile]
+  );
+
+  const deleteProfile = useCallback((name: string) => {
+    setStored((current) => {
+      // Always keep at least one profile
+      if (current.profiles.length <= 1) return current;
+      const profiles = current.profiles.filter((p) => p.name !== name);
+      const activeProfile =
+        current.activeProfile === name
+          ? profiles[0].name
+          : current.activeProfile;
+      return { activeProfile, profiles };
+    });
+  }, []);
+
+  const resetProfile = useCallback(() => {
+    updateActiveProfile((current) => createDefaultProfile(current.name));
+  }, [updateActiveProfile]);
+
+  const rebind = useCallback(
+    (
+      device: InputDevice,
+      action: CharacterAction,
+      slot: number,
+      binding: string | number | null
+    ) => {
+      const result = rebindAction(profile, device, action, slot, binding);
+      updateActiveProfile(() => result.profile);
+      return result.displaced;
+    },
+    [profile, updateActiveProfile]
+  );
+
+  const importProfile = useCallback((json: string) => {
+    const imported = parseInputProfile(json);
+    setStored((current) => {
+      // Importing a profile with an existing name replaces it
+      const profiles = current.profiles.filter((p) => p.name !== imported.name);
+      return {
+        activeProfile: imported.name,
+        profiles: [...profiles, imported],
+      };
+    });
+    return imported;
+  }, []);
+
+  const exportProfile = useCallback(
+    () => serializeInputProfile(profile),
+    [profile]
+  );
+
+  const conflicts = useMemo(() => findBindingConflicts(profile), [profile]);
+
+  const value = useMemo(
+    () => ({
+      profile,
+      profiles: stored.profiles,
+      conflicts,
+      selectProfile,
+      createProfile,
+      deleteProfile,
+      resetProfile,
+      rebind,
+      importProfile,
+      exportProfile,
+    }),
+    [
+      profile,
+      stored.profiles,
+      conflicts,
+      selectProfile,
+      createProfile,
+      deleteProfile,
+      resetProfile,
+      rebind,
+      importProfile,
+      exportProfile,
+    ]
+  );
+
+  return (
+    <InputProfileContext.Provider value={value}>
+      {children}
+    </InputProfileContext.Provider>
+  );
+};
+
+export const useInputProfile = () => {
+  const context = useContext(InputProfileContext);
+  if (!context) {
+    throw new Error(
+      "useInputProfile must be used within an InputProfileProvider"
+    );
+  }
+  return context;
+};
@@ -0,0 +1,65 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useMemo,
+  useState,
+  type ReactNode,
+} from "react";
+
+type MapLoadingContextValue = {
+  mapName: string | null;
+  isReady: boolean;
+  error: string | null; // Why the map can't be played, once loading has failed
+  beginMapLoad: (mapName: string) => void;
+  completeMapLoad: () => void;
+  failMapLoad: (error: string) => void;
+};
+
+const MapLoadingContext = createContext<MapLoadingContextValue | null>(null);
+
+export const MapLoadingProvider = ({ children }: { children: ReactNode }) => {
+  const [mapName, setMapName] = useState<string | null>(null);
+  const [isReady, setIsReady] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const beginMapLoad = useCallback((nextMapName: string) => {
+    setMapName(nextMapName);
+    setIsReady(false);
+    setError(null);
+  }, []);
+
+  const completeMapLoad = useCallback(() => {
+    setIsReady(true);
+  }, []);
+
+  const failMapLoad = useCallback((nextError: string) => {
+    setError(nextError);
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      mapName,
+      isReady,
+      error,
+      beginMapLoad,
+      completeMapLoad,
+      failMapLoad,
+    }),
+    [mapName, isReady, error, beginMapLoad, completeMapLoad, failMapLoad]
+  );
+
+  return (
+    <MapLoadingContext.Provider value={value}>
+      {children}
+    </MapLoadingContext.Provider>
+  );
+};
+
+export const useMapLoading = () => {
+  const context = useContext(MapLoadingContext);
+  if (!context) {
+    throw new Error("useMapLoading must be used within a MapLoadingProvider");
+  }
+  return context;
+};
@@ -0,0 +1,210 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useMemo,
+  useRef,
+  type ReactNode,
+} from "react";
+import * as THREE from "three";
+import { useRegisterSource, useSourceRegistry } from "./sourceRegistry";
+
+export type TerrainBounds = {
+  minX: number;
+  maxX: number;
+  minZ: number;
+  maxZ: number;
+};
+
+/**
+ * What a terrain component registers: a height function plus optional extras.
+ * Normals and slopes are derived from getHeight when not supplied.
+ */
+export type TerrainSource = {
+  getHeight: (x: number, z: number) => number;
+  getNormal?: (x: number, z: number, target: THREE.Vector3) => THREE.Vector3;
+  getMaterial?: (x: number, z: number, height: number) => string;
+  bounds?: TerrainBounds; // Omit for terrains that cover the whole world
+  normalSampleDistance?: number; // Finite-difference step for derived normals
+};
+
+type TerrainContextValue = {
+  isReady: boolean;
+  version: number; // Bumped whenever a terrain registers/unregisters
+  getHeight: (x: number, z: number) => number | null;
+  getNormal: (
+    x: number,
+    z: number,
+    target?: THREE.Vector3
+  ) => THREE.Vector3 | null;
+  getSlope: (x: number, z: number) => number | null; // Radians from horizontal
+  getMaterial: (x: number, z: number) => string | null;
+  registerTerrain: (source: TerrainSource) => () => void;
+};
+
+const TerrainContext = createContext<TerrainContextValue | null>(null);
+
+const DEFAULT_NORMAL_SAMPLE_DISTANCE = 0.5;
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Whether an XZ point lies within bounds; missing bounds cover everything
+export const isWithinBounds = (
+  bounds: TerrainBounds | undefined,
+  x: number,
+  z: number
+) =>
+  !bounds ||
+  (x >= bounds.minX &&
+    x <= bounds.maxX &&
+    z >= bounds.minZ &&
+    z <= bounds.maxZ);
+
+/**
+ * Central-difference normal from a height function
+ */
+const computeNormalFromHeights = (
+  source: TerrainSource,
+  x: number,
+  z: number,
+  target: THREE.Vector3
+) => {
+  const d = source.normalSampleDistance ?? DEFAULT_NORMAL_SAMPLE_DISTANCE;
+  const hL = source.getHeight(x - d, z);
+  const hR = source.getHeight(x + d, z);
+  const hD = source.getHeight(x, z - d);
+  const hU = source.getHeight(x, z + d);
+  return target.set(hL - hR, 2 * d, hD - hU).normalize();
+};
+
+/**
+ * Holds every terrain registered in the current map and answers height,
+ * normal, slope and material/biome queries at any world XZ. Where terrains
+ * overlap, the one registered last answers; queries return null until a
+ * terrain has decoded its heightmap and registered.
+ */
+export const TerrainProvider = ({ children }: { children: ReactNode }) => {
+  const {
+    sourcesRef,
+    version,
+    register: registerTerrain,
+  } = useSourceRegistry<TerrainSource>();
+
+  const findSource = useCallback(
+    (x: number, z: number) =>
+      sourcesRef.current.find((source) =>
+        isWithinBounds(source.bounds, x, z)
+      ) ?? null,
+    [sourcesRef]
+  );
+
+  const getHeight = useCallback(
+    (x: number, z: number) => {
+      const source = findSource(x, z);
+      return source ? source.getHeight(x, z) : null;
+    },
+    [findSource]
+  );
+
+  const getNormal = useCallback(
+    (x: number, z: number, target: THREE.Vector3 = new THREE.Vector3()) => {
+      const source = findSource(x, z);
+      if (!source) return null;
+      return source.getNormal
+        ? source.getNormal(x, z, target)
+        : computeNormalFromHeights(source, x, z, target);
+    },
+    [findSource]
+  );
+
+  const slopeNormal = useRef(new THREE.Vector3());
+  const getSlope = useCallback(
+    (x: number, z: number) => {
+      const normal = getNormal(x, z, slopeNormal.current);
+      return normal ? normal.angleTo(UP) : null;
+    },
+    [getNormal]
+  );
+
+  const getMaterial = useCallback(
+    (x: number, z: number) => {
+      const source = findSource(x, z);
+      if (!source) return null;
+      return source.getMaterial
+        ? source.getMaterial(x, z, source.getHeight(x, z))
+        : "default";
+    },
+    [findSource]
+  );
+
+  const value = useMemo(
+    () => ({
+      isReady: sourcesRef.current.length > 0,
+      version,
+      getHeight,
+      getNormal,
+      getSlope,
+      getMaterial,
+      registerTerrain,
+    }),
+    // version changes whenever sourcesRef does, so isReady stays in sync
+    [
+      sourcesRef,
+      version,
+      getHeight,
+      getNormal,
+      getSlope,
+      getMaterial,
+      registerTerrain,
+    ]
+  );
+
+  return (
+    <TerrainContext.Provider value={value}>{children}</TerrainContext.Provider>
+  );
+};
+
+/**
+ * Query the terrain(s) of the current map
+ */
+export const useTerrain = () => {
+  const context = useContext(TerrainContext);
+  if (!context) {
+    throw new Error("useTerrain must be used within a TerrainProvider");
+  }
+  return context;
+};
+
+/**
+ * Register a terrain with the nearest TerrainProvider for as long as the
+ * source is non-null. Terrain components may also render outside a provider,
+ * in which case this is a no-op.
+ */
+export const useRegisterTerrain = (source: TerrainSource | null) =>
+  useRegisterSource(useContext(TerrainContext)?.registerTerrain, source);
+
+/**
+ * Material classifier matching the valley/grass/mountain/peak height bands
+ * used by the procedural terrain shaders
+ */
+export const createHeightBandMaterial = ({
+  heightValley,
+  heightGrass,
+  heightSlope,
+  heightPeak,
+}: {
+  heightValley: number;
+  heightGrass: number;
+  heightSlope: number;
+  heightPeak: number;
+}) => {
+  const valleyGrass = (heightValley + heightGrass) / 2;
+  const grassMountain = (heightGrass + heightSlope) / 2;
+  const mountainPeak = (heightSlope + heightPeak) / 2;
+
+  return (_x: number, _z: number, height: number) => {
+    if (height < valleyGrass) return "valley";
+    if (height < grassMountain) return "grass";
+    if (height < mountainPeak) return "mountain";
+    return "peak";
+  };
+};
@@ -0,0 +1,83 @@
+import React, {
+  createContext,
+  useContext,
+  useMemo,
+  useRef,
+  type ReactNode,
+} from "react";
+import type { CharacterAction } from "../types/input";
+
+/**
+ * Mutable touch state: written by TouchControls (DOM, outside the Canvas)
+ * and polled every frame by useCharacterInput, so touches never re-render.
+ */
+export type TouchInputState = {
+  moveX: number; // Joystick, same sign conventions as CharacterInput
+  moveZ: number;
+  held: Set<CharacterAction>;
+  tapped: Set<CharacterAction>; // Pressed since the last poll, even if already released
+  lookDeltaX: number; // Pixels dragged since the last poll
+  lookDeltaY: number;
+};
+
+type TouchInputContextValue = {
+  state: TouchInputState;
+  setStick: (moveX: number, moveZ: number) => void;
+  pressAction: (action: CharacterAction) => void;
+  releaseAction: (action: CharacterAction) => void;
+  addLookDelta: (dx: number, dy: number) => void;
+};
+
+const TouchInputContext = createContext<TouchInputContextValue | null>(null);
+
+export const TouchInputProvider = ({ children }: { children: ReactNode }) => {
+  const stateRef = useRef<TouchInputState>({
+    moveX: 0,
+    moveZ: 0,
+    held: new Set(),
+    tapped: new Set(),
+    lookDeltaX: 0,
+    lookDeltaY: 0,
+  });
+
+  const value = useMemo(() => {
+    const state = stateRef.current;
+    return {
+      state,
+      setStick: (moveX: number, moveZ: number) => {
+        state.moveX = moveX;
+        state.moveZ = moveZ;
+      },
+      pressAction: (action: CharacterAction) => {
+        state.held.add(action);
+        state.tapped.add(action);
+      },
+      releaseAction: (action: CharacterAction) => {
+        state.held.delete(action);
+      },
+      addLookDelta: (dx: number, dy: number) => {
+        state.lookDeltaX += dx;
+        state.lookDeltaY += dy;
+      },
+    };
+  }, []);
+
+  return (
+    <TouchInputContext.Provider value={value}>
+      {children}
+    </TouchInputContext.Provider>
+  );
+};
+
+export const useTouchInput = () => {
+  const context = useContext(TouchInputContext);
+  if (!context) {
+    throw new Error("useTouchInput must be used within a TouchInputProvider");
+  }
+  return context;
+};
+
+/**
+ * Touch state for input polling, or null when no TouchInputProvider is mounted
+ */
+export const useOptionalTouchInput = () => useContext(TouchInputContext);
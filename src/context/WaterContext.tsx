@@ -0,0 +1,88 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useMemo,
+  type ReactNode,
+} from "react";
+import { isWithinBounds, type TerrainBounds } from "./TerrainContext";
+import { useRegisterSource, useSourceRegistry } from "./sourceRegistry";
+
+/**
+ * What a water volume registers: its footprint, how far down it reaches and
+ * the surface height across it (flat, or a heightfield for rivers and falls)
+ */
+export type WaterSource = {
+  bounds?: TerrainBounds; // Omit for water that covers the whole world
+  bottom?: number; // Omit for water that reaches down to whatever is below
+  getSurfaceHeight: (x: number, z: number) => number;
+};
+
+type WaterContextValue = {
+  version: number; // Bumped whenever a volume registers/unregisters
+  // Surface above a point inside a volume, or null outside all volumes
+  getSurfaceHeight: (x: number, y: number, z: number) => number | null;
+  registerWater: (source: WaterSource) => () => void;
+};
+
+const WaterContext = createContext<WaterContextValue | null>(null);
+
+const containsPoint = (source: WaterSource, x: number, y: number, z: number) =>
+  (source.bottom === undefined || y >= source.bottom) &&
+  isWithinBounds(source.bounds, x, z);
+
+/**
+ * Holds every water volume registered in the current map and answers
+ * "how high is the water here" for the character, splashes and the
+ * underwater fog. Where volumes overlap the latest one answers, so a river
+ * volume can cut through a lake's.
+ */
+export const WaterProvider = ({ children }: { children: ReactNode }) => {
+  const {
+    sourcesRef,
+    version,
+    register: registerWater,
+  } = useSourceRegistry<WaterSource>();
+
+  const getSurfaceHeight = useCallback(
+    (x: number, y: number, z: number) => {
+      const source = sourcesRef.current.find((s) => containsPoint(s, x, y, z));
+      return source ? source.getSurfaceHeight(x, z) : null;
+    },
+    [sourcesRef]
+  );
+
+  const value = useMemo(
+    () => ({ version, getSurfaceHeight, registerWater }),
+    [version, getSurfaceHeight, registerWater]
+  );
+
+  return (
+    <WaterContext.Provider value={value}>{children}</WaterContext.Provider>
+  );
+};
+
+/**
+ * Query the water volumes of the current map
+ */
+export const useWater = () => {
+  const context = useContext(WaterContext);
+  if (!context) {
+    throw new Error("useWater must be used within a WaterProvider");
+  }
+  return context;
+};
+
+/**
+ * Like useWater, but returns null outside a provider, for components that
+ * also render in scenes without water
+ */
+export const useOptionalWater = () => useContext(WaterContext);
+
+/**
+ * Register a water volume with the nearest WaterProvider for as long as the
+ * source is non-null. A WaterVolume placed in a scene without a provider is
+ * only drawn: nothing swims in it.
+ */
+export const useRegisterWater = (source: WaterSource | null) =>
+  useRegisterSource(useContext(WaterContext)?.registerWater, source);
@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+/**
+ * Sources that components register with a map-scoped provider (terrains,
+ * water volumes, damageables) while they are mounted. The list is newest
+ * first, so where sources overlap a lookup finds the latest one.
+ * @returns The list, a counter bumped on every change, and the register
+ * function, which returns the matching unregister
+ */
+export const useSourceRegistry = <T>() => {
+  const sourcesRef = useRef<T[]>([]);
+  const [version, setVersion] = useState(0);
+
+  const register = useCallback((source: T) => {
+    sourcesRef.current = [source, ...sourcesRef.current];
+    setVersion((current) => current + 1);
+
+    return () => {
+      sourcesRef.current = sourcesRef.current.filter((s) => s !== source);
+      setVersion((current) => current + 1);
+    };
+  }, []);
+
+  return { sourcesRef, version, register };
+};
+
+/**
+ * Keep a source registered for as long as it is non-null
+ * @param register - A provider's register function; undefined when the
+ * component isn't under that provider, and nothing is registered
+ * @param source - Source to register
+ */
+export const useRegisterSource = <T>(
+  register: ((source: T) => () => void) | undefined,
+  source: T | null
+) => {
+  useEffect(() => {
+    if (!register || !source) {
+      return;
+    }
+    return register(source);
+  }, [register, source]);
+};
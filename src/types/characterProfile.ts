@@ -0,0 +1,47 @@
+import type { LocomotionBlendSpace } from "../utils/blendSpace";
+
+// Bones the controller follows: the first-person camera sits on the head,
+// the weapon hitbox follows the weapon bone, footsteps and leg IK use the feet
+export type CharacterBoneRole = "head" | "weapon" | "leftFoot" | "rightFoot";
+
+// Named bone sets animation layers can be limited to
+export type CharacterBoneMask =
+  | "upperBody"
+  | "torso"
+  | "leftArm"
+  | "rightArm"
+  | "legs";
+
+/**
+ * Everything the character controller needs to know about a rigged model.
+ * Node and bone names are as authored; the dots and spaces three strips
+ * from node names on load are fine.
+ */
+export type CharacterProfile = {
+  id: string;
+  name: string; // Shown in the character picker
+  modelUrl: string;
+  // Mesh nodes (or groups of them) to draw; any other mesh in the file is hidden
+  meshes: string[];
+  // Candidate node names per bone, first match wins; roles left out fall back
+  // to common rig names (Mixamo and the like)
+  bones: Partial<Record<CharacterBoneRole, string[]>>;
+  // Clip per animation (character state names); animations left out play idle
+  animations: { idle: string } & Record<string, string>;
+  // Clips that loop when played as an animation layer; by default those
+  // named *_Loop
+  loopingClips?: string[];
+  // Animations that blend their clips by velocity instead (see blendSpace)
+  blendSpaces?: Record<string, LocomotionBlendSpace>;
+  // Layers limited to a mask the model doesn't define aren't played
+  boneMasks?: Partial<Record<CharacterBoneMask, readonly string[]>>;
+  // Collider: length of the cylinder between the end caps, and radius
+  capsule: { height: number; radius: number };
+  // Model origin's height relative to the body's centre, putting the feet on
+  // the capsule bottom
+  visualOffsetY: number;
+  scale?: number; // Model units to meters, default 1
+  // Foot bone height above the sole, in meters at `scale`; leg IK is off
+  // without it
+  ankleHeight?: number;
+};
@@ -0,0 +1,55 @@
+// Each state plays the GodotCharacter animation of the same name
+export type CharacterState =
+  | "idle"
+  | "walk"
+  | "run"
+  | "walkBackwards"
+  | "crouchIdle"
+  | "crouchWalk"
+  | "swordIdle"
+  | "dance"
+  | "roll"
+  | "jumpStart"
+  | "jumpLoop"
+  | "jumpLand"
+  | "slide"
+  | "ledgeHang"
+  | "ledgeShimmy"
+  | "climbUp"
+  | "wallJump"
+  | "swimIdle"
+  | "swim"
+  | "diveIdle"
+  | "dive"
+  | "swordAttack"
+  | "swordAttackAlt";
+
+export type CharacterAttack = "primary" | "secondary";
+
+// How the body sits in a water volume: not swimming, floating, or fully under
+export type WaterLevel = "none" | "surface" | "underwater";
+
+/**
+ * Per-frame snapshot the character controller feeds the state machine.
+ * "Pressed" flags are edges: true only on the frame the action starts.
+ */
+export type CharacterStateInput = {
+  grounded: boolean; // On walkable ground
+  sliding: boolean; // On ground steeper than the walkable limit
+  landed: boolean; // Grounded this frame but not the previous one
+  moving: boolean;
+  running: boolean;
+  walkingBackward: boolean;
+  crouched: boolean;
+  crouchTransitioning: boolean;
+  combatMode: boolean;
+  dance: boolean;
+  jumpPressed: boolean;
+  rollPressed: boolean;
+  attack: CharacterAttack | null;
+  ledgeAvailable: boolean; // A grabbable ledge is in reach (or still held while hanging)
+  climbPressed: boolean;
+  dropPressed: boolean;
+  wallJumpPressed: boolean; // Jump pressed against a wall while airborne or hanging
+  water: WaterLevel;
+};
@@ -0,0 +1,31 @@
+// Health and armor of a damageable; armor soaks part of each hit while it lasts
+export type CombatStats = {
+  health: number;
+  armor: number;
+};
+
+export type DamageResult = CombatStats & {
+  damage: number; // Health lost
+  absorbed: number; // Damage soaked by armor
+};
+
+// Timing and strength of one attack state's hitbox
+export type AttackProfile = {
+  damage: number;
+  knockback: number; // Horizontal impulse away from the attacker, in N·s
+  lift: number; // Upward impulse, in N·s
+  activeFrom: number; // Fraction of the attack when the hitbox turns on
+  activeTo: number; // Fraction of the attack when it turns off
+};
+
+/**
+ * Published by CombatProvider. "hit" fires for every damageable an attack
+ * connects with (including ones already dead, with zero damage); "death"
+ * follows the hit that takes health to zero.
+ */
+export type CombatEvent = DamageResult & {
+  type: "hit" | "death";
+  attackerId: string;
+  targetId: string;
+  position: [number, number, number]; // Where the hitbox touched the target
+};
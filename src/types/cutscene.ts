@@ -0,0 +1,31 @@
+export type CutsceneEasing = "linear" | "easeIn" | "easeOut" | "easeInOut";
+
+export type CutsceneKeyframe = {
+  time: number; // Seconds from the start of the cutscene
+  position: [number, number, number];
+  lookAt: [number, number, number];
+  fov?: number; // Degrees; the gameplay camera's FOV when omitted
+  easing?: CutsceneEasing; // Timing of the move into this keyframe (default "easeInOut")
+};
+
+export type CutsceneTrigger =
+  | { type: "mapStart" } // As soon as the character has spawned
+  | {
+      type: "volume"; // When the character enters an axis-aligned box
+      min: [number, number, number];
+      max: [number, number, number];
+    };
+
+/**
+ * A camera move authored in the map manifest. Position and look-at target
+ * each follow a Catmull-Rom spline through the keyframes.
+ */
+export type Cutscene = {
+  id: string;
+  keyframes: CutsceneKeyframe[]; // At least two, in time order
+  trigger?: CutsceneTrigger; // Only playable by id when omitted
+  once?: boolean; // Trigger at most once per map visit (default true)
+  lockInput?: boolean; // Ignore character input while playing (default true)
+  skippable?: boolean; // Jump ends it early (default true)
+  blendOut?: number; // Seconds to ease back to the gameplay camera (default 1)
+};
@@ -0,0 +1,56 @@
+// Action names shared by every input source (keyboard, gamepad, ...)
+export type CharacterAction =
+  | "forward"
+  | "backward"
+  | "left"
+  | "right"
+  | "run"
+  | "jump"
+  | "crouch"
+  | "dance"
+  | "walkBackward"
+  | "roll"
+  | "attack"
+  | "attackAlt"
+  | "toggleCombat"
+  | "lockOn"
+  | "cycleTarget";
+
+/**
+ * One frame of merged input. Boolean actions are held states; the move and
+ * look axes are analog (-1 to 1) and already have dead zones applied.
+ */
+export type CharacterInput = Record<CharacterAction, boolean> & {
+  moveX: number; // 1 = left, -1 = right (same sign as the A/D keys)
+  moveZ: number; // 1 = forward, -1 = backward
+  lookX: number; // 1 = right
+  lookY: number; // 1 = down
+  lookDeltaX: number; // Pixels dragged since the last poll (touch), 1 = right
+  lookDeltaY: number; // 1 = down
+};
+
+export type GamepadBindings = Partial<Record<CharacterAction, number[]>>;
+
+export type GamepadSettings = {
+  enabled: boolean;
+  stickDeadZone: number;
+  triggerThreshold: number;
+  bindings?: GamepadBindings;
+};
+
+// KeyboardEvent.code values, plus "Mouse0"/"Mouse1"/"Mouse2" for mouse buttons
+export type KeyboardBindings = Partial<Record<CharacterAction, string[]>>;
+
+export type InputProfile = {
+  name: string;
+  keyboard: KeyboardBindings;
+  gamepad: GamepadBindings;
+};
+
+export type InputDevice = "keyboard" | "gamepad";
+
+export type BindingConflict = {
+  device: InputDevice;
+  binding: string | number;
+  actions: CharacterAction[];
+};
@@ -0,0 +1,20 @@
+import type * as THREE from "three";
+
+// Near-vertical surface found by findWall
+export type WallHit = {
+  point: THREE.Vector3; // Where the ray hit the wall face
+  normal: THREE.Vector3; // Horizontal, pointing out of the wall
+};
+
+// A grabbable ledge found by findLedge
+export type Ledge = {
+  wallPoint: THREE.Vector3; // Where the forward ray hit the wall face
+  wallNormal: THREE.Vector3; // Horizontal, pointing out of the wall
+  top: number; // Height of the ledge surface
+};
+
+// Collider dimensions the probes size themselves by
+export type LedgeCapsule = {
+  height: number; // Length of the cylinder between the caps
+  radius: number;
+};
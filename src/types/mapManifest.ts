@@ -0,0 +1,54 @@
+import type { Cutscene } from "./cutscene";
+
+type MapSpawnFallback = {
+  // Used as is when the spawn solver finds no room near the rule's position;
+  // without one the map reports a load error instead
+  fallback?: [number, number, number];
+};
+
+export type MapSpawnRule = MapSpawnFallback &
+  (
+    | {
+        type: "static";
+        position: [number, number, number];
+      }
+    | {
+        type: "heightmap";
+        texture?: string; // Heightmap URL, sampled once a terrain has loaded it
+        position: [number, number];
+        size: number;
+        heightScale: number;
+        terrainOffset?: number;
+        normalize?: boolean;
+        centerPeakRegion?: number; // Shift so the center peak sits at terrainOffset
+        clearance?: number;
+      }
+  );
+
+export type MapCapabilities = {
+  passCharacterData?: boolean;
+  requiresTerrainReadyCallback?: boolean;
+  supportsTeleport?: boolean;
+};
+
+export type MapLightOverrides = {
+  directionalPosition?: [number, number, number];
+};
+
+export type MapManifestEntry = {
+  id: string;
+  name: string;
+  component: string;
+  props?: Record<string, unknown>;
+  spawn: MapSpawnRule;
+  lights?: MapLightOverrides;
+  capabilities?: MapCapabilities;
+  cutscenes?: Cutscene[];
+};
+
+export type MapManifest = {
+  version: number;
+  defaultMap?: string;
+  fallbackMap?: string;
+  maps: MapManifestEntry[];
+};
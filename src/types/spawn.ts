@@ -0,0 +1,46 @@
+import type { RigidBody } from "@dimforge/rapier3d-compat";
+
+export type SpawnFailureReason =
+  | "no-ground" // Nothing below the probe within probeDepth
+  | "obstructed" // Capsule overlaps geometry at the probe start
+  | "too-steep" // Ground slope exceeds maxSlopeDegrees
+  | "unsupported"; // Capsule rests on an edge with nothing directly underfoot
+
+// The subset of TerrainProvider's queries the solver uses
+export type SpawnTerrainQuery = {
+  getHeight: (x: number, z: number) => number | null;
+  getSlope: (x: number, z: number) => number | null; // Radians from horizontal
+};
+
+export type SpawnSolverOptions = {
+  capsuleHalfHeight?: number; // Half-height of the capsule's cylinder part
+  capsuleRadius?: number;
+  searchRadius?: number; // How far from the requested XZ to look
+  searchStep?: number; // Spacing between candidate rings and points
+  maxSlopeDegrees?: number;
+  probeHeight?: number; // Cast starts this far above the requested Y
+  probeDepth?: number; // Maximum cast distance below the probe start
+  groundClearance?: number; // Gap left between the capsule and the ground
+  // Where the capsule lands on a registered terrain, its slope is judged by
+  // the heightfield instead of the collider triangle underfoot
+  terrain?: SpawnTerrainQuery;
+  // Body the search ignores, e.g. the character when it is re-seated
+  excludeBody?: RigidBody;
+};
+
+export type SpawnSolveSuccess = {
+  ok: true;
+  position: [number, number, number];
+  groundNormal: [number, number, number];
+  distance: number; // Horizontal distance from the requested point
+  attempts: number;
+};
+
+export type SpawnSolveFailure = {
+  ok: false;
+  reason: SpawnFailureReason; // Most frequent rejection across all candidates
+  failures: Partial<Record<SpawnFailureReason, number>>;
+  attempts: number;
+};
+
+export type SpawnSolveResult = SpawnSolveSuccess | SpawnSolveFailure;
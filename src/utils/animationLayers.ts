@@ -0,0 +1,115 @@
+import * as THREE from "three";
+
+/**
+ * Animation layers played on top of an AnimationMixer's pose. The mixer has
+ * no per-bone weights (actions on the same bone are averaged), so a layer
+ * samples its clip's tracks itself and blends the result onto the bones
+ * after mixer.update(): override layers replace the pose of the bones in
+ * their mask, additive layers add their motion relative to the clip's first
+ * frame.
+ */
+
+export type AnimationLayerBlend = "override" | "additive";
+
+// Set on every track for its interpolation mode (glTF cubic splines bring
+// their own), but missing from three's type declarations
+type InterpolatedTrack = THREE.KeyframeTrack & {
+  createInterpolant: () => THREE.Interpolant;
+};
+
+type LayerTrack = {
+  target: THREE.Vector3 | THREE.Quaternion;
+  interpolant: THREE.Interpolant;
+};
+
+export type AnimationLayerTracks = {
+  duration: number;
+  blend: AnimationLayerBlend;
+  tracks: LayerTrack[];
+};
+
+const partialQuaternion = new THREE.Quaternion();
+const sampledQuaternion = new THREE.Quaternion();
+const sampledVector = new THREE.Vector3();
+
+/**
+ * Bind a clip to a skeleton as a layer
+ * @param clip - Clip to play
+ * @param root - Object the clip's bones are found under
+ * @param blend - How the layer combines with the pose below it
+ * @param mask - Bone names (as authored; dots and other characters three
+ * strips from node names are fine) the layer drives; every bone when omitted
+ * @returns The bound tracks, to sample with applyAnimationLayer
+ */
+export function createAnimationLayerTracks(
+  clip: THREE.AnimationClip,
+  root: THREE.Object3D,
+  blend: AnimationLayerBlend,
+  mask?: readonly string[]
+): AnimationLayerTracks {
+  const source =
+    blend === "additive"
+      ? THREE.AnimationUtils.makeClipAdditive(clip.clone())
+      : clip;
+  const maskedBones = mask
+    ? new Set(mask.map((name) => THREE.PropertyBinding.sanitizeNodeName(name)))
+    : null;
+
+  const tracks: LayerTrack[] = [];
+  source.tracks.forEach((track) => {
+    const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(
+      track.name
+    );
+    if (maskedBones && !maskedBones.has(nodeName)) return;
+    const bone = root.getObjectByName(nodeName);
+    if (!bone) return;
+    if (
+      propertyName === "quaternion" ||
+      propertyName === "position" ||
+      propertyName === "scale"
+    ) {
+      tracks.push({
+        target: bone[propertyName],
+        interpolant: (track as InterpolatedTrack).createInterpolant(),
+      });
+    }
+  });
+
+  return { duration: source.duration, blend, tracks };
+}
+
+/**
+ * Blend a layer's pose at a time onto its bones
+ * @param layer - Bound tracks from createAnimationLayerTracks
+ * @param time - Seconds into the clip
+ * @param weight - 0 leaves the pose below alone, 1 applies the layer fully
+ */
+export function applyAnimationLayer(
+  layer: AnimationLayerTracks,
+  time: number,
+  weight: number
+) {
+  if (weight <= 0) return;
+  const additive = layer.blend === "additive";
+
+  layer.tracks.forEach(({ target, interpolant }) => {
+    const values = interpolant.evaluate(time);
+    if (target instanceof THREE.Quaternion) {
+      sampledQuaternion.fromArray(values);
+      if (additive) {
+        target.multiply(
+          partialQuaternion.identity().slerp(sampledQuaternion, weight)
+        );
+      } else {
+        target.slerp(sampledQuaternion, weight);
+      }
+    } else {
+      sampledVector.fromArray(values);
+      if (additive) {
+        target.addScaledVector(sampledVector, weight);
+      } else {
+        target.lerp(sampledVector, weight);
+      }
+    }
+  });
+}
@@ -0,0 +1,119 @@
+/**
+ * Locomotion blend spaces: which clips to mix, and how fast to play them,
+ * for a velocity in the character's own frame (+Z ahead, +X to its left).
+ * Clips are placed by the ground speed their feet match, so the playback
+ * rate that keeps feet planted falls out of the blend.
+ */
+
+export type BlendSpaceSample = {
+  clip: string;
+  speed: number; // Ground speed (m/s) at which its feet don't slide
+  reverse?: boolean; // Play backwards, e.g. a forward walk for walking backwards
+};
+
+export type LocomotionBlendSpace = {
+  idle: string;
+  // Clips per direction, slowest first. Without left/right clips sideways
+  // movement uses forward (or backward) ones; without backward clips,
+  // forward ones.
+  forward: BlendSpaceSample[];
+  backward?: BlendSpaceSample[];
+  left?: BlendSpaceSample[];
+  right?: BlendSpaceSample[];
+};
+
+export type BlendSpaceWeight = {
+  sample: BlendSpaceSample | null; // null for the idle clip
+  weight: number;
+};
+
+export type BlendSpaceResult = {
+  weights: BlendSpaceWeight[]; // Summing to 1
+  // Playback rate for the moving clips that matches their feet to the speed
+  playbackRate: number;
+};
+
+// Beyond this the fastest clip looks wrong however it's played
+const MAX_PLAYBACK_RATE = 2;
+
+const QUARTER_TURN = Math.PI / 2;
+
+// Weights along one direction's clips for a speed, idle included at 0 m/s
+const sampleDirection = (
+  samples: BlendSpaceSample[],
+  speed: number,
+  scale: number,
+  weights: BlendSpaceWeight[]
+) => {
+  const add = (sample: BlendSpaceSample | null, weight: number) => {
+    if (weight <= 0) return;
+    const existing = weights.find((entry) => entry.sample === sample);
+    if (existing) {
+      existing.weight += weight;
+    } else {
+      weights.push({ sample, weight });
+    }
+  };
+
+  let previous: BlendSpaceSample | null = null;
+  let previousSpeed = 0;
+  for (const sample of samples) {
+    if (speed <= sample.speed) {
+      const t = (speed - previousSpeed) / (sample.speed - previousSpeed);
+      add(previous, (1 - t) * scale);
+      add(sample, t * scale);
+      return;
+    }
+    previous = sample;
+    previousSpeed = sample.speed;
+  }
+  add(previous, scale);
+};
+
+/**
+ * Clip weights and playback rate for a velocity
+ * @param space - Blend space to sample
+ * @param x - Sideways velocity in m/s, positive to the character's left
+ * @param z - Forward velocity in m/s, negative going backwards
+ * @returns Weights for the idle and moving clips, and the moving clips' rate
+ */
+export function sampleBlendSpace(
+  space: LocomotionBlendSpace,
+  x: number,
+  z: number
+): BlendSpaceResult {
+  const speed = Math.hypot(x, z);
+  const weights: BlendSpaceWeight[] = [];
+  if (space.forward.length === 0 || speed < 1e-3) {
+    return { weights: [{ sample: null, weight: 1 }], playbackRate: 1 };
+  }
+
+  const backward = space.backward ?? space.forward;
+  if (!space.left || !space.right) {
+    sampleDirection(z >= 0 ? space.forward : backward, speed, 1, weights);
+  } else {
+    // Blend the two directions either side of the heading, by angle
+    const directions = [space.forward, space.left, backward, space.right];
+    const angle = Math.atan2(x, z); // 0 ahead, quarter turn left, -quarter right
+    const position = (((angle / QUARTER_TURN) % 4) + 4) % 4;
+    const index = Math.floor(position);
+    const t = position - index;
+    sampleDirection(directions[index], speed, 1 - t, weights);
+    sampleDirection(directions[(index + 1) % 4], speed, t, weights);
+  }
+
+  let movingWeight = 0;
+  let naturalSpeed = 0;
+  weights.forEach(({ sample, weight }) => {
+    if (!sample) return;
+    movingWeight += weight;
+    naturalSpeed += sample.speed * weight;
+  });
+  naturalSpeed /= movingWeight || 1;
+
+  return {
+    weights,
+    playbackRate:
+      naturalSpeed > 0 ? Math.min(speed / naturalSpeed, MAX_PLAYBACK_RATE) : 1,
+  };
+}
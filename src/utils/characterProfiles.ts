@@ -0,0 +1,230 @@
+import type { CharacterProfile } from "../types/characterProfile";
+import type { LocomotionBlendSpace } from "./blendSpace";
+
+/**
+ * Built-in character profiles, the models in public/models mapped onto the
+ * controller's bones, animations and collider
+ */
+
+const FINGER_BONES = ["f_index", "f_middle", "f_pinky", "f_ring", "thumb"];
+
+const armBones = (side: "L" | "R") => [
+  `DEF-shoulder.${side}`,
+  `DEF-upper_arm.${side}`,
+  `DEF-forearm.${side}`,
+  `DEF-hand.${side}`,
+  ...FINGER_BONES.flatMap((finger) =>
+    [1, 2, 3].map((joint) => `DEF-${finger}.0${joint}.${side}`)
+  ),
+];
+
+const SPINE_BONES = ["DEF-spine.001", "DEF-spine.002", "DEF-spine.003"];
+
+// Stride speeds measured from the clips' planted feet. The library has no
+// strafe clips yet; walking backwards plays the walk in reverse.
+const GODOT_STANDING_BLEND_SPACE: LocomotionBlendSpace = {
+  idle: "Idle_Loop",
+  forward: [
+    { clip: "Walk_Loop", speed: 1.06 },
+    { clip: "Jog_Fwd_Loop", speed: 5.9 },
+    { clip: "Sprint_Loop", speed: 8.9 },
+  ],
+  backward: [{ clip: "Walk_Loop", speed: 1.06, reverse: true }],
+};
+
+const GODOT_CROUCH_BLEND_SPACE: LocomotionBlendSpace = {
+  idle: "Crouch_Idle_Loop",
+  forward: [{ clip: "Crouch_Fwd_Loop", speed: 0.72 }],
+  backward: [{ clip: "Crouch_Fwd_Loop", speed: 0.72, reverse: true }],
+};
+
+// The Godot animation library's mannequin, the default character
+export const GODOT_MANNEQUIN_PROFILE: CharacterProfile = {
+  id: "godot-mannequin",
+  name: "Godot Mannequin",
+  modelUrl: "/models/AnimationLibrary_Godot_Standard-transformed.glb",
+  meshes: ["Mannequin_1", "Mannequin_2"],
+  bones: {
+    head: ["DEF-head"],
+    weapon: ["DEF-hand.R"], // The model has no sword mesh
+    leftFoot: ["DEF-foot.L"],
+    rightFoot: ["DEF-foot.R"],
+  },
+  animations: {
+    idle: "Idle_Loop",
+    walk: "Walk_Loop",
+    run: "Sprint_Loop",
+    walkBackwards: "Walk_Loop", // No backwards walk, use regular walk
+    leftTurn: "Walk_Loop",
+    rightTurn: "Walk_Loop",
+    dance: "Dance_Loop",
+    jumpStart: "Jump_Start",
+    jumpLoop: "Jump_Loop",
+    jumpLand: "Jump_Land",
+    crouchIdle: "Crouch_Idle_Loop",
+    crouchWalk: "Crouch_Fwd_Loop",
+    // Combat animations
+    swordIdle: "Sword_Idle",
+    swordAttack: "Sword_Attack",
+    swordAttackAlt: "Sword_Attack_RM",
+    roll: "Roll",
+    slide: "Crouch_Idle_Loop", // No slide clip in the library; crouch reads as bracing
+    // Traversal: no hang/climb clips in the library yet, closest poses for now
+    ledgeHang: "Jump_Loop",
+    ledgeShimmy: "Push_Loop",
+    climbUp: "Crouch_Fwd_Loop",
+    wallJump: "Jump_Start",
+    swimIdle: "Swim_Idle_Loop",
+    swim: "Swim_Fwd_Loop",
+    diveIdle: "Swim_Idle_Loop",
+    dive: "Swim_Fwd_Loop",
+  },
+  blendSpaces: {
+    idle: GODOT_STANDING_BLEND_SPACE,
+    walk: GODOT_STANDING_BLEND_SPACE,
+    run: GODOT_STANDING_BLEND_SPACE,
+    walkBackwards: GODOT_STANDING_BLEND_SPACE,
+    leftTurn: GODOT_STANDING_BLEND_SPACE,
+    rightTurn: GODOT_STANDING_BLEND_SPACE,
+    crouchIdle: GODOT_CROUCH_BLEND_SPACE,
+    crouchWalk: GODOT_CROUCH_BLEND_SPACE,
+  },
+  boneMasks: {
+    upperBody: [
+      ...SPINE_BONES,
+      "DEF-neck",
+      "DEF-head",
+      ...armBones("L"),
+      ...armBones("R"),
+    ],
+    torso: [...SPINE_BONES, "DEF-neck"],
+    leftArm: armBones("L"),
+    rightArm: armBones("R"),
+    legs: ["L", "R"].flatMap((side) =>
+      ["thigh", "shin", "foot", "toe"].map((bone) => `DEF-${bone}.${side}`)
+    ),
+  },
+  capsule: { height: 1.4, radius: 0.3 },
+  visualOffsetY: -0.99,
+  ankleHeight: 0.1,
+};
+
+const BEAN_ARM_BONES = {
+  L: ["Shoulder_L_jnt_08", "Elbow_L_jnt_09", "Wrist_L_jnt_010"],
+  R: ["Shoulder_R_jnt1_017", "Elbow_R_jnt1_018", "Wrist_R_jnt1_019"],
+};
+
+// character.glb, a bean-shaped runner with a small clip set. Modelled about
+// 2.4 units tall; scaled to 1.65 m.
+export const BEAN_PROFILE: CharacterProfile = {
+  id: "bean",
+  name: "Bean (character.glb)",
+  modelUrl: "/models/character.glb",
+  meshes: ["body", "eye", "hand-", "leg"],
+  bones: {
+    head: ["Head_C_jnt01_04"],
+    weapon: ["Wrist_R_jnt1_019"],
+    leftFoot: ["Ankle_L_jnt_035"],
+    rightFoot: ["Ankle_R_jnt_039"],
+  },
+  animations: {
+    idle: "idle",
+    walk: "walk",
+    run: "run",
+    walkBackwards: "walk",
+    leftTurn: "walk",
+    rightTurn: "walk",
+    dance: "wave",
+    jumpStart: "jump_up",
+    jumpLoop: "jump_air",
+    jumpLand: "idle",
+    crouchWalk: "walk",
+    roll: "dive",
+    wallJump: "jump_up",
+    ledgeHang: "fall",
+    swimIdle: "fall",
+    swim: "dive",
+    diveIdle: "fall",
+    dive: "dive",
+  },
+  loopingClips: ["idle", "walk", "run", "fall", "jump_air", "wave"],
+  boneMasks: {
+    upperBody: [
+      "Chest_C_jnt_02",
+      "Head_C_jnt01_04",
+      ...BEAN_ARM_BONES.L,
+      ...BEAN_ARM_BONES.R,
+    ],
+    torso: ["Chest_C_jnt_02"],
+    leftArm: BEAN_ARM_BONES.L,
+    rightArm: BEAN_ARM_BONES.R,
+    legs: [
+      "Hip_L_jnt_033",
+      "Knee_L_jnt_034",
+      "Ankle_L_jnt_035",
+      "Ball_L_jnt_00",
+      "Toe_L_jnt_036",
+      "Hip_R_jnt_037",
+      "Knee_R_jnt_038",
+      "Ankle_R_jnt_039",
+      "Ball_R_jnt_040",
+      "Toe_R_jnt_041",
+    ],
+  },
+  capsule: { height: 0.8, radius: 0.4 },
+  visualOffsetY: -0.8,
+  scale: 0.7,
+  ankleHeight: 0.07,
+};
+
+// Wolf.gltf, a quadruped. Footsteps follow the front paws' IK targets; it
+// has no leg chain to solve, so leg IK stays off. Modelled 2.7 units tall to
+// the ear tips; scaled to about 0.95 m.
+export const WOLF_PROFILE: CharacterProfile = {
+  id: "wolf",
+  name: "Wolf (Wolf.gltf)",
+  modelUrl: "/models/Wolf.gltf",
+  meshes: ["Wolf"],
+  bones: {
+    head: ["Head"],
+    weapon: ["Head"], // Attacks are bites
+    leftFoot: ["FF.L"],
+    rightFoot: ["FF.R"],
+  },
+  animations: {
+    idle: "Idle",
+    walk: "Walk",
+    run: "Gallop",
+    walkBackwards: "Walk",
+    leftTurn: "Walk",
+    rightTurn: "Walk",
+    dance: "Idle_2",
+    jumpStart: "Gallop_Jump",
+    jumpLoop: "Gallop_Jump",
+    jumpLand: "Jump_ToIdle",
+    crouchIdle: "Idle_2_HeadLow",
+    crouchWalk: "Walk",
+    swordIdle: "Idle_2",
+    swordAttack: "Attack",
+    swordAttackAlt: "Attack",
+    roll: "Gallop_Jump",
+    swimIdle: "Idle",
+    swim: "Walk",
+    diveIdle: "Idle",
+    dive: "Walk",
+  },
+  loopingClips: ["Idle", "Idle_2", "Idle_2_HeadLow", "Walk", "Gallop"],
+  capsule: { height: 0.2, radius: 0.4 },
+  visualOffsetY: -0.5,
+  scale: 0.35,
+};
+
+export const CHARACTER_PROFILES: Record<string, CharacterProfile> =
+  Object.fromEntries(
+    [GODOT_MANNEQUIN_PROFILE, BEAN_PROFILE, WOLF_PROFILE].map((profile) => [
+      profile.id,
+      profile,
+    ])
+  );
+
+export const DEFAULT_CHARACTER_PROFILE = GODOT_MANNEQUIN_PROFILE;
@@ -0,0 +1,210 @@
+import { describe, expect, it } from "vitest";
+import {
+  CHARACTER_STATE_DURATIONS,
+  createCharacterStateMachine,
+} from "./characterStateMachine";
+import type {
+  CharacterState,
+  CharacterStateInput,
+} from "../types/characterState";
+
+const FRAME = 1 / 60;
+
+// Standing still on walkable ground, no buttons held
+const input = (
+  overrides: Partial<CharacterStateInput> = {}
+): CharacterStateInput => ({
+  grounded: true,
+  sliding: false,
+  landed: false,
+  moving: false,
+  running: false,
+  walkingBackward: false,
+  crouched: false,
+  crouchTransitioning: false,
+  combatMode: false,
+  dance: false,
+  jumpPressed: false,
+  rollPressed: false,
+  attack: null,
+  ledgeAvailable: false,
+  climbPressed: false,
+  dropPressed: false,
+  wallJumpPressed: false,
+  water: "none",
+  ...overrides,
+});
+
+const machineIn = (state: CharacterState) => {
+  const machine = createCharacterStateMachine();
+  machine.reset(state);
+  return machine;
+};
+
+describe("timed exits", () => {
+  it("hands jumpStart to jumpLoop once its duration is up", () => {
+    const machine = machineIn("jumpStart");
+    const airborne = input({ grounded: false });
+
+    expect(machine.update(airborne, FRAME)).toBeNull();
+    expect(
+      machine.update(airborne, CHARACTER_STATE_DURATIONS.jumpStart)
+    ).toEqual({ from: "jumpStart", to: "jumpLoop", reason: "timeout" });
+  });
+
+  it("ends a roll in the state the ground calls for", () => {
+    const { roll } = CHARACTER_STATE_DURATIONS;
+    const cases: [Partial<CharacterStateInput>, CharacterState][] = [
+      [{}, "idle"],
+      [{ moving: true, running: true }, "run"],
+      [{ grounded: false }, "jumpLoop"],
+      [{ grounded: false, sliding: true }, "slide"],
+    ];
+
+    cases.forEach(([overrides, expected]) => {
+      const machine = machineIn("roll");
+      expect(machine.update(input(overrides), roll)?.to).toBe(expected);
+    });
+  });
+
+  it("lets an attack finish before any transition runs", () => {
+    const machine = machineIn("swordAttack");
+    const landedOnSlope = input({
+      grounded: false,
+      landed: true,
+      sliding: true,
+    });
+
+    expect(machine.update(landedOnSlope, FRAME)).toBeNull();
+    expect(
+      machine.update(landedOnSlope, CHARACTER_STATE_DURATIONS.attack)
+    ).toEqual({ from: "swordAttack", to: "slide", reason: "timeout" });
+  });
+});
+
+describe("transition priority", () => {
+  it("switches to swimming from any state, even mid-action", () => {
+    const states: CharacterState[] = [
+      "idle",
+      "roll",
+      "swordAttack",
+      "ledgeHang",
+      "slide",
+    ];
+
+    states.forEach((state) => {
+      const machine = machineIn(state);
+      const change = machine.update(
+        input({ water: "surface", jumpPressed: true, sliding: true }),
+        FRAME
+      );
+      expect(change?.to).toBe("swimIdle");
+    });
+  });
+
+  it("dives or swims by depth and movement, and leaves the water by ground", () => {
+    const machine = machineIn("swimIdle");
+    expect(
+      machine.update(input({ water: "underwater", moving: true }), FRAME)?.to
+    ).toBe("dive");
+    expect(machine.update(input({ grounded: false }), FRAME)?.to).toBe(
+      "jumpLoop"
+    );
+  });
+
+  it("prefers an attack over a jump in combat mode", () => {
+    const machine = machineIn("idle");
+    const change = machine.update(
+      input({ combatMode: true, attack: "secondary", jumpPressed: true }),
+      FRAME
+    );
+    expect(change?.to).toBe("swordAttackAlt");
+  });
+
+  it("doesn't start a slide during a roll or an attack", () => {
+    (["roll", "swordAttack"] as CharacterState[]).forEach((state) => {
+      const machine = machineIn(state);
+      expect(machine.update(input({ sliding: true }), FRAME)).toBeNull();
+    });
+    expect(machineIn("walk").update(input({ sliding: true }), FRAME)?.to).toBe(
+      "slide"
+    );
+  });
+
+  it("doesn't interrupt a roll, attack or slide with a landing", () => {
+    (["roll", "swordAttack", "slide"] as CharacterState[]).forEach((state) => {
+      const machine = machineIn(state);
+      const landed = input({ landed: true, sliding: state === "slide" });
+      expect(machine.update(landed, FRAME)).toBeNull();
+    });
+    expect(
+      machineIn("jumpLoop").update(input({ landed: true }), FRAME)?.to
+    ).toBe("jumpLand");
+  });
+
+  it("rolls rather than jumps out of a landing", () => {
+    const machine = machineIn("jumpLand");
+    const change = machine.update(
+      input({ rollPressed: true, jumpPressed: true }),
+      FRAME
+    );
+    expect(change?.to).toBe("roll");
+  });
+});
+
+describe("ledges", () => {
+  const hanging = (overrides: Partial<CharacterStateInput> = {}) =>
+    input({ grounded: false, ledgeAvailable: true, ...overrides });
+
+  it("grabs a ledge only while jumping or falling", () => {
+    expect(machineIn("jumpLoop").update(hanging(), FRAME)?.to).toBe(
+      "ledgeHang"
+    );
+    expect(machineIn("roll").update(hanging(), FRAME)).toBeNull();
+  });
+
+  it("ignores attacks, slopes and landings while hanging", () => {
+    const machine = machineIn("ledgeHang");
+    const change = machine.update(
+      hanging({
+        combatMode: true,
+        attack: "primary",
+        sliding: true,
+        landed: true,
+      }),
+      FRAME
+    );
+    expect(change).toBeNull();
+  });
+
+  it("kicks off the wall rather than climbing when both are asked for", () => {
+    const machine = machineIn("ledgeShimmy");
+    const change = machine.update(
+      hanging({ moving: true, wallJumpPressed: true, climbPressed: true }),
+      FRAME
+    );
+    expect(change?.to).toBe("wallJump");
+  });
+
+  it("shimmies, climbs and lets go", () => {
+    const machine = machineIn("ledgeHang");
+    expect(machine.update(hanging({ moving: true }), FRAME)?.to).toBe(
+      "ledgeShimmy"
+    );
+    expect(machine.update(hanging({ climbPressed: true }), FRAME)?.to).toBe(
+      "climbUp"
+    );
+    expect(machine.update(input(), CHARACTER_STATE_DURATIONS.climbUp)?.to).toBe(
+      "idle"
+    );
+
+    const dropping = machineIn("ledgeHang");
+    expect(dropping.update(hanging({ dropPressed: true }), FRAME)?.to).toBe(
+      "jumpLoop"
+    );
+    const lost = machineIn("ledgeShimmy");
+    expect(
+      lost.update(hanging({ moving: true, ledgeAvailable: false }), FRAME)?.to
+    ).toBe("jumpLoop");
+  });
+});
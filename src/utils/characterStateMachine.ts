@@ -0,0 +1,245 @@
+import { createStateMachine, type StateMachine } from "./stateMachine";
+import type {
+  CharacterState,
+  CharacterStateInput,
+} from "../types/characterState";
+
+/**
+ * States, guards and timings for GodotCharacterHybrid. The component owns
+ * physics and input; this module only decides which state the character is
+ * in. To add a state, extend CharacterState and add its transitions here.
+ */
+
+// Seconds before a timed state hands control back
+export const CHARACTER_STATE_DURATIONS = {
+  jumpStart: 0.2,
+  jumpLand: 0.3,
+  roll: 0.8,
+  attack: 0.6,
+  climbUp: 0.8,
+  wallJump: 0.25,
+};
+
+export const LOCOMOTION_STATES: readonly CharacterState[] = [
+  "idle",
+  "walk",
+  "run",
+  "walkBackwards",
+  "crouchIdle",
+  "crouchWalk",
+  "swordIdle",
+];
+
+export const ATTACK_STATES: readonly CharacterState[] = [
+  "swordAttack",
+  "swordAttackAlt",
+];
+
+// Hanging from a ledge: gravity is off and the component holds the position
+export const LEDGE_STATES: readonly CharacterState[] = [
+  "ledgeHang",
+  "ledgeShimmy",
+];
+
+// In water deep enough to swim: the component floats the body and turns gravity off
+export const SWIM_STATES: readonly CharacterState[] = [
+  "swimIdle",
+  "swim",
+  "diveIdle",
+  "dive",
+];
+
+/**
+ * Grounded idle/move state for the current input
+ * @param input - Frame input
+ * @returns The locomotion state to play
+ */
+export function resolveLocomotionState(
+  input: CharacterStateInput
+): CharacterState {
+  if (input.crouched) return input.moving ? "crouchWalk" : "crouchIdle";
+  // Combat mode uses sword idle while moving too (no sword walk clip yet)
+  if (input.combatMode) return "swordIdle";
+  if (!input.moving) return "idle";
+  if (input.running) return "run";
+  if (input.walkingBackward) return "walkBackwards";
+  return "walk";
+}
+
+/**
+ * Swim state for the current input
+ * @param input - Frame input
+ * @returns Surface or underwater swimming, idle or moving
+ */
+export function resolveSwimState(input: CharacterStateInput): CharacterState {
+  if (input.water === "underwater") return input.moving ? "dive" : "diveIdle";
+  return input.moving ? "swim" : "swimIdle";
+}
+
+// Timed actions return to locomotion, or keep sliding/falling if they ended off walkable ground
+const afterAction = (input: CharacterStateInput): CharacterState => {
+  if (input.grounded) return resolveLocomotionState(input);
+  return input.sliding ? "slide" : "jumpLoop";
+};
+
+/**
+ * Create the character state machine, starting in idle
+ * @returns A fresh machine; create one per character
+ */
+export function createCharacterStateMachine(): StateMachine<
+  CharacterState,
+  CharacterStateInput
+> {
+  return createStateMachine<CharacterState, CharacterStateInput>({
+    initial: "idle",
+    timedExits: {
+      jumpStart: {
+        duration: CHARACTER_STATE_DURATIONS.jumpStart,
+        next: "jumpLoop",
+      },
+      jumpLand: {
+        duration: CHARACTER_STATE_DURATIONS.jumpLand,
+        next: afterAction,
+      },
+      roll: { duration: CHARACTER_STATE_DURATIONS.roll, next: afterAction },
+      swordAttack: {
+        duration: CHARACTER_STATE_DURATIONS.attack,
+        next: afterAction,
+      },
+      swordAttackAlt: {
+        duration: CHARACTER_STATE_DURATIONS.attack,
+        next: afterAction,
+      },
+      climbUp: {
+        duration: CHARACTER_STATE_DURATIONS.climbUp,
+        next: afterAction,
+      },
+      wallJump: {
+        duration: CHARACTER_STATE_DURATIONS.wallJump,
+        next: "jumpLoop",
+      },
+    },
+    transitions: [
+      // Deep water overrides everything; shallow water hands back to land/air
+      {
+        to: resolveSwimState,
+        guard: (input) => input.water !== "none",
+      },
+      {
+        from: SWIM_STATES,
+        to: afterAction,
+        guard: (input) => input.water === "none",
+      },
+      // Attacks can start from anything except ledge traversal and swimming, including mid-air
+      {
+        except: [...ATTACK_STATES, ...LEDGE_STATES, ...SWIM_STATES, "climbUp"],
+        to: (input) =>
+          input.attack === "secondary" ? "swordAttackAlt" : "swordAttack",
+        guard: (input) => input.combatMode && input.attack !== null,
+      },
+      {
+        from: [...LOCOMOTION_STATES, "jumpLand"],
+        to: "roll",
+        guard: (input) =>
+          input.rollPressed &&
+          input.grounded &&
+          !input.crouched &&
+          !input.dance,
+      },
+      {
+        from: [...LOCOMOTION_STATES, "dance", "jumpLand"],
+        to: "jumpStart",
+        guard: (input) => input.jumpPressed && input.grounded,
+      },
+      // Ledge traversal: grab while airborne, then shimmy, climb, drop or wall-jump off
+      {
+        from: ["jumpStart", "jumpLoop"],
+        to: "ledgeHang",
+        guard: (input) => input.ledgeAvailable,
+      },
+      {
+        from: ["jumpStart", "jumpLoop", ...LEDGE_STATES],
+        to: "wallJump",
+        guard: (input) => input.wallJumpPressed,
+      },
+      {
+        from: LEDGE_STATES,
+        to: "climbUp",
+        guard: (input) => input.climbPressed,
+      },
+      {
+        from: LEDGE_STATES,
+        to: "jumpLoop",
+        guard: (input) => input.dropPressed || !input.ledgeAvailable,
+      },
+      {
+        from: ["ledgeHang"],
+        to: "ledgeShimmy",
+        guard: (input) => input.moving,
+      },
+      {
+        from: ["ledgeShimmy"],
+        to: "ledgeHang",
+        guard: (input) => !input.moving,
+      },
+      // Too steep to stand on: slide until walkable ground or air
+      {
+        except: [
+          "slide",
+          "roll",
+          "climbUp",
+          ...ATTACK_STATES,
+          ...LEDGE_STATES,
+          ...SWIM_STATES,
+        ],
+        to: "slide",
+        guard: (input) => input.sliding,
+      },
+      {
+        from: ["slide"],
+        to: afterAction,
+        guard: (input) => !input.sliding,
+      },
+      // Rolls and attacks play out even if they touch down
+      {
+        except: [
+          "roll",
+          "slide",
+          "climbUp",
+          ...ATTACK_STATES,
+          ...LEDGE_STATES,
+          ...SWIM_STATES,
+        ],
+        to: "jumpLand",
+        guard: (input) => input.landed,
+      },
+      {
+        from: ["jumpLoop"],
+        to: "jumpLand",
+        guard: (input) => input.grounded,
+      },
+      // Crouching keeps its own animation while the capsule resizes
+      {
+        from: [...LOCOMOTION_STATES, "dance"],
+        to: "jumpLoop",
+        guard: (input) =>
+          !input.grounded && !input.crouched && !input.crouchTransitioning,
+      },
+      {
+        from: LOCOMOTION_STATES,
+        to: "dance",
+        guard: (input) => input.dance && input.grounded,
+      },
+      {
+        from: ["dance"],
+        to: resolveLocomotionState,
+        guard: (input) => !input.dance,
+      },
+      {
+        from: LOCOMOTION_STATES,
+        to: resolveLocomotionState,
+        guard: (input) => input.grounded,
+      },
+    ],
+  });
+}
@@ -0,0 +1,69 @@
+import * as THREE from "three";
+import type { AttackProfile, CombatStats, DamageResult } from "../types/combat";
+import type { CharacterState } from "../types/characterState";
+
+// Share of each hit that armor soaks while it has points left
+export const ARMOR_ABSORPTION = 2 / 3;
+
+// Hitbox windows as fractions of CHARACTER_STATE_DURATIONS.attack, matched to
+// the swing of each clip
+export const ATTACK_PROFILES: Partial<Record<CharacterState, AttackProfile>> = {
+  swordAttack: {
+    damage: 20,
+    knockback: 4,
+    lift: 1.5,
+    activeFrom: 0.3,
+    activeTo: 0.6,
+  },
+  swordAttackAlt: {
+    damage: 35,
+    knockback: 7,
+    lift: 2.5,
+    activeFrom: 0.35,
+    activeTo: 0.75,
+  },
+};
+
+/**
+ * Apply a hit to health and armor
+ * @param stats - Current health and armor
+ * @param amount - Incoming damage
+ * @returns The new health and armor, and how the damage was split
+ */
+export function applyDamage(stats: CombatStats, amount: number): DamageResult {
+  const incoming = Math.max(amount, 0);
+  const absorbed = Math.min(incoming * ARMOR_ABSORPTION, stats.armor);
+  const damage = Math.min(incoming - absorbed, stats.health);
+  return {
+    health: stats.health - damage,
+    armor: stats.armor - absorbed,
+    damage,
+    absorbed,
+  };
+}
+
+/**
+ * Impulse that pushes a target away from an attacker, flattened so hits
+ * from above don't drive it into the ground
+ * @param from - Attacker position
+ * @param to - Target position
+ * @param strength - Horizontal impulse
+ * @param lift - Upward impulse
+ * @param out - Receives the impulse
+ * @returns out
+ */
+export function getKnockbackImpulse(
+  from: THREE.Vector3Like,
+  to: THREE.Vector3Like,
+  strength: number,
+  lift: number,
+  out: THREE.Vector3
+): THREE.Vector3 {
+  out.set(to.x - from.x, 0, to.z - from.z);
+  const length = out.length();
+  if (length > 1e-6) {
+    out.multiplyScalar(strength / length);
+  }
+  out.y = lift;
+  return out;
+}
@@ -0,0 +1,220 @@
+import * as THREE from "three";
+import type {
+  Cutscene,
+  CutsceneEasing,
+  CutsceneKeyframe,
+} from "../types/cutscene";
+
+/**
+ * Cutscene validation and sampling
+ */
+
+const EASINGS: Record<CutsceneEasing, (t: number) => number> = {
+  linear: (t) => t,
+  easeIn: (t) => t * t * t,
+  easeOut: (t) => 1 - (1 - t) ** 3,
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+};
+
+const isObject = (value: unknown): value is Record<string, any> =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const isVector3 = (value: unknown) =>
+  Array.isArray(value) &&
+  value.length === 3 &&
+  value.every((n) => typeof n === "number" && Number.isFinite(n));
+
+const validateKeyframes = (
+  keyframes: unknown,
+  path: string,
+  issues: string[]
+) => {
+  if (!Array.isArray(keyframes) || keyframes.length < 2) {
+    issues.push(`${path}: expected at least two keyframes`);
+    return;
+  }
+
+  let previousTime = -Infinity;
+  keyframes.forEach((keyframe: unknown, index) => {
+    const at = `${path}[${index}]`;
+    if (!isObject(keyframe)) {
+      issues.push(`${at}: expected an object`);
+      return;
+    }
+    if (typeof keyframe.time !== "number" || keyframe.time < 0) {
+      issues.push(`${at}.time: expected a non-negative number`);
+    } else if (keyframe.time <= previousTime) {
+      issues.push(`${at}.time: keyframes must be in increasing time order`);
+    } else {
+      previousTime = keyframe.time;
+    }
+    ["position", "lookAt"].forEach((key) => {
+      if (!isVector3(keyframe[key])) {
+        issues.push(`${at}.${key}: expected [x, y, z]`);
+      }
+    });
+    if (
+      keyframe.fov !== undefined &&
+      (typeof keyframe.fov !== "number" ||
+        keyframe.fov <= 0 ||
+        keyframe.fov >= 180)
+    ) {
+      issues.push(`${at}.fov: expected degrees between 0 and 180`);
+    }
+    if (keyframe.easing !== undefined && !(keyframe.easing in EASINGS)) {
+      issues.push(
+        `${at}.easing: expected one of ${Object.keys(EASINGS).join(", ")}`
+      );
+    }
+  });
+};
+
+const validateTrigger = (trigger: unknown, path: string, issues: string[]) => {
+  if (!isObject(trigger)) {
+    issues.push(`${path}: expected an object`);
+  } else if (trigger.type === "volume") {
+    if (!isVector3(trigger.min) || !isVector3(trigger.max)) {
+      issues.push(`${path}: expected min and max as [x, y, z]`);
+    } else if (trigger.min.some((n: number, i: number) => n > trigger.max[i])) {
+      issues.push(`${path}: min must not exceed max`);
+    }
+  } else if (trigger.type !== "mapStart") {
+    issues.push(
+      `${path}.type: expected "mapStart" or "volume", got ${JSON.stringify(
+        trigger.type
+      )}`
+    );
+  }
+};
+
+/**
+ * Validate the cutscenes of one map manifest entry, collecting problems
+ * alongside the rest of the manifest's
+ * @param cutscenes - Raw (JSON-parsed) cutscenes array
+ * @param path - Location in the manifest, for messages
+ * @param issues - Receives one message per problem
+ */
+export function validateCutscenes(
+  cutscenes: unknown,
+  path: string,
+  issues: string[]
+) {
+  if (!Array.isArray(cutscenes)) {
+    issues.push(`${path}: expected an array`);
+    return;
+  }
+
+  const seenIds = new Set<string>();
+  cutscenes.forEach((cutscene: unknown, index) => {
+    const at = `${path}[${index}]`;
+    if (!isObject(cutscene)) {
+      issues.push(`${at}: expected an object`);
+      return;
+    }
+    if (typeof cutscene.id !== "string" || cutscene.id.length === 0) {
+      issues.push(`${at}.id: expected a non-empty string`);
+    } else if (seenIds.has(cutscene.id)) {
+      issues.push(`${at}.id: duplicate cutscene id "${cutscene.id}"`);
+    } else {
+      seenIds.add(cutscene.id);
+    }
+    validateKeyframes(cutscene.keyframes, `${at}.keyframes`, issues);
+    if (cutscene.trigger !== undefined) {
+      validateTrigger(cutscene.trigger, `${at}.trigger`, issues);
+    }
+    ["once", "lockInput", "skippable"].forEach((key) => {
+      if (cutscene[key] !== undefined && typeof cutscene[key] !== "boolean") {
+        issues.push(`${at}.${key}: expected a boolean`);
+      }
+    });
+    if (
+      cutscene.blendOut !== undefined &&
+      (typeof cutscene.blendOut !== "number" || cutscene.blendOut < 0)
+    ) {
+      issues.push(`${at}.blendOut: expected a non-negative number`);
+    }
+  });
+}
+
+export type CutsceneTrack = {
+  duration: number;
+  /**
+   * Camera pose at a time along the cutscene (clamped to its length)
+   * @param time - Seconds since the cutscene started
+   * @param defaultFov - FOV for keyframes that don't set one
+   * @param position - Receives the camera position
+   * @param lookAt - Receives the point the camera looks at
+   * @returns Field of view in degrees
+   */
+  sample: (
+    time: number,
+    defaultFov: number,
+    position: THREE.Vector3,
+    lookAt: THREE.Vector3
+  ) => number;
+};
+
+/**
+ * Build the splines a cutscene plays along
+ * @param cutscene - Validated cutscene
+ * @returns Its duration and a sampler
+ */
+export function createCutsceneTrack(cutscene: Cutscene): CutsceneTrack {
+  const { keyframes } = cutscene;
+  const toCurve = (key: "position" | "lookAt") =>
+    new THREE.CatmullRomCurve3(
+      keyframes.map((keyframe) => new THREE.Vector3(...keyframe[key])),
+      false,
+      "centripetal"
+    );
+  const positionCurve = toCurve("position");
+  const lookAtCurve = toCurve("lookAt");
+  const start = keyframes[0].time;
+  const last = keyframes.length - 1;
+
+  return {
+    duration: keyframes[last].time - start,
+    sample: (time, defaultFov, position, lookAt) => {
+      const t = start + Math.max(time, 0);
+      // Segment that ends at the first keyframe after t
+      let next = keyframes.findIndex((keyframe) => keyframe.time > t);
+      if (next <= 0) next = next === 0 ? 1 : last;
+      const from: CutsceneKeyframe = keyframes[next - 1];
+      const to: CutsceneKeyframe = keyframes[next];
+
+      const linear = THREE.MathUtils.clamp(
+        (t - from.time) / (to.time - from.time),
+        0,
+        1
+      );
+      const eased = EASINGS[to.easing ?? "easeInOut"](linear);
+      // The curves space keyframes evenly, one segment per keyframe pair
+      const u = (next - 1 + eased) / last;
+      positionCurve.getPoint(u, position);
+      lookAtCurve.getPoint(u, lookAt);
+      return THREE.MathUtils.lerp(
+        from.fov ?? defaultFov,
+        to.fov ?? defaultFov,
+        eased
+      );
+    },
+  };
+}
+
+/**
+ * Whether a point is inside a cutscene's trigger volume
+ */
+export function isInsideTriggerVolume(
+  trigger: Extract<Cutscene["trigger"], { type: "volume" }>,
+  point: THREE.Vector3Like
+): boolean {
+  const { min, max } = trigger;
+  return (
+    point.x >= min[0] &&
+    point.x <= max[0] &&
+    point.y >= min[1] &&
+    point.y <= max[1] &&
+    point.z >= min[2] &&
+    point.z <= max[2]
+  );
+}
@@ -0,0 +1,121 @@
+import type {
+  CharacterAction,
+  CharacterInput,
+  GamepadBindings,
+  GamepadSettings,
+} from "../types/input";
+
+/**
+ * Gamepad API helpers. Button indices follow the W3C "standard" mapping:
+ * https://w3c.github.io/gamepad/#remapping
+ */
+
+export const DEFAULT_GAMEPAD_BINDINGS: GamepadBindings = {
+  forward: [12], // D-pad up
+  backward: [13], // D-pad down
+  left: [14], // D-pad left
+  right: [15], // D-pad right
+  jump: [0], // A / Cross
+  crouch: [1], // B / Circle
+  roll: [2], // X / Square
+  dance: [3], // Y / Triangle
+  run: [10, 4], // Left stick click or LB
+  attack: [5], // RB
+  attackAlt: [7], // RT
+  toggleCombat: [8], // Back / View / Share
+  lockOn: [11], // Right stick click; flicking the stick cycles targets
+};
+
+/**
+ * Radial dead zone: zeroes small stick deflections and rescales the rest so
+ * output still ramps smoothly from 0 to 1
+ * @param x - Raw horizontal axis (-1 to 1)
+ * @param y - Raw vertical axis (-1 to 1)
+ * @param deadZone - Magnitude below which the stick counts as centred
+ * @returns Adjusted [x, y]
+ */
+export function applyRadialDeadZone(
+  x: number,
+  y: number,
+  deadZone: number
+): [number, number] {
+  const magnitude = Math.hypot(x, y);
+  if (magnitude <= deadZone || magnitude === 0) {
+    return [0, 0];
+  }
+
+  const scaled = Math.min((magnitude - deadZone) / (1 - deadZone), 1);
+  return [(x / magnitude) * scaled, (y / magnitude) * scaled];
+}
+
+/**
+ * First connected gamepad, preferring ones with the standard mapping
+ * @returns The gamepad, or null if none is connected (or the API is missing)
+ */
+export function getActiveGamepad(): Gamepad | null {
+  if (typeof navigator === "undefined" || !navigator.getGamepads) {
+    return null;
+  }
+
+  const pads = Array.from(navigator.getGamepads()).filter(
+    (pad): pad is Gamepad => pad !== null && pad.connected
+  );
+  return pads.find((pad) => pad.mapping === "standard") ?? pads[0] ?? null;
+}
+
+/**
+ * Read a gamepad into the shared action/axis format
+ * @param gamepad - Gamepad from getActiveGamepad
+ * @param settings - Dead zone, trigger threshold and optional bindings
+ * @returns Actions and axes; axes use the CharacterInput sign conventions
+ */
+export function readGamepad(
+  gamepad: Gamepad,
+  settings: GamepadSettings
+): CharacterInput {
+  const bindings = settings.bindings ?? DEFAULT_GAMEPAD_BINDINGS;
+  const isPressed = (action: CharacterAction) =>
+    (bindings[action] ?? []).some((index) => {
+      const button = gamepad.buttons[index];
+      // Analog triggers report value; digital buttons report pressed
+      return (
+        !!button && (button.pressed || button.value > settings.triggerThreshold)
+      );
+    });
+
+  const [leftX, leftY] = applyRadialDeadZone(
+    gamepad.axes[0] ?? 0,
+    gamepad.axes[1] ?? 0,
+    settings.stickDeadZone
+  );
+  const [rightX, rightY] = applyRadialDeadZone(
+    gamepad.axes[2] ?? 0,
+    gamepad.axes[3] ?? 0,
+    settings.stickDeadZone
+  );
+
+  return {
+    forward: isPressed("forward"),
+    backward: isPressed("backward"),
+    left: isPressed("left"),
+    right: isPressed("right"),
+    run: isPressed("run"),
+    jump: isPressed("jump"),
+    crouch: isPressed("crouch"),
+    dance: isPressed("dance"),
+    walkBackward: isPressed("walkBackward"),
+    roll: isPressed("roll"),
+    attack: isPressed("attack"),
+    attackAlt: isPressed("attackAlt"),
+    toggleCombat: isPressed("toggleCombat"),
+    lockOn: isPressed("lockOn"),
+    cycleTarget: isPressed("cycleTarget"),
+    // Stick axes are +X right / +Y down; movement uses +X left / +Z forward
+    moveX: -leftX,
+    moveZ: -leftY,
+    lookX: rightX,
+    lookY: rightY,
+    lookDeltaX: 0,
+    lookDeltaY: 0,
+  };
+}
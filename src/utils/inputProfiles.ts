@@ -0,0 +1,365 @@
+import { DEFAULT_GAMEPAD_BINDINGS } from "./gamepad";
+import type {
+  BindingConflict,
+  CharacterAction,
+  InputDevice,
+  InputProfile,
+  KeyboardBindings,
+} from "../types/input";
+
+/**
+ * Input profiles: per-action keyboard/mouse and gamepad bindings,
+ * persisted in localStorage and exchangeable as JSON
+ */
+
+export const CHARACTER_ACTIONS: CharacterAction[] = [
+  "forward",
+  "backward",
+  "left",
+  "right",
+  "run",
+  "jump",
+  "crouch",
+  "dance",
+  "walkBackward",
+  "roll",
+  "attack",
+  "attackAlt",
+  "toggleCombat",
+  "lockOn",
+  "cycleTarget",
+];
+
+export const ACTION_LABELS: Record<CharacterAction, string> = {
+  forward: "Move Forward",
+  backward: "Move Backward",
+  left: "Turn / Move Left",
+  right: "Turn / Move Right",
+  run: "Run",
+  jump: "Jump",
+  crouch: "Crouch",
+  dance: "Dance",
+  walkBackward: "Walk Backward",
+  roll: "Roll",
+  attack: "Attack",
+  attackAlt: "Alternate Attack",
+  toggleCombat: "Toggle Combat Mode",
+  lockOn: "Lock On / Release",
+  cycleTarget: "Next Target",
+};
+
+export const DEFAULT_KEYBOARD_BINDINGS: KeyboardBindings = {
+  forward: ["ArrowUp", "KeyW"],
+  backward: ["ArrowDown", "KeyS"],
+  left: ["ArrowLeft", "KeyA"],
+  right: ["ArrowRight", "KeyD"],
+  run: ["ShiftLeft", "ShiftRight"],
+  jump: ["Space"],
+  crouch: ["ControlLeft", "ControlRight"],
+  dance: ["KeyE"],
+  walkBackward: ["KeyQ"],
+  roll: ["KeyF"],
+  attack: ["Mouse0"],
+  attackAlt: ["Mouse2"],
+  toggleCombat: ["KeyR"],
+  lockOn: ["KeyT", "Mouse1"],
+  cycleTarget: ["KeyC"],
+};
+
+export const DEFAULT_PROFILE_NAME = "Default";
+
+export const INPUT_PROFILES_STORAGE_KEY = "wawa-input-profiles";
+
+const STORAGE_VERSION = 1;
+
+const MOUSE_BINDING_PATTERN = /^Mouse(\d)$/;
+
+// KeyboardEvent.key names that earlier default profiles used, and the codes
+// they stand for, so saved profiles compare equal to newly captured keys
+const LEGACY_KEY_CODES: Record<string, string[]> = {
+  Shift: ["ShiftLeft", "ShiftRight"],
+};
+
+export const createDefaultProfile = (
+  name: string = DEFAULT_PROFILE_NAME
+): InputProfile => ({
+  name,
+  keyboard: structuredClone(DEFAULT_KEYBOARD_BINDINGS),
+  gamepad: structuredClone(DEFAULT_GAMEPAD_BINDINGS),
+});
+
+/**
+ * Mouse button index for a "MouseN" binding
+ * @param binding - Keyboard-device binding string
+ * @returns The MouseEvent.button index, or null for keyboard keys
+ */
+export function getMouseButton(binding: string): number | null {
+  const match = MOUSE_BINDING_PATTERN.exec(binding);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * drei KeyboardControls map for a profile (mouse bindings are handled
+ * separately by useCharacterInput)
+ * @param profile - Input profile
+ * @returns Array of { name, keys } entries
+ */
+export function toKeyboardMap(profile: InputProfile) {
+  return CHARACTER_ACTIONS.map((action) => ({
+    name: action,
+    keys: (profile.keyboard[action] ?? []).filter(
+      (binding) => getMouseButton(binding) === null
+    ),
+  }));
+}
+
+/**
+ * Bindings shared by more than one action on the same device
+ * @param profile - Input profile
+ * @returns One entry per shared key or button
+ */
+export function findBindingConflicts(profile: InputProfile): BindingConflict[] {
+  const conflicts: BindingConflict[] = [];
+
+  (["keyboard", "gamepad"] as InputDevice[]).forEach((device) => {
+    const owners = new Map<string | number, CharacterAction[]>();
+    CHARACTER_ACTIONS.forEach((action) => {
+      const bindings: Array<string | number> = profile[device][action] ?? [];
+      bindings.forEach((binding) => {
+        owners.set(binding, [...(owners.get(binding) ?? []), action]);
+      });
+    });
+    owners.forEach((actions, binding) => {
+      if (actions.length > 1) {
+        conflicts.push({ device, binding, actions });
+      }
+    });
+  });
+
+  return conflicts;
+}
+
+/**
+ * Bind a key/button to an action in a given slot. Other actions on the same
+ * device lose that binding, so a rebind never creates a conflict.
+ * @param profile - Profile to copy
+ * @param device - "keyboard" or "gamepad"
+ * @param action - Action to bind
+ * @param slot - Binding index within the action (appends past the end)
+ * @param binding - Key code / "MouseN" string or gamepad button index; null clears the slot
+ * @returns The updated profile and the actions that lost the binding
+ */
+export function rebindAction(
+  profile: InputProfile,
+  device: InputDevice,
+  action: CharacterAction,
+  slot: number,
+  binding: string | number | null
+): { profile: InputProfile; displaced: CharacterAction[] } {
+  const bindings: Record<string, Array<string | number>> = structuredClone(
+    profile[device]
+  );
+  const displaced: CharacterAction[] = [];
+
+  if (binding !== null) {
+    CHARACTER_ACTIONS.forEach((other) => {
+      const current = bindings[other] ?? [];
+      if (other !== action && current.includes(binding)) {
+        bindings[other] = current.filter((b) => b !== binding);
+        displaced.push(other);
+      }
+    });
+  }
+
+  const slots = [...(bindings[action] ?? [])];
+  if (binding === null) {
+    slots.splice(slot, 1);
+  } else {
+    // Drop an existing copy elsewhere in this action before placing it
+    const existing = slots.indexOf(binding);
+    if (existing !== -1 && existing !== slot) slots.splice(existing, 1);
+    slots[Math.min(slot, slots.length)] = binding;
+  }
+  bindings[action] = slots;
+
+  return { profile: { ...profile, [device]: bindings }, displaced };
+}
+
+const isObject = (value: unknown): value is Record<string, any> =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * Validate a profile from JSON (an import or localStorage). Actions missing
+ * from the JSON keep their default bindings.
+ * @param raw - Parsed JSON
+ * @returns The profile
+ * @throws Error listing every problem found
+ */
+export function validateInputProfile(raw: unknown): InputProfile {
+  const issues: string[] = [];
+
+  if (!isObject(raw)) {
+    throw new Error("Invalid input profile: expected an object");
+  }
+
+  if (typeof raw.name !== "string" || raw.name.trim() === "") {
+    issues.push("name: expected a non-empty string");
+  }
+
+  const profile = createDefaultProfile(String(raw.name ?? "").trim());
+
+  (["keyboard", "gamepad"] as InputDevice[]).forEach((device) => {
+    const bindings = raw[device];
+    if (bindings === undefined) return;
+    if (!isObject(bindings)) {
+      issues.push(`${device}: expected an object of action bindings`);
+      return;
+    }
+
+    Object.entries(bindings).forEach(([action, value]) => {
+      if (!CHARACTER_ACTIONS.includes(action as CharacterAction)) {
+        issues.push(`${device}.${action}: unknown action`);
+        return;
+      }
+      const isValid =
+        Array.isArray(value) &&
+        value.every((binding) =>
+          device === "keyboard"
+            ? typeof binding === "string" && binding !== ""
+            : Number.isInteger(binding) && binding >= 0
+        );
+      if (!isValid) {
+        issues.push(
+          `${device}.${action}: expected an array of ${
+            device === "keyboard" ? "key codes" : "button indices"
+          }`
+        );
+        return;
+      }
+      (profile[device] as Record<string, unknown>)[action] =
+        device === "keyboard"
+          ? [
+              ...new Set(
+                (value as string[]).flatMap(
+                  (binding) => LEGACY_KEY_CODES[binding] ?? [binding]
+                )
+              ),
+            ]
+          : value;
+    });
+  });
+
+  if (issues.length > 0) {
+    throw new Error(`Invalid input profile:\n  - ${issues.join("\n  - ")}`);
+  }
+
+  return profile;
+}
+
+/**
+ * Profile as pretty-printed JSON for export
+ */
+export const serializeInputProfile = (profile: InputProfile) =>
+  JSON.stringify(profile, null, 2);
+
+/**
+ * Parse and validate exported profile JSON
+ * @param json - JSON text
+ * @returns The profile
+ * @throws Error on malformed JSON or invalid bindings
+ */
+export function parseInputProfile(json: string): InputProfile {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(json);
+  } catch (error) {
+    throw new Error(
+      `Invalid input profile: not valid JSON (${(error as Error).message})`
+    );
+  }
+  return validateInputProfile(raw);
+}
+
+export type StoredInputProfiles = {
+  activeProfile: string;
+  profiles: InputProfile[];
+};
+
+/**
+ * Profiles saved in localStorage. Falls back to the default profile when
+ * nothing usable is stored; invalid entries are skipped with a warning.
+ */
+export function loadStoredProfiles(): StoredInputProfiles {
+  const fallback = {
+    activeProfile: DEFAULT_PROFILE_NAME,
+    profiles: [createDefaultProfile()],
+  };
+
+  if (typeof localStorage === "undefined") {
+    return fallback;
+  }
+
+  try {
+    const stored = localStorage.getItem(INPUT_PROFILES_STORAGE_KEY);
+    if (!stored) return fallback;
+
+    const raw = JSON.parse(stored);
+    if (raw?.version !== STORAGE_VERSION || !Array.isArray(raw.profiles)) {
+      console.warn("Ignoring stored input profiles: unsupported format");
+      return fallback;
+    }
+
+    const profiles: InputProfile[] = [];
+    raw.profiles.forEach((entry: unknown) => {
+      try {
+        profiles.push(validateInputProfile(entry));
+      } catch (error) {
+        console.warn((error as Error).message);
+      }
+    });
+    if (profiles.length === 0) return fallback;
+
+    const activeProfile = profiles.some((p) => p.name === raw.activeProfile)
+      ? raw.activeProfile
+      : profiles[0].name;
+    return { activeProfile, profiles };
+  } catch (error) {
+    console.warn("Failed to read stored input profiles:", error);
+    return fallback;
+  }
+}
+
+export function saveStoredProfiles(stored: StoredInputProfiles) {
+  if (typeof localStorage === "undefined") return;
+
+  try {
+    localStorage.setItem(
+      INPUT_PROFILES_STORAGE_KEY,
+      JSON.stringify({ version: STORAGE_VERSION, ...stored })
+    );
+  } catch (error) {
+    console.warn("Failed to save input profiles:", error);
+  }
+}
+
+/**
+ * Human-readable name for a binding, e.g. "KeyW" -> "W", 0 -> "Button 0"
+ */
+export function formatBinding(
+  device: InputDevice,
+  binding: string | number
+): string {
+  if (device === "gamepad") {
+    return `Button ${binding}`;
+  }
+
+  const value = String(binding);
+  const mouseButton = getMouseButton(value);
+  if (mouseButton !== null) {
+    return (
+      ["Left Click", "Middle Click", "Right Click"][mouseButton] ??
+      `Mouse ${mouseButton}`
+    );
+  }
+  return value.replace(/^Key/, "").replace(/^Digit/, "");
+}
@@ -0,0 +1,210 @@
+import type Rapier from "@dimforge/rapier3d-compat";
+import type { RigidBody, Vector, World } from "@dimforge/rapier3d-compat";
+import * as THREE from "three";
+import type { Ledge, LedgeCapsule, WallHit } from "../types/ledge";
+
+/**
+ * Raycast probes for ledge grabbing and wall jumps. Every probe ignores the
+ * character's own body and writes its result into an `out` object, which is
+ * left untouched when nothing is found.
+ */
+
+const UP = { x: 0, y: 1, z: 0 };
+const DOWN = { x: 0, y: -1, z: 0 };
+const IDENTITY_ROTATION = { x: 0, y: 0, z: 0, w: 1 };
+// Steepest wall normal (|y|) that still counts as a wall
+const MAX_WALL_NORMAL_Y = 0.3;
+// How squarely the ray must face the wall (dot of ray and normal, negated)
+const MIN_WALL_FACING = 0.5;
+// Extra forward reach past the capsule for the ledge's wall ray
+const LEDGE_WALL_REACH = 0.4;
+// How far above the head the hands reach
+const HAND_REACH = 0.5;
+// How far past the wall face the top is sampled
+const TOP_INSET = 0.15;
+
+const wall: WallHit = {
+  point: new THREE.Vector3(),
+  normal: new THREE.Vector3(),
+};
+
+/**
+ * Near-vertical surface ahead of a point, facing back towards it
+ * @param world - Rapier world
+ * @param rapier - Rapier module
+ * @param body - Character body, which the ray ignores
+ * @param origin - Ray origin
+ * @param direction - Unit ray direction
+ * @param reach - Ray length
+ * @param out - Receives the hit
+ * @returns out, or null when there is no wall in reach
+ */
+export function findWall(
+  world: World,
+  rapier: typeof Rapier,
+  body: RigidBody,
+  origin: Vector,
+  direction: THREE.Vector3,
+  reach: number,
+  out: WallHit
+): WallHit | null {
+  const hit = world.castRayAndGetNormal(
+    new rapier.Ray(origin, direction),
+    reach,
+    true,
+    undefined,
+    undefined,
+    undefined,
+    body
+  );
+  if (!hit || Math.abs(hit.normal.y) > MAX_WALL_NORMAL_Y) return null;
+  if (
+    hit.normal.x * direction.x + hit.normal.z * direction.z >
+    -MIN_WALL_FACING
+  ) {
+    return null;
+  }
+
+  out.point.copy(origin).addScaledVector(direction, hit.timeOfImpact);
+  out.normal.set(hit.normal.x, 0, hit.normal.z).normalize();
+  return out;
+}
+
+/**
+ * Ledge the hands can reach from a body centre: a wall ahead at chest
+ * height (forward ray), free headroom (upward ray) and a walkable top just
+ * past the wall face (downward ray)
+ * @param world - Rapier world
+ * @param rapier - Rapier module
+ * @param body - Character body, which the rays ignore
+ * @param center - Body centre to probe from
+ * @param forward - Unit horizontal direction the character faces
+ * @param capsule - Character capsule
+ * @param maxSlopeAngle - Steepest walkable top, in radians
+ * @param out - Receives the ledge
+ * @returns out, or null when there is no ledge in reach
+ */
+export function findLedge(
+  world: World,
+  rapier: typeof Rapier,
+  body: RigidBody,
+  center: Vector,
+  forward: THREE.Vector3,
+  capsule: LedgeCapsule,
+  maxSlopeAngle: number,
+  out: Ledge
+): Ledge | null {
+  const chest = {
+    x: center.x,
+    y: center.y + capsule.height * 0.25,
+    z: center.z,
+  };
+  const reach = capsule.radius + LEDGE_WALL_REACH;
+  if (!findWall(world, rapier, body, chest, forward, reach, wall)) {
+    return null;
+  }
+
+  const reachTop = center.y + capsule.height / 2 + capsule.radius + HAND_REACH;
+  const ceiling = world.castRay(
+    new rapier.Ray(center, UP),
+    reachTop - center.y,
+    true,
+    undefined,
+    undefined,
+    undefined,
+    body
+  );
+  if (ceiling) return null;
+
+  const top = world.castRayAndGetNormal(
+    new rapier.Ray(
+      {
+        x: wall.point.x - wall.normal.x * TOP_INSET,
+        y: reachTop,
+        z: wall.point.z - wall.normal.z * TOP_INSET,
+      },
+      DOWN
+    ),
+    capsule.radius + 0.7,
+    true,
+    undefined,
+    undefined,
+    undefined,
+    body
+  );
+  // A hit at the ray origin means the wall continues above the reach
+  if (!top || top.timeOfImpact < 0.01) return null;
+  if (top.normal.y < Math.cos(maxSlopeAngle)) return null;
+
+  out.wallPoint.copy(wall.point);
+  out.wallNormal.copy(wall.normal);
+  out.top = reachTop - top.timeOfImpact;
+  return out;
+}
+
+/**
+ * Body centre while hanging: head just below the ledge, clear of the wall
+ * @param ledge - Held ledge
+ * @param capsule - Character capsule
+ * @param out - Receives the position
+ * @returns out
+ */
+export function getHangPosition(
+  ledge: Ledge,
+  capsule: LedgeCapsule,
+  out: THREE.Vector3
+): THREE.Vector3 {
+  const offset = capsule.radius + 0.05;
+  return out.set(
+    ledge.wallPoint.x + ledge.wallNormal.x * offset,
+    ledge.top - capsule.height / 2 - capsule.radius + 0.1,
+    ledge.wallPoint.z + ledge.wallNormal.z * offset
+  );
+}
+
+/**
+ * Body centre after climbing up: standing on the ledge, one step in
+ * @param ledge - Held ledge
+ * @param capsule - Character capsule
+ * @param out - Receives the position
+ * @returns out
+ */
+export function getClimbPosition(
+  ledge: Ledge,
+  capsule: LedgeCapsule,
+  out: THREE.Vector3
+): THREE.Vector3 {
+  const inset = capsule.radius + 0.2;
+  return out.set(
+    ledge.wallPoint.x - ledge.wallNormal.x * inset,
+    ledge.top + capsule.height / 2 + capsule.radius + 0.05,
+    ledge.wallPoint.z - ledge.wallNormal.z * inset
+  );
+}
+
+/**
+ * Whether the capsule fits at a position without touching anything
+ * @param world - Rapier world
+ * @param rapier - Rapier module
+ * @param body - Character body, which the test ignores
+ * @param position - Capsule centre
+ * @param capsule - Character capsule
+ * @returns True if nothing overlaps it
+ */
+export function hasRoomToStand(
+  world: World,
+  rapier: typeof Rapier,
+  body: RigidBody,
+  position: Vector,
+  capsule: LedgeCapsule
+): boolean {
+  return !world.intersectionWithShape(
+    position,
+    IDENTITY_ROTATION,
+    new rapier.Capsule(capsule.height / 2, capsule.radius),
+    undefined,
+    undefined,
+    undefined,
+    body
+  );
+}
@@ -0,0 +1,174 @@
+import * as THREE from "three";
+
+/**
+ * Two-bone IK for legs, applied over an animated pose. Bones are moved by
+ * changing their local rotations, so the next mixer update replaces the
+ * result and nothing accumulates between frames. World matrices of the
+ * chain must be current when solving.
+ */
+
+export type LegChain = {
+  upper: THREE.Object3D; // Thigh
+  lower: THREE.Object3D; // Shin
+  end: THREE.Object3D; // Foot
+};
+
+// Keeps the solved leg from locking straight, where the knee would pop
+const REACH_MARGIN = 1e-3;
+
+const a = new THREE.Vector3();
+const b = new THREE.Vector3();
+const c = new THREE.Vector3();
+const t = new THREE.Vector3();
+const ab = new THREE.Vector3();
+const ac = new THREE.Vector3();
+const at = new THREE.Vector3();
+const bc = new THREE.Vector3();
+const bendAxis = new THREE.Vector3();
+const swingAxis = new THREE.Vector3();
+const localAxis = new THREE.Vector3();
+const worldRotation = new THREE.Quaternion();
+const inverseRotation = new THREE.Quaternion();
+const bend = new THREE.Quaternion();
+const swing = new THREE.Quaternion();
+const tilt = new THREE.Quaternion();
+const fullTilt = new THREE.Quaternion();
+
+const angleBetween = (u: THREE.Vector3, v: THREE.Vector3) => {
+  const lengths = u.length() * v.length();
+  return lengths > 0
+    ? Math.acos(THREE.MathUtils.clamp(u.dot(v) / lengths, -1, 1))
+    : 0;
+};
+
+// Angle opposite side `opposite` in a triangle with sides `x`, `y`, `opposite`
+const lawOfCosines = (x: number, y: number, opposite: number) =>
+  Math.acos(
+    THREE.MathUtils.clamp(
+      (x * x + y * y - opposite * opposite) / (2 * x * y),
+      -1,
+      1
+    )
+  );
+
+// Rotation about a world axis, as the bone's local rotation
+const rotateAboutWorldAxis = (
+  bone: THREE.Object3D,
+  axis: THREE.Vector3,
+  angle: number,
+  out: THREE.Quaternion
+) => {
+  bone.getWorldQuaternion(worldRotation);
+  localAxis.copy(axis).applyQuaternion(worldRotation.invert());
+  return out.setFromAxisAngle(localAxis, angle);
+};
+
+/**
+ * Thigh, shin and foot above a foot bone
+ * @param foot - Foot (ankle) bone
+ * @returns The chain, or null when the foot doesn't hang off two parent bones
+ */
+export function getLegChain(foot: THREE.Object3D): LegChain | null {
+  const lower = foot.parent;
+  const upper = lower?.parent;
+  if (!lower || !upper || !(lower as THREE.Bone).isBone) return null;
+  if (!(upper as THREE.Bone).isBone) return null;
+  return { upper, lower, end: foot };
+}
+
+/**
+ * Bend the thigh and knee so the foot reaches a point, or as near as the
+ * leg's length allows. The knee stays in the plane it's already bent in.
+ * @param chain - Leg to solve
+ * @param target - World position for the foot bone
+ * @param bendHint - World direction the knee points in, used when the
+ * animated leg is straight (the character's forward)
+ * @param weight - 0 keeps the animated pose, 1 reaches the target
+ */
+export function solveTwoBoneIk(
+  chain: LegChain,
+  target: THREE.Vector3,
+  bendHint: THREE.Vector3,
+  weight = 1
+) {
+  if (weight <= 0) return;
+  const { upper, lower, end } = chain;
+  upper.getWorldPosition(a);
+  lower.getWorldPosition(b);
+  end.getWorldPosition(c);
+  t.copy(c).lerp(target, weight);
+
+  const upperLength = a.distanceTo(b);
+  const lowerLength = b.distanceTo(c);
+  if (upperLength < 1e-6 || lowerLength < 1e-6) return;
+  const reach = THREE.MathUtils.clamp(
+    a.distanceTo(t),
+    Math.abs(upperLength - lowerLength) + REACH_MARGIN,
+    upperLength + lowerLength - REACH_MARGIN
+  );
+
+  ab.subVectors(b, a);
+  ac.subVectors(c, a);
+  at.subVectors(t, a);
+  bc.subVectors(c, b);
+
+  bendAxis.crossVectors(ac, ab);
+  if (bendAxis.lengthSq() < 1e-10) {
+    bendAxis.crossVectors(ac, bendHint);
+    if (bendAxis.lengthSq() < 1e-10) return;
+  }
+  bendAxis.normalize();
+
+  // Open or close the hip and knee so the hip-to-foot distance is the reach;
+  // the hip-to-foot direction doesn't change
+  const hipAngle = angleBetween(ac, ab);
+  const kneeAngle = Math.PI - angleBetween(ab, bc);
+  const hipTurn = lawOfCosines(upperLength, reach, lowerLength) - hipAngle;
+  const kneeTurn = lawOfCosines(upperLength, lowerLength, reach) - kneeAngle;
+  rotateAboutWorldAxis(upper, bendAxis, hipTurn, bend);
+  const kneeBend = rotateAboutWorldAxis(lower, bendAxis, kneeTurn, swing);
+  lower.quaternion.multiply(kneeBend);
+
+  // Then swing the whole leg from the foot's direction onto the target's
+  swingAxis.crossVectors(ac, at);
+  if (swingAxis.lengthSq() > 1e-10) {
+    rotateAboutWorldAxis(
+      upper,
+      swingAxis.normalize(),
+      angleBetween(ac, at),
+      swing
+    );
+    upper.quaternion.multiply(swing);
+  }
+  upper.quaternion.multiply(bend);
+  upper.updateWorldMatrix(false, true);
+}
+
+/**
+ * Turn a bone so its animated world rotation is tilted onto a ground
+ * normal, e.g. to lay a planted foot flat on a slope
+ * @param bone - Bone to turn; its parent's world matrix must be current
+ * @param animatedRotation - The bone's world rotation before any IK
+ * @param normal - Unit ground normal
+ * @param weight - 0 keeps the animated rotation, 1 tilts it fully
+ */
+export function alignToGround(
+  bone: THREE.Object3D,
+  animatedRotation: THREE.Quaternion,
+  normal: THREE.Vector3,
+  weight: number
+) {
+  if (weight <= 0 || !bone.parent) return;
+  tilt
+    .identity()
+    .slerp(
+      fullTilt.setFromUnitVectors(THREE.Object3D.DEFAULT_UP, normal),
+      weight
+    );
+  bone.parent.getWorldQuaternion(inverseRotation).invert();
+  bone.quaternion
+    .copy(inverseRotation)
+    .multiply(tilt)
+    .multiply(animatedRotation);
+  bone.updateWorldMatrix(false, true);
+}
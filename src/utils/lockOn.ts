@@ -0,0 +1,78 @@
+import * as THREE from "three";
+
+/**
+ * Lock-on target selection. Candidates are plain positions; results are
+ * indices into the array passed in, or -1 when nothing qualifies.
+ */
+
+const horizontalDistance = (a: THREE.Vector3Like, b: THREE.Vector3Like) =>
+  Math.hypot(b.x - a.x, b.z - a.z);
+
+/**
+ * Nearest candidate within range that is inside the camera's view
+ * @param positions - Candidate positions
+ * @param origin - Character position
+ * @param frustum - Camera frustum
+ * @param range - Maximum horizontal distance from origin
+ * @returns Index of the chosen candidate, or -1
+ */
+export function pickLockOnTarget(
+  positions: THREE.Vector3Like[],
+  origin: THREE.Vector3Like,
+  frustum: THREE.Frustum,
+  range: number
+): number {
+  const point = new THREE.Vector3();
+  let best = -1;
+  let bestDistance = range;
+  positions.forEach((position, index) => {
+    const distance = horizontalDistance(origin, position);
+    if (distance > bestDistance) return;
+    if (!frustum.containsPoint(point.copy(position))) return;
+    best = index;
+    bestDistance = distance;
+  });
+  return best;
+}
+
+/**
+ * Next candidate to the right or left of the current one, ordered by
+ * bearing around the character as seen from the camera. Wraps around at
+ * either end.
+ * @param positions - Candidate positions
+ * @param current - Index of the current target
+ * @param origin - Character position
+ * @param viewYaw - Camera yaw, atan2 of its horizontal look direction
+ * @param range - Maximum horizontal distance from origin
+ * @param direction - 1 for the next target to the right, -1 to the left
+ * @returns Index of the next candidate (current when it is the only one), or -1
+ */
+export function cycleLockOnTarget(
+  positions: THREE.Vector3Like[],
+  current: number,
+  origin: THREE.Vector3Like,
+  viewYaw: number,
+  range: number,
+  direction: 1 | -1
+): number {
+  // Screen right is decreasing yaw, so negate to order left to right
+  const ordered = positions
+    .map((position, index) => {
+      const delta =
+        Math.atan2(position.x - origin.x, position.z - origin.z) - viewYaw;
+      return {
+        index,
+        bearing: -Math.atan2(Math.sin(delta), Math.cos(delta)),
+      };
+    })
+    .filter(
+      ({ index }) =>
+        index === current ||
+        horizontalDistance(origin, positions[index]) <= range
+    )
+    .sort((a, b) => a.bearing - b.bearing);
+
+  const at = ordered.findIndex(({ index }) => index === current);
+  if (at === -1) return -1;
+  return ordered[(at + direction + ordered.length) % ordered.length].index;
+}
@@ -0,0 +1,245 @@
+import type {
+  MapManifest,
+  MapManifestEntry,
+  MapSpawnRule,
+} from "../types/mapManifest";
+import {
+  getCachedHeightmapImageData,
+  getHeightmapCenterPeak,
+  getTerrainHeightFromTexture,
+} from "./terrainUtils";
+import { validateCutscenes } from "./cutscene";
+
+/**
+ * Map manifest validation
+ */
+
+export const SUPPORTED_MANIFEST_VERSION = 1;
+
+const CAPABILITY_KEYS = [
+  "passCharacterData",
+  "requiresTerrainReadyCallback",
+  "supportsTeleport",
+];
+
+const isObject = (value: unknown): value is Record<string, any> =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const isVector = (value: unknown, length: number) =>
+  Array.isArray(value) &&
+  value.length === length &&
+  value.every((n) => typeof n === "number" && Number.isFinite(n));
+
+const validateSpawn = (spawn: unknown, path: string, issues: string[]) => {
+  if (!isObject(spawn)) {
+    issues.push(`${path}: expected an object`);
+    return;
+  }
+
+  if (spawn.type === "static") {
+    if (!isVector(spawn.position, 3)) {
+      issues.push(`${path}.position: expected [x, y, z]`);
+    }
+  } else if (spawn.type === "heightmap") {
+    if (!isVector(spawn.position, 2)) {
+      issues.push(`${path}.position: expected [x, z]`);
+    }
+    ["size", "heightScale"].forEach((key) => {
+      if (typeof spawn[key] !== "number" || spawn[key] <= 0) {
+        issues.push(`${path}.${key}: expected a positive number`);
+      }
+    });
+    ["terrainOffset", "clearance", "centerPeakRegion"].forEach((key) => {
+      if (spawn[key] !== undefined && typeof spawn[key] !== "number") {
+        issues.push(`${path}.${key}: expected a number`);
+      }
+    });
+    if (spawn.texture !== undefined && typeof spawn.texture !== "string") {
+      issues.push(`${path}.texture: expected a URL string`);
+    }
+    if (spawn.normalize !== undefined && typeof spawn.normalize !== "boolean") {
+      issues.push(`${path}.normalize: expected a boolean`);
+    }
+  } else {
+    issues.push(
+      `${path}.type: expected "static" or "heightmap", got ${JSON.stringify(
+        spawn.type
+      )}`
+    );
+  }
+
+  if (spawn.fallback !== undefined && !isVector(spawn.fallback, 3)) {
+    issues.push(`${path}.fallback: expected [x, y, z]`);
+  }
+};
+
+const validateEntry = (
+  entry: unknown,
+  path: string,
+  componentNames: Set<string>,
+  seenIds: Set<string>,
+  issues: string[]
+) => {
+  if (!isObject(entry)) {
+    issues.push(`${path}: expected an object`);
+    return;
+  }
+
+  if (typeof entry.id !== "string" || entry.id.length === 0) {
+    issues.push(`${path}.id: expected a non-empty string`);
+  } else if (seenIds.has(entry.id)) {
+    issues.push(`${path}.id: duplicate map id "${entry.id}"`);
+  } else {
+    seenIds.add(entry.id);
+  }
+
+  if (typeof entry.name !== "string" || entry.name.length === 0) {
+    issues.push(`${path}.name: expected a non-empty string`);
+  }
+
+  if (typeof entry.component !== "string") {
+    issues.push(`${path}.component: expected a component name`);
+  } else if (!componentNames.has(entry.component)) {
+    issues.push(
+      `${path}.component: unknown component "${entry.component}" (not registered in mapDefinitions.js)`
+    );
+  }
+
+  if (entry.props !== undefined && !isObject(entry.props)) {
+    issues.push(`${path}.props: expected an object`);
+  }
+
+  validateSpawn(entry.spawn, `${path}.spawn`, issues);
+
+  if (entry.lights !== undefined) {
+    if (!isObject(entry.lights)) {
+      issues.push(`${path}.lights: expected an object`);
+    } else if (
+      entry.lights.directionalPosition !== undefined &&
+      !isVector(entry.lights.directionalPosition, 3)
+    ) {
+      issues.push(`${path}.lights.directionalPosition: expected [x, y, z]`);
+    }
+  }
+
+  if (entry.capabilities !== undefined) {
+    if (!isObject(entry.capabilities)) {
+      issues.push(`${path}.capabilities: expected an object`);
+    } else {
+      Object.entries(entry.capabilities).forEach(([key, value]) => {
+        if (!CAPABILITY_KEYS.includes(key)) {
+          issues.push(`${path}.capabilities.${key}: unknown capability`);
+        } else if (typeof value !== "boolean") {
+          issues.push(`${path}.capabilities.${key}: expected a boolean`);
+        }
+      });
+    }
+  }
+
+  if (entry.cutscenes !== undefined) {
+    validateCutscenes(entry.cutscenes, `${path}.cutscenes`, issues);
+  }
+};
+
+/**
+ * Validate a raw (JSON-parsed) map manifest against the registered map components
+ * @param raw - Parsed manifest contents
+ * @param componentNames - Names of the components available to the manifest
+ * @returns The manifest, typed
+ * @throws Error listing every problem found, so designers can fix them in one pass
+ */
+export function validateMapManifest(
+  raw: unknown,
+  componentNames: Iterable<string>
+): MapManifest {
+  const issues: string[] = [];
+  const knownComponents = new Set(componentNames);
+  const seenIds = new Set<string>();
+
+  if (!isObject(raw)) {
+    throw new Error("Invalid map manifest: expected an object");
+  }
+
+  if (raw.version !== SUPPORTED_MANIFEST_VERSION) {
+    issues.push(
+      `version: expected ${SUPPORTED_MANIFEST_VERSION}, got ${JSON.stringify(
+        raw.version
+      )}`
+    );
+  }
+
+  if (!Array.isArray(raw.maps) || raw.maps.length === 0) {
+    issues.push("maps: expected a non-empty array");
+  } else {
+    raw.maps.forEach((entry: unknown, index: number) =>
+      validateEntry(entry, `maps[${index}]`, knownComponents, seenIds, issues)
+    );
+  }
+
+  ["defaultMap", "fallbackMap"].forEach((key) => {
+    if (raw[key] !== undefined && !seenIds.has(raw[key])) {
+      issues.push(`${key}: unknown map id ${JSON.stringify(raw[key])}`);
+    }
+  });
+
+  if (issues.length > 0) {
+    throw new Error(`Invalid map manifest:\n  - ${issues.join("\n  - ")}`);
+  }
+
+  return raw as MapManifest;
+}
+
+/**
+ * Resolve a manifest spawn rule into a world position
+ * "heightmap" rules read the texture decoded by the map's terrain component,
+ * so resolve them after the map has reported onTerrainReady.
+ * @param spawn - Spawn rule from the manifest
+ * @returns Position array [x, y, z]
+ */
+export function resolveSpawnRule(
+  spawn: MapSpawnRule
+): [number, number, number] {
+  if (spawn.type === "heightmap") {
+    const [x, z] = spawn.position;
+    const heightmap = spawn.texture
+      ? getCachedHeightmapImageData(spawn.texture)
+      : null;
+    const sampleOptions = { normalize: spawn.normalize ?? false };
+
+    let terrainOffset = spawn.terrainOffset ?? 0;
+    if (heightmap && spawn.centerPeakRegion !== undefined) {
+      terrainOffset -=
+        getHeightmapCenterPeak(
+          heightmap,
+          spawn.centerPeakRegion,
+          sampleOptions
+        ) * spawn.heightScale;
+    }
+
+    const terrainHeight = getTerrainHeightFromTexture(
+      x,
+      z,
+      heightmap,
+      spawn.size,
+      spawn.heightScale,
+      terrainOffset,
+      sampleOptions
+    );
+    return [x, terrainHeight + (spawn.clearance ?? 2), z];
+  }
+
+  return [...spawn.position];
+}
+
+/**
+ * Build Leva dropdown options ({ label: id }) from the manifest display names
+ */
+export function getManifestMapOptions(
+  maps: MapManifestEntry[]
+): Record<string, string> {
+  const options: Record<string, string> = {};
+  maps.forEach((entry) => {
+    options[entry.name] = entry.id;
+  });
+  return options;
+}
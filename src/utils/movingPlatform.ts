@@ -0,0 +1,49 @@
+import type { Collider, RigidBody, Vector } from "@dimforge/rapier3d-compat";
+import * as THREE from "three";
+
+/**
+ * Moving platforms are kinematic Rapier bodies. Rapier derives a
+ * position-based kinematic body's velocity from its next translation and
+ * rotation each step, so any platform moved with setNextKinematic* (see
+ * PlatformPath) exposes its motion through linvel()/angvel().
+ */
+
+/**
+ * Kinematic body that owns a collider, i.e. a platform that can carry things
+ * @param collider - Collider under the character, if any
+ * @returns The platform body, or null for static ground and dynamic props
+ */
+export function getPlatformBody(
+  collider: Collider | null | undefined
+): RigidBody | null {
+  const body = collider?.parent();
+  return body && body.isKinematic() ? body : null;
+}
+
+/**
+ * Velocity of a point riding on a platform: the platform's linear velocity
+ * plus the contribution of its rotation at that point
+ * @param body - Platform body
+ * @param point - World-space point on or above the platform
+ * @param out - Receives the velocity
+ * @returns out
+ */
+export function getPlatformPointVelocity(
+  body: RigidBody,
+  point: Vector,
+  out: THREE.Vector3
+): THREE.Vector3 {
+  const linvel = body.linvel();
+  const angvel = body.angvel();
+  const com = body.worldCom();
+  const rx = point.x - com.x;
+  const ry = point.y - com.y;
+  const rz = point.z - com.z;
+
+  // v = linvel + angvel × r
+  return out.set(
+    linvel.x + angvel.y * rz - angvel.z * ry,
+    linvel.y + angvel.z * rx - angvel.x * rz,
+    linvel.z + angvel.x * ry - angvel.y * rx
+  );
+}
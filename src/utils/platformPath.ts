@@ -0,0 +1,126 @@
+import * as THREE from "three";
+
+/**
+ * Waypoint paths for moving platforms: a Catmull-Rom spline through the
+ * waypoints, travelled at a constant speed with optional pauses and easing
+ */
+
+export type PlatformPathMode = "loop" | "pingPong";
+
+export type PlatformPathOptions = {
+  speed?: number; // Units per second along the path
+  mode?: PlatformPathMode; // "loop" closes the spline back to the first waypoint
+  pause?: number; // Seconds spent at each waypoint
+  easing?: boolean; // Ease in/out of every waypoint instead of moving at constant speed
+};
+
+export type PlatformPath = {
+  duration: number; // Seconds for one full cycle
+  sample: (time: number, out: THREE.Vector3) => THREE.Vector3;
+};
+
+type Leg = {
+  start: number; // Cycle time when the leg starts moving (after its pause)
+  duration: number;
+  from: number; // Spline parameter range
+  to: number;
+};
+
+const easeInOut = (u: number) => (1 - Math.cos(Math.PI * u)) * 0.5;
+
+/**
+ * Build a time -> position function for a platform path
+ * @param waypoints - At least two world-space points
+ * @param options - Speed, loop mode, pauses and easing
+ * @returns The cycle duration and a sampler (time wraps around the cycle)
+ * @throws Error if fewer than two waypoints are given or speed is not positive
+ */
+export function createPlatformPath(
+  waypoints: Array<[number, number, number]>,
+  {
+    speed = 2,
+    mode = "pingPong",
+    pause = 0,
+    easing = false,
+  }: PlatformPathOptions = {}
+): PlatformPath {
+  if (waypoints.length < 2) {
+    throw new Error("Platform path needs at least two waypoints");
+  }
+  if (!(speed > 0)) {
+    throw new Error(`Platform path speed must be positive, got ${speed}`);
+  }
+
+  const closed = mode === "loop";
+  const curve = new THREE.CatmullRomCurve3(
+    waypoints.map((point) => new THREE.Vector3(...point)),
+    closed,
+    "centripetal"
+  );
+  const segmentCount = closed ? waypoints.length : waypoints.length - 1;
+
+  // Segment i runs between spline parameters i / segmentCount and (i + 1) / segmentCount
+  const segmentLength = (segment: number) => {
+    const samples = 16;
+    const previous = new THREE.Vector3();
+    const current = new THREE.Vector3();
+    let length = 0;
+    curve.getPoint(segment / segmentCount, previous);
+    for (let i = 1; i <= samples; i++) {
+      curve.getPoint((segment + i / samples) / segmentCount, current);
+      length += current.distanceTo(previous);
+      previous.copy(current);
+    }
+    return length;
+  };
+
+  const segments = Array.from({ length: segmentCount }, (_, i) => i);
+  const order = closed
+    ? segments.map((i) => ({ segment: i, reverse: false }))
+    : [
+        ...segments.map((i) => ({ segment: i, reverse: false })),
+        ...[...segments].reverse().map((i) => ({ segment: i, reverse: true })),
+      ];
+
+  const legs: Leg[] = [];
+  let cycleTime = 0;
+  order.forEach(({ segment, reverse }) => {
+    cycleTime += pause;
+    const duration = segmentLength(segment) / speed;
+    const start = segment / segmentCount;
+    const end = (segment + 1) / segmentCount;
+    legs.push({
+      start: cycleTime,
+      duration,
+      from: reverse ? end : start,
+      to: reverse ? start : end,
+    });
+    cycleTime += duration;
+  });
+
+  const sample = (time: number, out: THREE.Vector3) => {
+    // Coincident waypoints without pauses: nothing to travel
+    if (cycleTime <= 0) return curve.getPoint(0, out);
+
+    const t = ((time % cycleTime) + cycleTime) % cycleTime;
+
+    // The last leg that has started; before its start we are pausing at its origin
+    let leg = legs[0];
+    for (const candidate of legs) {
+      if (candidate.start - pause > t) break;
+      leg = candidate;
+    }
+
+    const linear =
+      leg.duration > 0
+        ? THREE.MathUtils.clamp((t - leg.start) / leg.duration, 0, 1)
+        : 1;
+    const progress = easing ? easeInOut(linear) : linear;
+    return curve.getPoint(
+      THREE.MathUtils.lerp(leg.from, leg.to, progress),
+      out
+    );
+  };
+
+  return { duration: cycleTime, sample };
+}
@@ -0,0 +1,81 @@
+import * as THREE from "three";
+
+/**
+ * Ground-slope helpers for character movement. Normals are unit vectors
+ * pointing out of the ground surface.
+ */
+
+/**
+ * Angle between the ground and the horizontal plane
+ * @param normal - Ground normal
+ * @returns Slope angle in radians (0 = flat, PI/2 = wall)
+ */
+export function getSlopeAngle(normal: THREE.Vector3): number {
+  return Math.acos(THREE.MathUtils.clamp(normal.y, -1, 1));
+}
+
+/**
+ * Redirect a horizontal velocity along the ground plane, keeping its speed,
+ * so walking downhill follows the surface instead of launching off it
+ * @param velocity - Horizontal velocity (y is ignored)
+ * @param normal - Ground normal
+ * @param out - Receives the projected velocity
+ * @returns out
+ */
+export function projectOnGround(
+  velocity: THREE.Vector3,
+  normal: THREE.Vector3,
+  out: THREE.Vector3
+): THREE.Vector3 {
+  const speed = Math.hypot(velocity.x, velocity.z);
+  out.set(velocity.x, 0, velocity.z).projectOnPlane(normal);
+  const length = out.length();
+  return length > 1e-6 ? out.multiplyScalar(speed / length) : out.set(0, 0, 0);
+}
+
+/**
+ * Direction a body slides down the ground: gravity projected onto the plane
+ * @param normal - Ground normal
+ * @param out - Receives the unit downhill direction (zero on flat ground)
+ * @returns out
+ */
+export function getDownhillDirection(
+  normal: THREE.Vector3,
+  out: THREE.Vector3
+): THREE.Vector3 {
+  out.set(0, -1, 0).projectOnPlane(normal);
+  const length = out.length();
+  return length > 1e-6 ? out.divideScalar(length) : out.set(0, 0, 0);
+}
+
+/**
+ * Speed multiplier for moving in a direction on a slope. Only uphill
+ * movement slows down, scaling with steepness up to the walkable limit.
+ * @param moveX - Horizontal move direction X (any length)
+ * @param moveZ - Horizontal move direction Z
+ * @param normal - Ground normal
+ * @param maxSlopeAngle - Steepest walkable slope in radians
+ * @param minFactor - Multiplier when walking straight up the steepest slope
+ * @returns A factor between minFactor and 1
+ */
+export function getUphillSpeedFactor(
+  moveX: number,
+  moveZ: number,
+  normal: THREE.Vector3,
+  maxSlopeAngle: number,
+  minFactor: number
+): number {
+  const moveLength = Math.hypot(moveX, moveZ);
+  const normalLength = Math.hypot(normal.x, normal.z);
+  if (moveLength < 1e-6 || normalLength < 1e-6 || maxSlopeAngle <= 0) {
+    return 1;
+  }
+
+  // The normal's horizontal part points downhill
+  const uphill =
+    -(moveX * normal.x + moveZ * normal.z) / (moveLength * normalLength);
+  if (uphill <= 0) return 1;
+
+  const steepness = Math.min(getSlopeAngle(normal) / maxSlopeAngle, 1);
+  return 1 - (1 - minFactor) * steepness * uphill;
+}
@@ -0,0 +1,222 @@
+import type Rapier from "@dimforge/rapier3d-compat";
+import type { World } from "@dimforge/rapier3d-compat";
+import type {
+  SpawnFailureReason,
+  SpawnSolveFailure,
+  SpawnSolveResult,
+  SpawnSolverOptions,
+} from "../types/spawn";
+
+/**
+ * Physics-based spawn placement. Unlike getSafeSpawnPosition, which raycasts a
+ * single render mesh and falls back to a default height, this sweeps the
+ * character capsule through the Rapier world and says so when nothing fits.
+ */
+
+// Matches the default character profile's capsule: a 1.4 cylinder between
+// 0.3 radius caps, so 2.0 tall overall
+const DEFAULT_OPTIONS: Required<
+  Omit<SpawnSolverOptions, "terrain" | "excludeBody">
+> = {
+  capsuleHalfHeight: 0.7,
+  capsuleRadius: 0.3,
+  searchRadius: 12,
+  searchStep: 1,
+  maxSlopeDegrees: 40,
+  probeHeight: 5,
+  probeDepth: 500,
+  groundClearance: 0.05,
+};
+
+const IDENTITY_ROTATION = { x: 0, y: 0, z: 0, w: 1 };
+const DOWN = { x: 0, y: -1, z: 0 };
+// How far below the capsule's lowest point the support ray may reach
+const SUPPORT_TOLERANCE = 0.3;
+
+/**
+ * Candidate XZ offsets, nearest first: the requested point, then rings of
+ * points spaced roughly `step` apart out to `radius`
+ * @param radius - Search radius
+ * @param step - Ring spacing and approximate spacing along each ring
+ * @returns Array of [dx, dz] offsets
+ */
+function getSearchOffsets(radius: number, step: number): [number, number][] {
+  const offsets: [number, number][] = [[0, 0]];
+  const ringCount = Math.floor(radius / step);
+
+  for (let ring = 1; ring <= ringCount; ring++) {
+    const ringRadius = ring * step;
+    const pointCount = Math.max(
+      6,
+      Math.ceil((2 * Math.PI * ringRadius) / step)
+    );
+    for (let i = 0; i < pointCount; i++) {
+      const angle = (i / pointCount) * Math.PI * 2;
+      offsets.push([
+        Math.cos(angle) * ringRadius,
+        Math.sin(angle) * ringRadius,
+      ]);
+    }
+  }
+
+  return offsets;
+}
+
+/**
+ * Find the nearest spot around a requested point where the character capsule
+ * can stand: reachable from above, resting on ground no steeper than
+ * maxSlopeDegrees, and not overlapping any fixed or kinematic collider.
+ * Dynamic bodies and sensors are ignored.
+ * @param world - Rapier world (from useRapier)
+ * @param rapier - Rapier module (from useRapier)
+ * @param requested - Requested spawn position [x, y, z]
+ * @param options - Capsule size and search limits
+ * @returns The capsule centre position on success, or the reason it failed
+ */
+export function solveSpawnPosition(
+  world: World,
+  rapier: typeof Rapier,
+  requested: [number, number, number],
+  options: SpawnSolverOptions = {}
+): SpawnSolveResult {
+  const {
+    capsuleHalfHeight,
+    capsuleRadius,
+    searchRadius,
+    searchStep,
+    maxSlopeDegrees,
+    probeHeight,
+    probeDepth,
+    groundClearance,
+    terrain,
+    excludeBody,
+  } = { ...DEFAULT_OPTIONS, ...options };
+
+  const shape = new rapier.Capsule(capsuleHalfHeight, capsuleRadius);
+  const filterFlags =
+    rapier.QueryFilterFlags.EXCLUDE_DYNAMIC |
+    rapier.QueryFilterFlags.EXCLUDE_SENSORS;
+  const maxSlope = (maxSlopeDegrees * Math.PI) / 180;
+  const minNormalY = Math.cos(maxSlope);
+
+  const [requestedX, requestedY, requestedZ] = requested;
+  const startY = requestedY + probeHeight;
+  const offsets = getSearchOffsets(searchRadius, Math.max(searchStep, 0.1));
+  const failures: Partial<Record<SpawnFailureReason, number>> = {};
+  const reject = (reason: SpawnFailureReason) => {
+    failures[reason] = (failures[reason] ?? 0) + 1;
+  };
+
+  for (let attempt = 0; attempt < offsets.length; attempt++) {
+    const [dx, dz] = offsets[attempt];
+    const x = requestedX + dx;
+    const z = requestedZ + dz;
+
+    const start = { x, y: startY, z };
+    if (
+      world.intersectionWithShape(
+        start,
+        IDENTITY_ROTATION,
+        shape,
+        filterFlags,
+        undefined,
+        undefined,
+        excludeBody
+      )
+    ) {
+      reject("obstructed");
+      continue;
+    }
+
+    // Sweep the capsule straight down until it touches something
+    const hit = world.castShape(
+      start,
+      IDENTITY_ROTATION,
+      DOWN,
+      shape,
+      0, // targetDistance
+      probeDepth,
+      true, // stopAtPenetration
+      filterFlags,
+      undefined,
+      undefined,
+      excludeBody
+    );
+    if (!hit) {
+      reject("no-ground");
+      continue;
+    }
+
+    const restY = startY - hit.time_of_impact;
+    const feetY = restY - capsuleHalfHeight - capsuleRadius;
+
+    // The sweep can stop on a ledge or wall edge; require ground underfoot
+    const support = world.castRayAndGetNormal(
+      new rapier.Ray({ x, y: feetY + groundClearance, z }, DOWN),
+      groundClearance + SUPPORT_TOLERANCE,
+      true,
+      filterFlags,
+      undefined,
+      undefined,
+      excludeBody
+    );
+    if (!support) {
+      reject("unsupported");
+      continue;
+    }
+
+    // Coarse terrain colliders can tilt a single triangle well past the
+    // slope of the ground around it
+    const terrainHeight = terrain?.getHeight(x, z) ?? null;
+    const terrainSlope =
+      terrainHeight !== null &&
+      Math.abs(feetY - terrainHeight) <= SUPPORT_TOLERANCE
+        ? terrain?.getSlope(x, z) ?? null
+        : null;
+    const tooSteep =
+      terrainSlope !== null
+        ? terrainSlope > maxSlope
+        : support.normal.y < minNormalY;
+    if (tooSteep) {
+      reject("too-steep");
+      continue;
+    }
+
+    return {
+      ok: true,
+      position: [x, restY + groundClearance, z],
+      groundNormal: [support.normal.x, support.normal.y, support.normal.z],
+      distance: Math.hypot(dx, dz),
+      attempts: attempt + 1,
+    };
+  }
+
+  const reason = (Object.keys(failures) as SpawnFailureReason[]).reduce(
+    (worst, current) =>
+      (failures[current] ?? 0) > (failures[worst] ?? 0) ? current : worst,
+    "no-ground" as SpawnFailureReason
+  );
+
+  return { ok: false, reason, failures, attempts: offsets.length };
+}
+
+const FAILURE_DESCRIPTIONS: Record<SpawnFailureReason, string> = {
+  "no-ground": "no ground below",
+  obstructed: "blocked by geometry",
+  "too-steep": "ground too steep",
+  unsupported: "only ledges and edges to stand on",
+};
+
+/**
+ * One-line explanation of a failed solve, for the loading overlay and logs
+ * @param requested - Position the solver searched around
+ * @param result - The failed result
+ */
+export function describeSpawnFailure(
+  requested: [number, number, number],
+  result: SpawnSolveFailure
+) {
+  return `No room to spawn near [${requested.join(", ")}] in ${
+    result.attempts
+  } spots tried (mostly ${FAILURE_DESCRIPTIONS[result.reason]})`;
+}
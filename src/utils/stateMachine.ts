@@ -0,0 +1,100 @@
+/**
+ * Minimal finite-state machine driven by frame delta. Holds no timers or
+ * side effects: callers feed it a context every frame and react to the
+ * returned change, so it runs the same in a render loop or a plain script.
+ */
+
+export type StateTransition<S extends string, C> = {
+  from?: readonly S[]; // Only from these states (omit for any state)
+  except?: readonly S[]; // Never from these states
+  to: S | ((context: C) => S);
+  guard: (context: C, elapsed: number) => boolean;
+};
+
+export type TimedExit<S extends string, C> = {
+  duration: number; // Seconds spent in the state before leaving
+  next: S | ((context: C) => S);
+};
+
+export type StateMachineDefinition<S extends string, C> = {
+  initial: S;
+  // Checked in order each update; the first passing guard wins
+  transitions: StateTransition<S, C>[];
+  timedExits?: Partial<Record<S, TimedExit<S, C>>>;
+};
+
+export type StateChange<S extends string> = {
+  from: S;
+  to: S;
+  reason: "timeout" | "transition" | "reset";
+};
+
+export type StateMachine<S extends string, C> = {
+  readonly state: S;
+  readonly elapsed: number; // Seconds since the current state was entered
+  is: (...states: S[]) => boolean;
+  update: (context: C, delta: number) => StateChange<S> | null;
+  reset: (state?: S) => StateChange<S>;
+};
+
+const resolveTarget = <S extends string, C>(
+  target: S | ((context: C) => S),
+  context: C
+): S =>
+  typeof target === "function"
+    ? (target as (context: C) => S)(context)
+    : target;
+
+/**
+ * Create a state machine from a definition
+ * @param definition - Initial state, ordered transitions and timed exits
+ * @returns Machine whose update() applies at most one change per call
+ */
+export function createStateMachine<S extends string, C>(
+  definition: StateMachineDefinition<S, C>
+): StateMachine<S, C> {
+  let state = definition.initial;
+  let elapsed = 0;
+
+  const enter = (to: S, reason: StateChange<S>["reason"]): StateChange<S> => {
+    const change = { from: state, to, reason };
+    state = to;
+    elapsed = 0;
+    return change;
+  };
+
+  const canLeave = (transition: StateTransition<S, C>) =>
+    (!transition.from || transition.from.includes(state)) &&
+    !transition.except?.includes(state);
+
+  return {
+    get state() {
+      return state;
+    },
+    get elapsed() {
+      return elapsed;
+    },
+    is: (...states) => states.includes(state),
+    update(context, delta) {
+      elapsed += delta;
+
+      const timedExit = definition.timedExits?.[state];
+      if (timedExit && elapsed >= timedExit.duration) {
+        return enter(resolveTarget(timedExit.next, context), "timeout");
+      }
+
+      for (const transition of definition.transitions) {
+        if (!canLeave(transition) || !transition.guard(context, elapsed)) {
+          continue;
+        }
+        const target = resolveTarget(transition.to, context);
+        if (target !== state) {
+          return enter(target, "transition");
+        }
+      }
+
+      return null;
+    },
+    reset: (to = definition.initial) => enter(to, "reset"),
+  };
+}
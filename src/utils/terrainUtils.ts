@@ -49,6 +49,8 @@ export function getTerrainHeight(
  * @param spawnHeightOffset - How high above terrain to spawn (default: 5)
  * @param defaultHeight - Fallback height if raycast fails (default: 10)
  * @returns Position array [x, y, z] with calculated Y
+ * @see solveSpawnPosition in spawnSolver.ts for capsule-aware placement
+ *   against the physics world that reports failure instead of defaulting
  */
 export function getSafeSpawnPosition(
   x: number,
@@ -63,45 +65,261 @@ export function getSafeSpawnPosition(
   return [x, spawnY, z];
 }
 
+/**
+ * Decoded heightmap pixels plus the red-channel range, cached per image
+ */
+export interface HeightmapImageData {
+  data: Uint8ClampedArray;
+  width: number;
+  height: number;
+  minValue: number; // Lowest red-channel value (0-1)
+  maxValue: number; // Highest red-channel value (0-1)
+}
+
+/**
+ * Options for heightmap sampling
+ */
+export interface HeightmapSampleOptions {
+  normalize?: boolean; // Stretch the image's min..max range to 0..1 (HeightMapUnreal does this)
+  flipV?: boolean; // Sample the image bottom-up instead of top-down
+}
+
+const heightmapImageDataCache = new WeakMap<object, HeightmapImageData>();
+const heightmapUrlCache = new Map<string, HeightmapImageData>();
+let missingHeightmapWarned = false;
+
+const resolveImageUrl = (url: string) => {
+  try {
+    return new URL(url, document.baseURI).href;
+  } catch {
+    return url;
+  }
+};
+
+const computeRedChannelRange = (data: Uint8ClampedArray) => {
+  let min = 255;
+  let max = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i] < min) min = data[i];
+    if (data[i] > max) max = data[i];
+  }
+  return { minValue: min / 255, maxValue: max / 255 };
+};
+
+/**
+ * Read (and cache) the pixel data behind a heightmap texture
+ * Drawing an image to a canvas is expensive, so every terrain sharing a texture
+ * shares one decode. Data textures with RGBA Uint8 data are read directly.
+ * @param heightmapTexture - Loaded heightmap texture
+ * @returns Cached image data, or null if the image is not decodable yet
+ */
+export function getHeightmapImageData(
+  heightmapTexture: THREE.Texture | null | undefined
+): HeightmapImageData | null {
+  const image = heightmapTexture?.image as any;
+  if (!image) {
+    return null;
+  }
+
+  const cached = heightmapImageDataCache.get(image);
+  if (cached) {
+    return cached;
+  }
+
+  let data: Uint8ClampedArray | null = null;
+  const width: number = image.width;
+  const height: number = image.height;
+
+  if (!width || !height) {
+    return null;
+  }
+
+  if (
+    image.data instanceof Uint8Array ||
+    image.data instanceof Uint8ClampedArray
+  ) {
+    // DataTexture / ImageData
+    if (image.data.length < width * height * 4) {
+      return null;
+    }
+    data = new Uint8ClampedArray(
+      image.data.buffer,
+      image.data.byteOffset,
+      width * height * 4
+    );
+  } else if (typeof document !== "undefined") {
+    const canvas = document.createElement("canvas");
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    if (!ctx) {
+      return null;
+    }
+    canvas.width = width;
+    canvas.height = height;
+    ctx.drawImage(image, 0, 0);
+    data = ctx.getImageData(0, 0, width, height).data;
+  }
+
+  if (!data) {
+    return null;
+  }
+
+  const heightmap: HeightmapImageData = {
+    data,
+    width,
+    height,
+    ...computeRedChannelRange(data),
+  };
+
+  heightmapImageDataCache.set(image, heightmap);
+  if (typeof image.src === "string" && image.src.length > 0) {
+    heightmapUrlCache.set(resolveImageUrl(image.src), heightmap);
+  }
+
+  return heightmap;
+}
+
+/**
+ * Look up heightmap data that a terrain component has already decoded
+ * @param url - Heightmap URL, e.g. "/textures/unreal-heightmap.png"
+ * @returns Cached image data, or null if no loaded texture uses this URL yet
+ */
+export function getCachedHeightmapImageData(
+  url: string
+): HeightmapImageData | null {
+  return heightmapUrlCache.get(resolveImageUrl(url)) ?? null;
+}
+
+const readHeightValue = (
+  heightmap: HeightmapImageData,
+  px: number,
+  py: number
+) => heightmap.data[(py * heightmap.width + px) * 4] / 255;
+
+/**
+ * Bilinearly sample the red channel of a heightmap
+ * @param heightmap - Decoded heightmap
+ * @param u - Horizontal texture coordinate (0-1, clamped)
+ * @param v - Vertical texture coordinate (0-1, clamped)
+ * @param options - Sampling options
+ * @returns Height value in the 0-1 range
+ */
+export function sampleHeightmap(
+  heightmap: HeightmapImageData,
+  u: number,
+  v: number,
+  options: HeightmapSampleOptions = {}
+): number {
+  const clampedU = Math.max(0, Math.min(1, u));
+  let clampedV = Math.max(0, Math.min(1, v));
+  if (options.flipV) {
+    clampedV = 1 - clampedV;
+  }
+
+  const fx = clampedU * (heightmap.width - 1);
+  const fy = clampedV * (heightmap.height - 1);
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const x1 = Math.min(x0 + 1, heightmap.width - 1);
+  const y1 = Math.min(y0 + 1, heightmap.height - 1);
+  const tx = fx - x0;
+  const ty = fy - y0;
+
+  const top =
+    readHeightValue(heightmap, x0, y0) * (1 - tx) +
+    readHeightValue(heightmap, x1, y0) * tx;
+  const bottom =
+    readHeightValue(heightmap, x0, y1) * (1 - tx) +
+    readHeightValue(heightmap, x1, y1) * tx;
+  const value = top * (1 - ty) + bottom * ty;
+
+  if (options.normalize) {
+    const range = heightmap.maxValue - heightmap.minValue;
+    return range > 0 ? (value - heightmap.minValue) / range : 0;
+  }
+
+  return value;
+}
+
+/**
+ * Find the highest value around the heightmap center
+ * Heightmap terrains shift themselves so this peak sits at Y=0.
+ * @param heightmap - Decoded heightmap
+ * @param regionSize - Half-size of the searched square, in pixels
+ * @param options - Sampling options (normalize)
+ * @returns Peak value in the 0-1 range
+ */
+export function getHeightmapCenterPeak(
+  heightmap: HeightmapImageData,
+  regionSize: number,
+  options: HeightmapSampleOptions = {}
+): number {
+  const centerX = Math.floor(heightmap.width / 2);
+  const centerY = Math.floor(heightmap.height / 2);
+  let maxCenterHeight = 0;
+
+  for (let dx = -regionSize; dx <= regionSize; dx++) {
+    for (let dy = -regionSize; dy <= regionSize; dy++) {
+      const x = Math.max(0, Math.min(heightmap.width - 1, centerX + dx));
+      const y = Math.max(0, Math.min(heightmap.height - 1, centerY + dy));
+      const height = readHeightValue(heightmap, x, y);
+      if (height > maxCenterHeight) {
+        maxCenterHeight = height;
+      }
+    }
+  }
+
+  if (options.normalize) {
+    const range = heightmap.maxValue - heightmap.minValue;
+    return range > 0 ? (maxCenterHeight - heightmap.minValue) / range : 0;
+  }
+
+  return maxCenterHeight;
+}
+
 /**
  * Calculate terrain height using heightmap data directly (more efficient for batch operations)
  * This is an alternative to raycasting that works directly with the heightmap texture
  * @param x - World X coordinate
  * @param z - World Z coordinate
- * @param heightmapTexture - The heightmap texture (can be null for fallback)
- * @param size - Size of the terrain
+ * @param heightmapTexture - The heightmap texture or already-decoded image data
+ * @param size - World size of the (square, centered) terrain
  * @param heightScale - Height scale multiplier
  * @param terrainOffset - Y offset applied to terrain
- * @returns The Y coordinate of the terrain at this position
+ * @param options - Sampling options (normalize, flipV)
+ * @returns The Y coordinate of the terrain at this position, or terrainOffset if
+ * the heightmap is unavailable
  */
 export function getTerrainHeightFromTexture(
   x: number,
   z: number,
-  heightmapTexture: THREE.Texture | null,
+  heightmapTexture: THREE.Texture | HeightmapImageData | null,
   size: number,
   heightScale: number,
-  terrainOffset: number = -50
+  terrainOffset: number = -50,
+  options: HeightmapSampleOptions = {}
 ): number {
-  // For now, let's use a simple fallback calculation
-  // This assumes the terrain is roughly flat with some variation
-
-  // Simple height calculation based on distance from center
-  const distanceFromCenter = Math.sqrt(x * x + z * z);
-  const maxDistance = size / 2;
-  const normalizedDistance = Math.min(distanceFromCenter / maxDistance, 1);
+  const heightmap: HeightmapImageData | null =
+    heightmapTexture instanceof THREE.Texture
+      ? getHeightmapImageData(heightmapTexture)
+      : heightmapTexture;
 
-  // Create some height variation (higher at edges, lower in center)
-  const heightVariation =
-    Math.sin(normalizedDistance * Math.PI) * heightScale * 0.3;
-
-  // With terrain peak at Y=0 (terrainOffset = 0), the base should be at terrainOffset
-  // Terrain goes from terrainOffset (lowest) to terrainOffset + heightScale (highest)
-  // Since peak is at center (Y=0), we use terrainOffset as base
-  const baseHeight = terrainOffset; // Peak is at Y=0, so base is also at 0
+  if (!heightmap) {
+    if (!missingHeightmapWarned) {
+      console.warn(
+        "getTerrainHeightFromTexture: heightmap not available, using terrainOffset"
+      );
+      missingHeightmapWarned = true;
+    }
+    return terrainOffset;
+  }
 
-  const finalHeight = baseHeight + heightVariation;
+  // World space (-size/2 to size/2) to texture space (0 to 1)
+  const u = (x + size / 2) / size;
+  const v = (z + size / 2) / size;
 
-  return finalHeight;
+  return (
+    terrainOffset + sampleHeightmap(heightmap, u, v, options) * heightScale
+  );
 }
 
 /**